@@ -26,6 +26,10 @@
 
   // Extra width reserved for the external-link icon when a node has a url
   const LINK_ICON_SPACE = 25; // px — space reserved on the right for the external-link icon
+  const NOTE_ICON_SPACE = 13; // px — more for the note icon, left of a link icon
+
+  // How long a click on a link node waits for a second click when editing is on (ms)
+  const DBLCLICK_DELAY = 250;
 
   // ─── Defaults ─────────────────────────────────────────────────────────────
 
@@ -37,6 +41,9 @@
     //   'right' — all branches go right
     //   'down'  — tree grows downward; siblings spread horizontally
     //   'up'    — tree grows upward;   siblings spread horizontally
+    //   'radial' — branches spread all around the root on concentric rings
+    //   'fishbone' — Ishikawa diagram: root is the head, branches are ribs off a spine
+    //   'timeline' — branches along a horizontal axis, their children stacked above/below
     layout: 'auto',
     // Where first-level branch edges connect on the center node (horizontal layouts only).
     //   'side'     — edges exit from the left/right walls of the center node (default)
@@ -47,6 +54,12 @@
     //                This decouples branch placement from the center node's width,
     //                so the center can grow wide without pushing branches further apart.
     centerEdge: 'side',
+    // How 'auto' splits first-level branches between the two sides:
+    //   'count'  — alternate sides so both get the same number of branches (default)
+    //   'weight' — even out the total height of both sides, heaviest branches first
+    //   'order'  — like 'weight', but data order reads clockwise: the first branches
+    //              run down the right side, the rest back up the left side
+    balance: 'count',
     // Spacing (horizontal layouts)
     branchSpacingX: 220,   // horizontal gap between depth levels
     subSpacingX: 170,      // horizontal gap for sub-levels
@@ -54,6 +67,12 @@
     // Spacing (vertical layouts)
     verticalSpacingY: 60,  // vertical gap between depth levels
     horizontalSpacing: 30, // horizontal gap between sibling subtrees
+    // Tidy-tree packing: sibling subtrees nest into each other's free space
+    // instead of each reserving a full band (up/down/auto/left/right layouts)
+    compact: false,
+    // Spacing (subtrees with layout: 'list')
+    listIndent: 28,        // horizontal indent of each list level
+    listSpacing: 10,       // vertical gap between list rows
     // Line height multiplier for wrapped text
     lineHeight: 1.45,
     // Center node
@@ -63,6 +82,7 @@
       paddingX: 28,
       paddingY: 16,
       radius: 12,
+      shape: 'rect',        // 'rect' | 'ellipse' | 'circle' | 'diamond' | 'hexagon' | 'parallelogram' | 'cloud'
       maxWidth: 240,        // max node width before text wraps
       bgColor: '#1A1F2E',   // node background color
       border: false,        // true = full border; 'bottom'/'top' = single edge
@@ -77,6 +97,7 @@
       paddingX: 18,
       paddingY: 10,
       radius: 99,           // pill — auto-reduces to 10 when multiline
+      shape: 'rect',
       maxWidth: 200,
       bgColor: null,        // null = use color palette
       border: false,        // true = full border; 'bottom'/'top' = single edge
@@ -91,6 +112,7 @@
       paddingX: 14,
       paddingY: 7,
       radius: 3,
+      shape: 'rect',
       maxWidth: 170,
       bgColor: null,        // null = transparent (tinted by theme)
       border: 'bottom',     // 'bottom' = underline; true = full border; false = none
@@ -100,6 +122,22 @@
     // Connection curves
     edgeWidth: { root: 2.5, branch: 2, leaf: 1.5 },
     edgeOpacity: 0.85,
+    // Cross-links (the root data's `links` array); a link's `style` overrides these
+    link: {
+      color: '#718096',
+      width: 1.5,
+      dash: '6 4',          // stroke-dasharray; null = solid
+      opacity: 0.9,
+      fontSize: 11,         // label size
+      collapsed: 'reattach', // end inside a collapsed subtree: 'reattach' to the collapsed node | 'hide'
+    },
+    // Node images (the `image` field); a node's own width/height/position win
+    image: {
+      width: 32,            // px, for images given as a bare URL
+      height: 32,
+      position: 'left',     // 'left' of the text | 'top' (above it)
+      gap: 6,               // px between the image, the icon and the text
+    },
     // Pan/zoom limits (only relevant when interactions are enabled)
     minZoom: 0.08,
     maxZoom: 4,
@@ -113,7 +151,20 @@
       tips:     false,  // keyboard/mouse hint bar (injected into container)
       collapse: false,  // +/- toggle buttons to expand/collapse subtrees
       download: false,  // download icon in the HUD — calls downloadSVG()
+      edit:     false,  // double-click a node to edit its topic in place
+      select:   false,  // click / Ctrl-click / Shift-click / drag a box to select nodes
+      dragNodes: false, // drag a node onto another to reparent it, or beside a sibling to reorder
+      nudgeNodes: false, // Alt-drag a node to offset it (and its subtree) from its computed position
     },
+    // Selection highlight color. null = the node's branch color (accent blue for the root).
+    selectionColor: null,
+    // Called after a topic is edited in place: function (id, oldTopic, newTopic).
+    // `id` is the node's id after the edit (path-based ids follow the new topic).
+    onEdit: null,
+    // Initial collapse state applied by render(): nodes deeper than this depth start
+    // hidden, e.g. 1 = show the root and first-level branches only.
+    // null = fully expanded. Per-node `collapsed: true` data fields apply on top.
+    expandDepth: null,
     // Animation
     animationDuration: 350,
     // Padding around the graph when auto-fitting
@@ -135,6 +186,14 @@
     theme: 'classic',
     // Whether to show the external-link / onclick icon on nodes that have a url or onclick handler.
     showLinkIcons: true,
+    // Inline markup in topics: **bold**, *italic*, `code`, ~~strike~~ and [label](url) links.
+    // false = show topics verbatim.
+    richText: false,
+    // Show an icon on nodes with a `note` and the note in a popover on hover, focus or tap.
+    // false = ignore notes.
+    notes: true,
+    // Accessible name of the map (aria-label on the SVG). null = the root topic.
+    ariaLabel: null,
     // Override text color for all nodes, ignoring theme defaults.
     // Accepts any CSS color string (e.g. '#333', 'rgba(0,0,0,0.8)').
     // null = use theme defaults.
@@ -266,6 +325,186 @@
     return lines;
   }
 
+  // ─── Rich Text ────────────────────────────────────────────────────────────
+  // A topic with inline markup becomes a list of runs: { text, bold, italic,
+  // strike, code, href }. As in Markdown, a marker opens after a space or
+  // punctuation and before a non-space, and closes after a non-space and before a
+  // space or punctuation; an opener needs its closer still ahead. So a lone `*`,
+  // `2 * 3` or `f(*args)` stays literal; `\*` escapes a marker.
+
+  const RICH_LINK = /^\[([^\]]+)\]\(\s*([^)\s]+)\s*\)/;
+  const RICH_EDGE = /[\s!-\/:-@[-`{-~]/;   // whitespace or ASCII punctuation, around markers
+  const MONO_FONT = 'ui-monospace, SFMono-Regular, Menlo, Consolas, monospace';
+  const SANS_FONT = 'system-ui, -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif';
+
+  /**
+   * Parse inline markup into runs.
+   * @returns {Object[]|null} null when the text has no markup
+   */
+  function _parseRich(text) {
+    const runs = [];
+    const st = { bold: false, italic: false, strike: false };
+    let buf = '', marked = false;
+    const flush = function () {
+      if (buf) runs.push(Object.assign({ text: buf }, st));
+      buf = '';
+    };
+    const edge = function (c) { return c === undefined || RICH_EDGE.test(c); };
+    const closes = function (i, m) {
+      const prev = text[i - 1];
+      return prev !== undefined && prev !== '\\' && !/\s/.test(prev) && edge(text[i + m.length]);
+    };
+    const opens = function (i, m) {
+      const next = text[i + m.length];
+      if (!edge(text[i - 1]) || next === undefined || /\s/.test(next)) return false;
+      for (let j = text.indexOf(m, i + m.length + 1); j !== -1; j = text.indexOf(m, j + 1)) {
+        if (closes(j, m)) return true;
+      }
+      return false;
+    };
+
+    for (let i = 0; i < text.length;) {
+      const ch = text[i];
+      if (ch === '\\' && /[*`~[\]\\]/.test(text[i + 1] || '')) {
+        buf += text[i + 1]; i += 2; marked = true;
+        continue;
+      }
+      if (ch === '`') {
+        const end = text.indexOf('`', i + 1);
+        if (end > i + 1) {
+          flush();
+          runs.push(Object.assign({ text: text.slice(i + 1, end), code: true }, st));
+          i = end + 1; marked = true;
+          continue;
+        }
+      }
+      if (ch === '[') {
+        const link = RICH_LINK.exec(text.slice(i));
+        if (link && _safeHref(link[2])) {
+          flush();
+          (_parseRich(link[1]) || [{ text: link[1] }]).forEach(function (r) {
+            runs.push(Object.assign({}, r, {
+              bold: r.bold || st.bold, italic: r.italic || st.italic, strike: r.strike || st.strike, href: link[2],
+            }));
+          });
+          i += link[0].length; marked = true;
+          continue;
+        }
+      }
+      const m = text.startsWith('**', i) ? '**' : text.startsWith('~~', i) ? '~~' : ch === '*' ? '*' : null;
+      if (m) {
+        const key = m === '**' ? 'bold' : m === '~~' ? 'strike' : 'italic';
+        if (st[key] ? closes(i, m) : opens(i, m)) {
+          flush();
+          st[key] = !st[key];
+          i += m.length; marked = true;
+          continue;
+        }
+      }
+      buf += ch;
+      i++;
+    }
+    flush();
+    return marked ? runs : null;
+  }
+
+  /**
+   * Whether a link target may become an anchor: http(s), mailto or a relative URL.
+   * Anything else (javascript:, data:, …) leaves the link as plain text.
+   */
+  function _safeHref(href) {
+    if (/[\u0000-\u001F\u007F]/.test(href)) return false;   // browsers drop these, unmasking a scheme
+    const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(href);
+    return !scheme || /^(https?|mailto)$/i.test(scheme[1]);
+  }
+
+  /** Whether two runs are drawn the same way. */
+  function _sameStyle(a, b) {
+    return !!a.bold === !!b.bold && !!a.italic === !!b.italic && !!a.strike === !!b.strike
+      && !!a.code === !!b.code && a.href === b.href;
+  }
+
+  /** Join neighbouring runs of the same style. */
+  function _mergeRuns(runs) {
+    const out = [];
+    runs.forEach(function (r) {
+      const last = out[out.length - 1];
+      if (last && _sameStyle(last, r)) last.text += r.text;
+      else out.push(Object.assign({}, r));
+    });
+    return out;
+  }
+
+  /**
+   * wrapText for runs: break them into lines no wider than `maxPx`, where
+   * `measureFn(run)` is the width of a run's text in its own style.
+   * Returns an array of lines, each an array of runs (always at least one line).
+   */
+  function _wrapRuns(runs, maxPx, measureFn) {
+    // Words are lists of runs; each remembers the run its preceding space belongs to
+    const words = [];
+    let word = null, gap = null;
+    runs.forEach(function (run) {
+      run.text.split(/(\s+)/).forEach(function (part, k) {
+        if (!part) return;
+        if (k % 2) { word = null; gap = run; return; }
+        if (!word) { word = { runs: [], gap: gap || run }; words.push(word); }
+        word.runs.push(Object.assign({}, run, { text: part }));
+      });
+    });
+
+    const widthOf = function (rs) { return rs.reduce(function (w, r) { return w + measureFn(r); }, 0); };
+
+    // Break a single word that is too wide into character-level chunks
+    const breakWord = function (rs) {
+      const chunks = [];
+      let chunk = [], cw = 0;
+      rs.forEach(function (r) {
+        Array.from(r.text).forEach(function (ch) {
+          const piece = Object.assign({}, r, { text: ch });
+          const w = measureFn(piece);
+          if (chunk.length && cw + w > maxPx) { chunks.push(chunk); chunk = []; cw = 0; }
+          chunk.push(piece);
+          cw += w;
+        });
+      });
+      if (chunk.length) chunks.push(chunk);
+      return chunks;
+    };
+
+    const lines = [];
+    let line = [], lineW = 0;
+    words.forEach(function (w) {
+      const ww = widthOf(w.runs);
+      if (ww > maxPx) {
+        if (line.length) lines.push(line);
+        const chunks = breakWord(w.runs);
+        line = chunks.pop();
+        lineW = widthOf(line);
+        chunks.forEach(function (c) { lines.push(c); });
+        return;
+      }
+      const space = Object.assign({}, w.gap, { text: ' ' });
+      const sw = line.length ? measureFn(space) : 0;
+      if (!line.length || lineW + sw + ww <= maxPx) {
+        if (line.length) line.push(space);
+        line = line.concat(w.runs);
+        lineW += sw + ww;
+      } else {
+        lines.push(line);
+        line = w.runs.slice();
+        lineW = ww;
+      }
+    });
+    if (line.length || !lines.length) lines.push(line);
+    return lines.map(_mergeRuns);
+  }
+
+  /** The weight of bold runs inside text of weight `w`: at least 700, 200 above `w`. */
+  function _boldWeight(w) {
+    return String(Math.min(900, Math.max(700, (parseInt(w, 10) || 400) + 200)));
+  }
+
   // ─── Porphyry Class ───────────────────────────────────────────────────────
 
   function Porphyry(selector, options) {
@@ -283,10 +522,19 @@
     this._pz = { tx: 0, ty: 0, scale: 1 };
     this._textCache = {};
     this._collapsed = new Set();   // set of node._id values that are collapsed
+    this._selected  = new Set();   // set of node._id values that are selected
+    this._nodesById = new Map();    // node._id → node, rebuilt on every render
+    // Drawn elements keyed by node id (edges by their child's id), so data
+    // mutations can patch only what changed. See _mount / _patchTree.
+    this._nodeEls   = new Map();
+    this._edgeEls   = new Map();
+    this._toggleEls = new Map();
     this._lastData = null;          // stored for collapse re-render
+    this._listeners = {};           // event name → handlers, see on()/off()
 
     this._buildDOM();
     this._bindPanZoom();
+    this._bindSelection();
 
     // Auto-fit whenever the container is resized (e.g. flexible layouts, window resize).
     // Debounced at 50 ms so rapid resize events don't trigger excessive reflows.
@@ -295,7 +543,10 @@
       let _resizeTimer;
       this._resizeObserver = new ResizeObserver(function () {
         clearTimeout(_resizeTimer);
-        _resizeTimer = setTimeout(function () { self.fit(); }, 50);
+        _resizeTimer = setTimeout(function () {
+          self.fit();
+          self._emit('resize', { width: self.container.clientWidth, height: self.container.clientHeight });
+        }, 50);
       });
       this._resizeObserver.observe(this.container);
     }
@@ -332,12 +583,14 @@
 
     this.svg.appendChild(defs);
 
-    // Render groups (edges below nodes, toggles on top)
+    // Render groups (edges, then cross-links, below nodes, toggles on top)
     this.gMain = svgEl('g');
     this.gEdges = svgEl('g', { class: 'mm-edges' });
+    this.gLinks = svgEl('g', { class: 'mm-links', 'pointer-events': 'none', 'aria-hidden': 'true' });
     this.gNodes = svgEl('g', { class: 'mm-nodes' });
     this.gToggles = svgEl('g', { class: 'mm-toggles' });
     this.gMain.appendChild(this.gEdges);
+    this.gMain.appendChild(this.gLinks);
     this.gMain.appendChild(this.gNodes);
     this.gMain.appendChild(this.gToggles);
     this.svg.appendChild(this.gMain);
@@ -416,10 +669,12 @@
   /**
    * Download the current mind map as an SVG file.
    * Can be called programmatically from anywhere — wire it to any button in your UI.
+   * Node images are inlined as data URIs first so the file is self-contained.
    * @param {string} [filename='mindmap.svg'] — the name of the downloaded file
+   * @returns {Promise<void>} settles once the download has been started
    */
   Porphyry.prototype.downloadSVG = function (filename) {
-    if (!this.svg) return;
+    if (!this.svg) return Promise.resolve();
     filename = filename || 'mindmap.svg';
 
     // Clone so we don't mutate the live SVG
@@ -445,18 +700,33 @@
     const inner = clone.querySelector('[transform]');
     if (inner) inner.removeAttribute('transform');
 
-    const serializer = new XMLSerializer();
-    const svgStr = serializer.serializeToString(clone);
-    const blob = new Blob([svgStr], { type: 'image/svg+xml;charset=utf-8' });
-    const url  = URL.createObjectURL(blob);
+    const save = () => {
+      const serializer = new XMLSerializer();
+      const svgStr = serializer.serializeToString(clone);
+      const blob = new Blob([svgStr], { type: 'image/svg+xml;charset=utf-8' });
+      const url  = URL.createObjectURL(blob);
+
+      const a = document.createElement('a');
+      a.href     = url;
+      a.download = filename;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    };
 
-    const a = document.createElement('a');
-    a.href     = url;
-    a.download = filename;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    // Without images to fetch, save at once: a click outside the user's gesture
+    // (after an await) is blocked by some browsers, Safari among them
+    const images = Array.from(clone.querySelectorAll('image.mm-node-image'))
+      .filter(img => !/^data:/i.test(img.getAttribute('href')));
+    if (!images.length) {
+      save();
+      return Promise.resolve();
+    }
+    // Images that cannot be fetched keep their URL
+    return Promise.all(images.map(img => this._imageDataURI(img.getAttribute('href')).then(uri => {
+      if (uri) img.setAttribute('href', uri);
+    }))).then(save);
   };
 
   /** Inject a standalone download button when hud is disabled but download is enabled. */
@@ -519,6 +789,8 @@
     if (ix.zoom)     parts.push('Scroll to zoom');
     if (ix.pan)      parts.push('Drag to pan');
     if (ix.collapse) parts.push('+/− to collapse');
+    if (ix.edit)     parts.push('Double-click to edit');
+    if (ix.select)   parts.push(ix.pan ? 'Ctrl/Shift-click to select' : 'Drag to select');
     parts.push('↗ click node to open link');
     this._tips.textContent = parts.join('  ·  ');
   };
@@ -527,12 +799,14 @@
 
   /**
    * Render a mind map from JSON data.
-   * Clears any existing collapse state.
+   * Replaces any existing collapse state with the initial one described by the
+   * `expandDepth` option and per-node `collapsed: true` fields.
    * @param {Object} data - Mind map data
    */
   Porphyry.prototype.render = function (data) {
     this._collapsed.clear();
     this._lastData = data;
+    this._seedCollapse = true;
     this._renderInternal(true);
   };
 
@@ -553,16 +827,19 @@
     this.options.branch = merge(merge(DEFAULT_OPTIONS.branch, td.branch || {}), this._userOptions.branch || {});
     this.options.leaf   = merge(merge(DEFAULT_OPTIONS.leaf,   td.leaf   || {}), this._userOptions.leaf   || {});
 
-    this.gEdges.innerHTML   = '';
-    this.gNodes.innerHTML   = '';
-    this.gToggles.innerHTML = '';
-
-    this._nodeIdCounter = 0;
-    this._tree = this._buildTree(this._lastData, null, -1, 0);
-    this._assignDirections(this._tree);
-    this._computeSizes(this._tree);
-    this._computeAdaptiveSpacing(this._tree);
-    this._layoutTree(this._tree);
+    // With a previous drawing and animations enabled, tween from the old layout
+    // to the new one instead of redrawing from scratch (see _startTransition).
+    this._stopTransition();
+    const active  = document.activeElement;
+    const focused = active && this.gNodes.contains(active) ? active.getAttribute('data-id') : null;
+    const snap = this._nodeEls.size && this._transitionMs() > 0 ? this._snapshot() : null;
+    const prevEls = { nodes: this._nodeEls, edges: this._edgeEls, toggles: this._toggleEls };
+    if (snap) {
+      this._nodeEls = new Map(); this._edgeEls = new Map(); this._toggleEls = new Map();
+    } else {
+      this._clearDrawing();
+    }
+    this._buildModel();
 
     // If the container has significantly more horizontal room than vertical,
     // widen nodes so text wraps less and the map fills the available width.
@@ -589,6 +866,25 @@
     }
 
     this._drawTree(this._tree);
+    this._emit('render', { root: this._tree });
+    // Keep keyboard focus on the redrawn node (or the tab stop if it was hidden)
+    if (focused !== null) this._focusNode(this._nodeEls.has(focused) ? focused : this._tabStopId());
+
+    if (snap) {
+      // Old elements redrawn under the same id go away; the rest animate out.
+      const exits = [];
+      const sweep = (els, fresh, kind) => els.forEach((el, id) => {
+        if (fresh.has(id)) { if (el.parentNode) el.parentNode.removeChild(el); }
+        else exits.push({ el: el, id: id, kind: kind });
+      });
+      sweep(prevEls.nodes, this._nodeEls, 'node');
+      sweep(prevEls.edges, this._edgeEls, 'edge');
+      sweep(prevEls.toggles, this._toggleEls, 'toggle');
+      const fitTo = autoFit && this.container.clientWidth > 0 && this.container.clientHeight > 0
+        ? this._fitTransform(this._bboxFromTree()) : null;
+      this._startTransition(snap, exits, fitTo);
+      return;
+    }
 
     if (autoFit) {
       const self = this;
@@ -604,6 +900,47 @@
     }
   };
 
+  /**
+   * Rebuild the node tree from _lastData and lay it out, without touching the DOM.
+   * Collapse and selection state follow nodes whose id changed (e.g. a path-based
+   * id after a topic edit or move) as long as they are built from the same data object.
+   */
+  Porphyry.prototype._buildModel = function () {
+    const prev = this._nodesById;
+    this._nodesById = new Map();
+    this._reservedIds = _uniqueIds(this._lastData);
+    this._tree = this._buildTree(this._lastData, null, -1, 0, null);
+    this._collapsed = this._rekeyIds(this._collapsed, prev);
+    this._selected  = this._rekeyIds(this._selected, prev);
+    if (this._seedCollapse) {
+      this._seedCollapse = false;
+      this._applyInitialCollapse(this._tree);
+    }
+    this._computeSizes(this._tree);
+    this._computeAdaptiveSpacing(this._tree);
+    this._assignDirections(this._tree);
+    this._assignFlows(this._tree);
+    this._layoutTree(this._tree);
+  };
+
+  /**
+   * Map a set of ids from the previous tree (`prev`) onto the ids the same data
+   * objects received in the current one. Ids with no match are kept as they are.
+   * @returns {Set}
+   */
+  Porphyry.prototype._rekeyIds = function (ids, prev) {
+    if (!ids.size) return ids;
+    const byData = new Map();
+    this._nodesById.forEach(function (n) { byData.set(n._data, n._id); });
+    const next = new Set();
+    ids.forEach(function (id) {
+      const old = prev.get(id);
+      const moved = old ? byData.get(old._data) : undefined;
+      next.add(moved !== undefined ? moved : id);
+    });
+    return next;
+  };
+
   /**
    * Compute a bounding box from node positions without touching the DOM.
    * Skips children of collapsed nodes.
@@ -623,6 +960,8 @@
     };
     walk(this._tree);
     return {
+      x:      minX === Infinity ? 0 : minX,
+      y:      minY === Infinity ? 0 : minY,
       width:  minX === Infinity ? 0 : maxX - minX,
       height: minY === Infinity ? 0 : maxY - minY,
     };
@@ -636,15 +975,7 @@
     try {
       const bbox = this.gMain.getBBox();
       if (!bbox || bbox.width === 0) return;
-      const cw = this.container.clientWidth;
-      const ch = this.container.clientHeight;
-      const p = this.options.fitPadding;
-      const scaleX = (cw - p * 2) / bbox.width;
-      const scaleY = (ch - p * 2) / bbox.height;
-      const scale = Math.min(scaleX, scaleY, 1.4);
-      const tx = cw / 2 - (bbox.x + bbox.width / 2) * scale;
-      const ty = ch / 2 - (bbox.y + bbox.height / 2) * scale;
-      this._pz = { tx, ty, scale };
+      this._pz = this._fitTransform(bbox);
       this._applyTransform();
     } catch (e) {
       // getBBox can fail in some environments
@@ -652,10 +983,33 @@
   };
 
   /**
-   * Tear down the instance: disconnects the ResizeObserver.
+   * The pan/zoom state that centers `bbox` (in graph coordinates) in the container.
+   * @param {{x:number, y:number, width:number, height:number}} bbox
+   * @returns {{tx:number, ty:number, scale:number}}
+   */
+  Porphyry.prototype._fitTransform = function (bbox) {
+    const cw = this.container.clientWidth;
+    const ch = this.container.clientHeight;
+    const p = this.options.fitPadding;
+    const scaleX = (cw - p * 2) / bbox.width;
+    const scaleY = (ch - p * 2) / bbox.height;
+    const scale = Math.min(scaleX, scaleY, 1.4);
+    const tx = cw / 2 - (bbox.x + bbox.width / 2) * scale;
+    const ty = ch / 2 - (bbox.y + bbox.height / 2) * scale;
+    return { tx, ty, scale };
+  };
+
+  /**
+   * Tear down the instance: closes the editor and note popover, and disconnects
+   * the ResizeObserver.
    * Call when removing the container from the DOM.
    */
   Porphyry.prototype.destroy = function () {
+    this._endEdit(false);
+    this._hideNote(true);
+    clearTimeout(this._clickTimer);
+    cancelAnimationFrame(this._nudgeFrame);
+    this._unlistenWindow();
     if (this._resizeObserver) {
       this._resizeObserver.disconnect();
       this._resizeObserver = null;
@@ -670,36 +1024,399 @@
     this._applyTransform();
   };
 
+  // ── Events ─────────────────────────────────────────────────────────────────
+  // nodeclick, nodehover, collapse, expand, edit — { id, node, … }
+  // selectionchange — { ids }
+  // viewportchange — { tx, ty, scale }    render — { root }    resize — { width, height }
+  // move — { id, node, oldParentId, oldIndex, newParentId, newIndex }    nudge — { id, node, offsetX, offsetY }
+
+  /**
+   * Subscribe to an instance event. Handlers are called with the event payload
+   * and `this` bound to the Porphyry instance.
+   * @param {string}   event
+   * @param {Function} handler
+   */
+  Porphyry.prototype.on = function (event, handler) {
+    if (typeof handler !== 'function') return;
+    (this._listeners[event] = this._listeners[event] || []).push(handler);
+  };
+
+  /**
+   * Unsubscribe. With a handler, removes that handler; with only an event name,
+   * removes all handlers for the event; with no arguments, removes every handler.
+   * @param {string}   [event]
+   * @param {Function} [handler]
+   */
+  Porphyry.prototype.off = function (event, handler) {
+    if (event === undefined) { this._listeners = {}; return; }
+    const list = this._listeners[event];
+    if (!list) return;
+    if (handler === undefined) { delete this._listeners[event]; return; }
+    const i = list.indexOf(handler);
+    if (i >= 0) list.splice(i, 1);
+  };
+
+  Porphyry.prototype._emit = function (event, payload) {
+    const list = this._listeners[event];
+    if (!list) return;
+    list.slice().forEach(function (fn) { fn.call(this, payload); }, this);
+  };
+
+  // ── Collapse API ───────────────────────────────────────────────────────────
+  // The root is never collapsed. Unknown ids and leaf nodes are ignored.
+  // Every mutating call re-renders without re-fitting, like the +/− buttons.
+
+  /** Whether `node` can be collapsed: a non-root node with children. */
+  Porphyry.prototype._isCollapsible = function (node) {
+    return !!node && node.depth > 0 && node.children.length > 0;
+  };
+
+  /**
+   * Collapse the subtree under a node.
+   * @param {string} id  node id (see getNode)
+   */
+  Porphyry.prototype.collapse = function (id) {
+    const node = this.getNode(id);
+    if (!this._isCollapsible(node) || this._collapsed.has(node._id)) return;
+    this._collapsed.add(node._id);
+    this._renderInternal(false);
+    this._emit('collapse', { id: node._id, node: this.getNode(node._id) || node });
+  };
+
+  /**
+   * Expand a collapsed node.
+   * @param {string} id  node id (see getNode)
+   */
+  Porphyry.prototype.expand = function (id) {
+    const node = this.getNode(id);
+    if (!node || !this._collapsed.has(node._id)) return;
+    this._collapsed.delete(node._id);
+    this._renderInternal(false);
+    this._emit('expand', { id: node._id, node: this.getNode(node._id) || node });
+  };
+
+  /**
+   * Collapse a node if it is expanded, expand it if it is collapsed.
+   * @param {string} id  node id (see getNode)
+   */
+  Porphyry.prototype.toggle = function (id) {
+    if (this.isCollapsed(id)) this.expand(id);
+    else                      this.collapse(id);
+  };
+
+  /**
+   * @param {string} id  node id (see getNode)
+   * @returns {boolean} true if the node is collapsed
+   */
+  Porphyry.prototype.isCollapsed = function (id) {
+    const node = this.getNode(id);
+    return !!node && this._collapsed.has(node._id);
+  };
+
+  /** Expand every node. */
+  Porphyry.prototype.expandAll = function () {
+    if (!this._tree) return;
+    const before = new Set(this._collapsed);
+    this._collapsed.clear();
+    this._renderInternal(false);
+    this._emitCollapseChanges(before);
+  };
+
+  /** Collapse every first-level branch, leaving only the root and its children visible. */
+  Porphyry.prototype.collapseAll = function () {
+    this.expandToDepth(1);
+  };
+
+  /**
+   * Show nodes down to depth `n` and collapse everything deeper:
+   * nodes at depth ≥ n are collapsed, shallower nodes are expanded.
+   * @param {number} n  deepest visible depth (the root is depth 0; values below 1 act as 1)
+   */
+  Porphyry.prototype.expandToDepth = function (n) {
+    if (!this._tree) return;
+    const before = new Set(this._collapsed);
+    this._collapsed.clear();
+    this._collapseBelow(this._tree, Math.max(1, n));
+    this._renderInternal(false);
+    this._emitCollapseChanges(before);
+  };
+
+  /** Emit collapse/expand for every node of the tree whose state differs from `before`. */
+  Porphyry.prototype._emitCollapseChanges = function (before) {
+    this._nodesById.forEach((node, id) => {
+      const was = before.has(id), is = this._collapsed.has(id);
+      if (was !== is) this._emit(is ? 'collapse' : 'expand', { id: id, node: node });
+    });
+  };
+
+  /** Add every collapsible node at depth ≥ n under `node` to the collapsed set. */
+  Porphyry.prototype._collapseBelow = function (node, n) {
+    if (node.depth >= n && this._isCollapsible(node)) this._collapsed.add(node._id);
+    node.children.forEach(c => this._collapseBelow(c, n));
+  };
+
+  /**
+   * Seed the collapsed set for a fresh render() from the `expandDepth` option
+   * and per-node `collapsed: true` data fields.
+   */
+  Porphyry.prototype._applyInitialCollapse = function (root) {
+    const depth = this.options.expandDepth;
+    if (typeof depth === 'number') this._collapseBelow(root, Math.max(1, depth));
+    const walk = (node) => {
+      if (node._startCollapsed && this._isCollapsible(node)) this._collapsed.add(node._id);
+      node.children.forEach(walk);
+    };
+    walk(root);
+  };
+
+  /**
+   * Look up a node of the current tree by id.
+   * @param {string} id  the data `id`, or the path-based fallback key
+   * @returns {Object|null}
+   */
+  Porphyry.prototype.getNode = function (id) {
+    return this._nodesById.get(String(id)) || null;
+  };
+
+  // ── Data API ───────────────────────────────────────────────────────────────
+  // Mutate the data passed to render() in place, re-layout, and patch only the
+  // SVG elements that changed (see _patchTree) instead of redrawing the map.
+  // Unknown ids and invalid operations (removing or moving the root, moving a
+  // node into its own subtree) are ignored.
+
+  /** Re-layout from _lastData and patch the drawing, animating the change; no re-fit. */
+  Porphyry.prototype._patchRender = function () {
+    this._stopTransition();
+    const snap = this._transitionMs() > 0 ? this._snapshot() : null;
+    this._buildModel();
+    const exits = snap ? [] : null;
+    this._patchTree(this._tree, exits);
+    if (snap) this._startTransition(snap, exits, null);
+    this._emit('render', { root: this._tree });
+  };
+
+  /** Insert `item` into `list` at `index` (appends when index is omitted or out of range). */
+  function _insertAt(list, item, index) {
+    const i = typeof index === 'number' && index >= 0 && index <= list.length ? index : list.length;
+    list.splice(i, 0, item);
+  }
+
+  /**
+   * Add a node (with any children it carries) under a parent.
+   * @param {string} parentId  id of the parent node
+   * @param {Object} data      node data, same format as render()
+   * @param {number} [index]   position among the parent's children; default = last
+   * @returns {string|null} id of the new node, or null if the parent was not found
+   */
+  Porphyry.prototype.addNode = function (parentId, data, index) {
+    const parent = this.getNode(parentId);
+    if (!parent || !data) return null;
+    if (!Array.isArray(parent._data.children)) parent._data.children = [];
+    _insertAt(parent._data.children, data, index);
+    this._patchRender();
+    const added = this._findByData(data);
+    return added ? added._id : null;
+  };
+
+  /**
+   * Shallow-merge `patch` into a node's data, e.g. `{ topic: 'Renamed', url: null }`.
+   * @param {string} id
+   * @param {Object} patch
+   */
+  Porphyry.prototype.updateNode = function (id, patch) {
+    const node = this.getNode(id);
+    if (!node || !patch) return;
+    Object.assign(node._data, patch);
+    this._patchRender();
+  };
+
+  /**
+   * Remove a node and its subtree.
+   * @param {string} id
+   */
+  Porphyry.prototype.removeNode = function (id) {
+    const node = this.getNode(id);
+    if (!node || !node.parent) return;
+    const siblings = node.parent._data.children;
+    siblings.splice(siblings.indexOf(node._data), 1);
+    this._collapsed.delete(node._id);
+    this._patchRender();
+  };
+
+  /**
+   * Move a node (with its subtree) under a new parent.
+   * @param {string} id
+   * @param {string} newParentId
+   * @param {number} [index]  position among the new parent's children, counted
+   *                          after the node is removed from its old place; default = last
+   */
+  Porphyry.prototype.moveNode = function (id, newParentId, index) {
+    const node   = this.getNode(id);
+    const target = this.getNode(newParentId);
+    if (!node || !node.parent || !target) return;
+    for (let n = target; n; n = n.parent) {
+      if (n === node) return;   // can't move a node into its own subtree
+    }
+    const siblings = node.parent._data.children;
+    siblings.splice(siblings.indexOf(node._data), 1);
+    if (!Array.isArray(target._data.children)) target._data.children = [];
+    _insertAt(target._data.children, node._data, index);
+    this._patchRender();
+  };
+
+  /**
+   * A deep copy of the current data, including every change made through the
+   * data API, inline editing, dragging and nudging (`offsetX`/`offsetY`), ready
+   * to be saved as JSON and passed back to render(). Functions such as
+   * `onclick` handlers are left out.
+   * @returns {Object|null} null before the first render()
+   */
+  Porphyry.prototype.getData = function () {
+    return this._lastData ? JSON.parse(JSON.stringify(this._lastData)) : null;
+  };
+
+  /** The node of the current tree built from `data`, or null. */
+  Porphyry.prototype._findByData = function (data) {
+    let found = null;
+    this._nodesById.forEach(function (n) { if (n._data === data) found = n; });
+    return found;
+  };
+
   // ── Tree Building ──────────────────────────────────────────────────────────
 
-  Porphyry.prototype._buildTree = function (data, parent, colorIdx, depth) {
+  /**
+   * Build the internal node tree from data.
+   * Each node's `_id` is the data's `id` field when present and unique in the data
+   * (this._reservedIds, see _uniqueIds), otherwise a deterministic key derived from
+   * the topic path (see _pathKey). Because ids do not depend on traversal order,
+   * collapse state survives reordering and insertion.
+   * @param {string|null} key  fallback id computed by the parent; null for the root
+   */
+  Porphyry.prototype._buildTree = function (data, parent, colorIdx, depth, key) {
+    const topic = data.topic || '';
+    let id = data.id !== undefined && data.id !== null ? String(data.id) : null;
+    if (id === null || !this._reservedIds.has(id)) {
+      // A path key may equal an explicit id anywhere in the data (reserved up front,
+      // so before or after this node) or, through escapes, a key already given out:
+      // suffix it until it is free, so no node ever replaces another in the map
+      id = key !== null ? key : _pathKey(null, topic, 0);
+      const taken = k => this._reservedIds.has(k) || this._nodesById.has(k);
+      if (taken(id)) {
+        let n = 1;
+        while (taken(id + '~~' + n)) n++;
+        id = id + '~~' + n;
+      }
+    }
+
     const node = {
-      topic: data.topic || '',
+      topic: topic,
       url: data.url || null,            // optional link; null = no link
       onclick: (!data.url && typeof data.onclick === 'function') ? data.onclick : null, // custom click handler (url takes priority)
       direction: data.direction || null, // 'left' | 'right' | null (auto)
+      layout: depth > 0 && SUBTREE_LAYOUTS.indexOf(data.layout) !== -1 ? data.layout : null, // flow of the descendants
+      date: data.date != null ? data.date : null, // position on the timeline layout's axis
+      offsetX: Number(data.offsetX) || 0, // manual nudge applied on top of the layout (px)
+      offsetY: Number(data.offsetY) || 0,
+      style: null,                      // own `style` over any inherited one, see below
+      image: _imageOf(data.image),      // { src, width, height, position } | null
+      icon: data.icon ? String(data.icon) : null, // emoji or symbol drawn before the text
+      note: data.note ? String(data.note) : null, // longer text shown in a popover
       depth: depth,
       parent: parent,
       colorIdx: colorIdx, // -1 for center
       children: [],
-      _id: this._nodeIdCounter++,      // stable ID for collapse tracking
+      _id: id,                          // stable ID for collapse tracking and lookups
+      _startCollapsed: data.collapsed === true, // initial state applied by render()
+      _data: data,                      // source object, mutated by the data API
       // Layout
       x: 0, y: 0,
       width: 0, height: 0,
       fontSize: 0,
     };
+    // A `style` with inherit: true cascades to the descendants (under their own styles)
+    const inherited = parent ? parent._cascade : null;
+    const own = data.style && typeof data.style === 'object' ? data.style : null;
+    node.style    = own ? Object.assign({}, inherited, own) : inherited;
+    node._cascade = own && own.inherit ? node.style : inherited;
+    this._nodesById.set(id, node);
 
     if (Array.isArray(data.children)) {
+      const seen = new Map();   // topic → occurrences so far, to tell same-named siblings apart
       data.children.forEach(function (childData, i) {
         // Color index: root children each get a new color; descendants inherit
-        const ci = depth === 0 ? i % DEFAULT_COLORS.length : colorIdx;
-        node.children.push(this._buildTree(childData, node, ci, depth + 1));
+        const ci  = depth === 0 ? i % DEFAULT_COLORS.length : colorIdx;
+        const t   = childData.topic || '';
+        const dup = seen.get(t) || 0;
+        seen.set(t, dup + 1);
+        node.children.push(this._buildTree(childData, node, ci, depth + 1, _pathKey(id, t, dup)));
       }, this);
     }
 
     return node;
   };
 
+  /** Explicit `id`s that occur exactly once in the data; a shared id is ignored by every node using it. */
+  function _uniqueIds(data) {
+    const count = new Map();
+    const walk = function (d) {
+      if (d.id !== undefined && d.id !== null) count.set(String(d.id), (count.get(String(d.id)) || 0) + 1);
+      if (Array.isArray(d.children)) d.children.forEach(walk);
+    };
+    walk(data);
+    const ids = new Set();
+    count.forEach(function (n, id) { if (n === 1) ids.add(id); });
+    return ids;
+  }
+
+  /**
+   * Fallback node id: the parent's id and the node's topic joined by '/',
+   * with '~n' appended for the n-th (zero-based) repeat of a topic among siblings.
+   * e.g. 'Root/Goals/Docs', 'Root/Goals/Docs~1'. A '/', '~' or '\' in the topic
+   * is escaped with '\', so 'A/B' under the root never meets 'B' under 'A'.
+   */
+  function _pathKey(parentId, topic, dup) {
+    const esc = topic.replace(/[\\/~]/g, '\\$&');
+    const own = dup ? esc + '~' + dup : esc;
+    return parentId === null ? own : parentId + '/' + own;
+  }
+
+  // ── Node Styles ────────────────────────────────────────────────────────────
+  // A node's `style` overrides the theme for that node: `color` replaces its
+  // palette color, `edgeColor`/`edgeWidth` restyle the edge leading to it, and
+  // the keys below replace the matching center / branch / leaf option.
+
+  const NODE_STYLE_KEYS = ['bgColor', 'fontColor', 'fontSize', 'fontWeight', 'border', 'borderColor', 'radius', 'shape'];
+
+  /** The center / branch / leaf options for a node's depth, with its style applied. */
+  Porphyry.prototype._nodeOpts = function (node) {
+    const o = this.options;
+    const base = node.depth === 0 ? o.center : node.depth === 1 ? o.branch : o.leaf;
+    if (!node.style) return base;
+    const out = Object.assign({}, base);
+    NODE_STYLE_KEYS.forEach(function (k) {
+      if (node.style[k] !== undefined && node.style[k] !== null) out[k] = node.style[k];
+    });
+    return out;
+  };
+
+  /** A node's accent color: its style's `color`, else its branch color (the center's fill for the root). */
+  Porphyry.prototype._nodeColor = function (node) {
+    if (node.style && node.style.color) return node.style.color;
+    return node.depth === 0 ? this.options.center.bgColor : this.options.colors[node.colorIdx];
+  };
+
+  /** Stroke color of the edge leading to `child`. */
+  Porphyry.prototype._edgeColor = function (child) {
+    return (child.style && child.style.edgeColor) || this._nodeColor(child);
+  };
+
+  /** Stroke width of the edge from `parent` to `child`: by the parent's depth unless the child's style sets it. */
+  Porphyry.prototype._edgeWidth = function (parent, child) {
+    if (child.style && child.style.edgeWidth != null) return child.style.edgeWidth;
+    const w = this.options.edgeWidth;
+    return parent.depth === 0 ? w.root : parent.depth === 1 ? w.branch : w.leaf;
+  };
+
   Porphyry.prototype._assignDirections = function (root) {
     const layout = this.options.layout;
 
@@ -715,6 +1432,24 @@
       return;
     }
 
+    if (layout === 'radial') {
+      // Provisional: _layoutRadial re-sets each visible node's side from its angle
+      root.children.forEach(c => _propagateDir(c, 'right'));
+      return;
+    }
+
+    if (layout === 'fishbone') {
+      // The spine runs left from the head; every bone grows leftward
+      root.children.forEach(c => _propagateDir(c, 'left'));
+      return;
+    }
+
+    if (layout === 'timeline') {
+      // Milestones run rightward along the axis; _assignFlows picks each child's side
+      root.children.forEach(c => _propagateDir(c, 'right'));
+      return;
+    }
+
     if (layout === 'right') {
       root.children.forEach(c => _propagateDir(c, 'right'));
       return;
@@ -724,34 +1459,139 @@
     const fixed  = root.children.filter(c => c.direction === 'left' || c.direction === 'right');
     const floats = root.children.filter(c => !c.direction);
 
-    let rightCount = fixed.filter(c => c.direction === 'right').length;
-    let leftCount  = fixed.filter(c => c.direction === 'left').length;
+    const balance = this.options.balance;
 
-    floats.forEach(c => {
-      if (rightCount <= leftCount) { c.direction = 'right'; rightCount++; }
-      else                         { c.direction = 'left';  leftCount++;  }
-    });
+    if (balance === 'weight' || balance === 'order') {
+      const weight = this._branchWeights(root);
+      let right = 0, left = 0;
+      fixed.forEach(c => { if (c.direction === 'right') right += weight.get(c); else left += weight.get(c); });
+
+      if (balance === 'weight') {
+        // Heaviest first, each onto the lighter side (ties go right)
+        floats.slice().sort((a, b) => weight.get(b) - weight.get(a)).forEach(c => {
+          if (right <= left) { c.direction = 'right'; right += weight.get(c); }
+          else               { c.direction = 'left';  left  += weight.get(c); }
+        });
+      } else {
+        // The first k floating branches go right, the rest left — pick the most even k
+        const rest = floats.reduce((sum, c) => sum + weight.get(c), 0);
+        let best = 0, bestDiff = Infinity, head = 0;
+        for (let k = 0; k <= floats.length; k++) {
+          const diff = Math.abs((right + head) - (left + rest - head));
+          if (diff <= bestDiff) { best = k; bestDiff = diff; }
+          if (k < floats.length) head += weight.get(floats[k]);
+        }
+        floats.forEach((c, i) => { c.direction = i < best ? 'right' : 'left'; });
+      }
+    } else {
+      let rightCount = fixed.filter(c => c.direction === 'right').length;
+      let leftCount  = fixed.filter(c => c.direction === 'left').length;
+
+      floats.forEach(c => {
+        if (rightCount <= leftCount) { c.direction = 'right'; rightCount++; }
+        else                         { c.direction = 'left';  leftCount++;  }
+      });
+    }
 
     root.children.forEach(c => _propagateDir(c, c.direction));
   };
 
+  /**
+   * Height each first-level branch would take up on its side (_subtreeHeight),
+   * measured with the branches provisionally on the right. Needs sizes and spacing.
+   * @returns {Map<Object, number>}
+   */
+  Porphyry.prototype._branchWeights = function (root) {
+    const pinned = root.children.map(c => c.direction);
+    root.children.forEach(c => _propagateDir(c, c.direction || 'right'));
+    this._assignFlows(root);
+    const weight = new Map();
+    root.children.forEach((c, i) => {
+      weight.set(c, this._subtreeHeight(c));
+      c.direction = pinned[i];
+    });
+    this._nodesById.forEach(n => { n._box = null; });
+    return weight;
+  };
+
   function _propagateDir(node, dir) {
     node.direction = dir;
     node.children.forEach(function (c) { _propagateDir(c, dir); });
   }
 
+  /** Values a node's `layout` field may take to re-arrange its descendants. */
+  const SUBTREE_LAYOUTS = ['right', 'left', 'down', 'up', 'list'];
+
+  /**
+   * Work out how each node arranges its children. node._flow is the node's own
+   * `layout` field when it has one, otherwise its parent's flow (the root's is
+   * options.layout; its children in horizontal layouts inherit their side).
+   * A node whose flow differs from the one it is placed by is a subtree override
+   * (node._override): its parent places it as a single block, see _localBox.
+   * Children take the flow they are placed by as their `direction` — for lists,
+   * the side the list indents toward. Overrides are ignored in the radial layout.
+   */
+  Porphyry.prototype._assignFlows = function (root) {
+    const layout = this.options.layout;
+    root._flow = layout;
+    root._override = false;
+
+    const walk = (node, placedBy, fallback) => {
+      node._flow = node.layout && layout !== 'radial' ? node.layout : (fallback || placedBy);
+      node._override = node._flow !== placedBy;
+      const childDir = node._flow === 'list'
+        ? (node.direction === 'left' ? 'left' : 'right')
+        : node._flow;
+      node.children.forEach(c => {
+        if (layout !== 'radial') c.direction = childDir;
+        walk(c, node._flow);
+      });
+    };
+
+    // Fishbone ribs carry their causes as horizontal bones ('bone' flow); from
+    // there on the causes grow leftward and may use their own layouts.
+    if (layout === 'fishbone') {
+      root.children.forEach(c => {
+        c._flow = 'bone';
+        c._override = false;
+        c.children.forEach(gc => walk(gc, 'left'));
+      });
+      return;
+    }
+
+    // Timeline milestones stack their children above and below the axis in turn
+    // ('stack' flow); each child is a block growing rightward unless it has a layout.
+    if (layout === 'timeline') {
+      root.children.forEach(m => {
+        m._flow = 'stack';
+        m._override = false;
+        m.children.forEach((c, j) => {
+          c.direction = j % 2 ? 'down' : 'up';
+          walk(c, 'stack', 'right');
+        });
+      });
+      return;
+    }
+
+    const sided = layout !== 'down' && layout !== 'up' && layout !== 'radial';
+    root.children.forEach(c => walk(c, sided ? c.direction : layout));
+  };
+
   // ── Size Computation ───────────────────────────────────────────────────────
 
-  Porphyry.prototype._measureText = function (text, fontSize, fontWeight) {
+  /**
+   * Width of `text` in px. `italic` and `mono` (the code font) describe rich-text runs.
+   */
+  Porphyry.prototype._measureText = function (text, fontSize, fontWeight, italic, mono) {
     const fw = fontWeight || '700';
-    const key = text + ':' + fontSize + ':' + fw;
+    const key = text + ':' + fontSize + ':' + fw + (italic ? ':i' : '') + (mono ? ':m' : '');
     if (this._textCache[key]) return this._textCache[key];
 
     if (!this._measureCanvas) {
       this._measureCanvas = document.createElement('canvas');
       this._measureCtx = this._measureCanvas.getContext('2d');
     }
-    this._measureCtx.font = fw + ' ' + fontSize + 'px system-ui, -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif';
+    this._measureCtx.font = (italic ? 'italic ' : '') + fw + ' ' + fontSize + 'px ' + (mono ? MONO_FONT : SANS_FONT);
     const w = this._measureCtx.measureText(text).width;
     this._textCache[key] = w;
     return w;
@@ -760,46 +1600,90 @@
   Porphyry.prototype._computeSizes = function (node) {
     const o = this.options;
     const wf = this._widthFactor || 1;
-    let fs, fw, px, py, maxW;
-
-    if (node.depth === 0) {
-      fs = o.center.fontSize; fw = o.center.fontWeight; px = o.center.paddingX; py = o.center.paddingY; maxW = o.center.maxWidth * wf;
-    } else if (node.depth === 1) {
-      fs = o.branch.fontSize; fw = o.branch.fontWeight; px = o.branch.paddingX; py = o.branch.paddingY; maxW = o.branch.maxWidth * wf;
+    const no = this._nodeOpts(node);   // per-depth options + the node's style
+    const fs = no.fontSize, fw = no.fontWeight, px = no.paddingX, py = no.paddingY;
+    const maxW = no.maxWidth * wf;
+
+    const hasAction = (node.url || node.onclick) && o.showLinkIcons;
+    const hasNote   = node.note && o.notes;
+    const iconExtra = (hasAction || hasNote ? LINK_ICON_SPACE : 0) + (hasAction && hasNote ? NOTE_ICON_SPACE : 0);
+    // The node's own `shape` field beats the per-depth option; see _shapeSize
+    const shape = NODE_SHAPES.indexOf(node._data.shape) !== -1 ? node._data.shape
+                : NODE_SHAPES.indexOf(no.shape) !== -1 ? no.shape : 'rect';
+    // Room taken beside the text by an icon and a left image
+    const img  = node.image;
+    const gap  = o.image.gap;
+    const imgW = img ? img.width  || o.image.width  : 0;
+    const imgH = img ? img.height || o.image.height : 0;
+    const imgPos = img && (img.position || o.image.position) === 'top' ? 'top' : 'left';
+    const iconSize = node.icon ? Math.round(fs * ICON_SCALE) : 0;
+    const iconW = node.icon ? this._measureText(node.icon, iconSize, '400') : 0;
+    const sideW = (node.icon ? iconW + gap : 0) + (img && imgPos === 'left' ? imgW + gap : 0);
+    // The content area width available for text (inside padding, minus icons and images)
+    const maxContentW = Math.max(maxW - px * 2 - iconExtra - sideW, fs * 3);
+
+    // Topics with inline markup wrap run by run, each measured in its own style
+    const rich = o.richText ? _parseRich(node.topic) : null;
+    let lines, maxLineW;
+    if (rich) {
+      const bw = _boldWeight(fw);
+      const measureRun = (r) => this._measureText(r.text, fs, r.bold ? bw : fw, r.italic, r.code);
+      const lineW = (line) => line.reduce((w, r) => w + measureRun(r), 0);
+      node.runs = _wrapRuns(rich, maxContentW, measureRun);
+      lines = node.runs.map(line => line.map(r => r.text).join(''));
+      maxLineW = node.runs.reduce((m, line) => Math.max(m, lineW(line)), 0);
     } else {
-      fs = o.leaf.fontSize;   fw = o.leaf.fontWeight;   px = o.leaf.paddingX;   py = o.leaf.paddingY;   maxW = o.leaf.maxWidth   * wf;
+      const measure = (t) => this._measureText(t, fs, fw);
+      node.runs = null;
+      lines = wrapText(node.topic, maxContentW, measure);
+      maxLineW = lines.reduce((m, l) => Math.max(m, measure(l)), 0);
     }
-
-    const iconExtra = (node.url || node.onclick) && o.showLinkIcons ? LINK_ICON_SPACE : 0;
-    // The content area width available for text (inside padding, minus icon)
-    const maxContentW = maxW - px * 2 - iconExtra;
-
-    const measure = (t) => this._measureText(t, fs, fw);
-    const lines = wrapText(node.topic, maxContentW, measure);
+    // Plain text, for accessible names
+    node.text = rich ? rich.map(r => r.text).join('') : node.topic;
 
     // Actual width = widest line + padding + icon, capped at maxW.
     // Add a 4px buffer to guard against Canvas measurement underestimating
     // actual SVG render width, which would eat into visual padding.
-    const maxLineW = lines.reduce((m, l) => Math.max(m, measure(l)), 0);
     const lh = fs * o.lineHeight;
+    const content = _layoutMedia(node, maxLineW, lines.length * lh,
+      { width: imgW, height: imgH, position: imgPos }, { width: iconW, size: iconSize }, gap);
+
+    // Curved and slanted shapes add room of their own around the text box: half the padding
+    const sp = shape === 'rect' ? 1 : 0.5;
+    const padW = px * 2 * sp + iconExtra;
+    // Only the text column is capped (a long word can outgrow the wrap width):
+    // an image above the text keeps its full width, even past maxWidth
+    const textSlack = Math.min(4, Math.max(maxW - padW - sideW, 0) - maxLineW);
+    const boxW = padW + Math.max(content.width + textSlack, img && imgPos === 'top' ? imgW : 0);
+    const boxH = content.height + py * 2 * sp;
+    const size = _shapeSize(shape, boxW, boxH);
 
     node.fontSize   = fs;
     node.lineHeight = Math.round(lh);
-    node.paddingX   = px;
-    node.paddingY   = py;
+    node.paddingX   = px * sp;
+    node.paddingY   = py * sp;
     node.lines      = lines;                                          // ← new
-    node.width      = Math.ceil(Math.min(maxLineW + 4 + px * 2 + iconExtra, maxW));
-    node.height     = Math.ceil(lines.length * lh + py * 2);
+    node.shape      = shape;
+    node.boxWidth   = Math.ceil(boxW);                                // text box, inscribed in the shape
+    node.iconSpace  = iconExtra;                                      // link and note icons, right of the content
+    node.width      = Math.ceil(size.width);
+    node.height     = Math.ceil(size.height);
 
     node.children.forEach(c => this._computeSizes(c));
   };
 
   // ── Layout ─────────────────────────────────────────────────────────────────
 
-  /** Returns the deepest depth value in the subtree. */
-  Porphyry.prototype._maxDepth = function (node) {
-    if (!node.children.length) return node.depth;
-    return Math.max(...node.children.map(c => this._maxDepth(c)));
+  /**
+   * Number of columns along the longest path from the root: levels placed by a
+   * vertical or list flow don't add one. Flows are resolved from options.layout
+   * and each node's `layout` the way _assignFlows does, which runs later.
+   */
+  Porphyry.prototype._columnDepth = function (root) {
+    const radial = this.options.layout === 'radial';
+    const walk = (node, flow) => node.children.reduce((max, c) => Math.max(max,
+      (_isVerticalFlow(flow) || flow === 'list' ? 0 : 1) + walk(c, c.layout && !radial ? c.layout : flow)), 0);
+    return walk(root, this.options.layout);
   };
 
   /**
@@ -814,19 +1698,8 @@
     const o = this.options;
     const sm = typeof o.spacing === 'number' ? o.spacing : 1;
 
-    // Vertical layouts — apply preset only, no depth-adaptive scaling
-    if (o.layout === 'up' || o.layout === 'down') {
-      this._sp = {
-        branchSpacingX:    Math.round(o.branchSpacingX    * sm),
-        subSpacingX:       Math.round(o.subSpacingX       * sm),
-        verticalSpacingY:  Math.round(o.verticalSpacingY  * sm),
-        horizontalSpacing: Math.round(o.horizontalSpacing * sm),
-        verticalSpacing:   Math.round(o.verticalSpacing   * sm),
-      };
-      return;
-    }
-
-    const maxD = this._maxDepth(root);
+    // Depth in columns (see _columnDepth): a vertical map gets the preset alone
+    const maxD = this._columnDepth(root);
 
     const MIN_FACTOR    = 0.45;
     const FULL_UP_TO    = 2;
@@ -844,10 +1717,16 @@
       verticalSpacingY:  Math.round(o.verticalSpacingY  * sm),
       horizontalSpacing: Math.round(o.horizontalSpacing * sm),
       verticalSpacing:   Math.round(o.verticalSpacing   * sm),
+      listIndent:        Math.round(o.listIndent        * sm),
+      listSpacing:       Math.round(o.listSpacing       * sm),
     };
   };
   Porphyry.prototype._subtreeHeight = function (node) {
     const vs = this._sp ? this._sp.verticalSpacing : this.options.verticalSpacing;
+    if (node._override) {
+      const b = this._localBox(node);
+      return b.bottom - b.top + vs;
+    }
     if (!node.children.length || this._collapsed.has(node._id)) {
       return node.height + vs;
     }
@@ -858,26 +1737,59 @@
   Porphyry.prototype._layoutTree = function (root) {
     root.x = 0;
     root.y = 0;
+    this._nodesById.forEach(n => { n._box = null; });
 
     const layout = this.options.layout;
 
     if (layout === 'down' || layout === 'up') {
-      this._layoutVerticalNode(root, layout === 'down' ? 1 : -1);
-      return;
+      const sign = layout === 'down' ? 1 : -1;
+      if (this.options.compact) this._tidyContour(root, true, sign);
+      this._layoutVerticalNode(root, sign);
+    } else if (layout === 'radial') {
+      this._layoutRadial(root);
+    } else if (layout === 'fishbone') {
+      this._layoutFishbone(root);
+    } else if (layout === 'timeline') {
+      this._layoutTimeline(root);
+    } else {
+      this._layoutHorizontal(root);
     }
+    this._applyOffsets(root);
+  };
 
+  /** Horizontal layouts: stack the root's branches on its right and left sides. */
+  Porphyry.prototype._layoutHorizontal = function (root) {
+    const layout = this.options.layout;
     const rightBranches = root.children.filter(c => c.direction === 'right');
     const leftBranches  = root.children.filter(c => c.direction === 'left');
+    // Clockwise reading order: the left side runs bottom to top
+    if (layout === 'auto' && this.options.balance === 'order') leftBranches.reverse();
 
     this._layoutSide(root, rightBranches, 'right');
     this._layoutSide(root, leftBranches, 'left');
   };
 
+  /**
+   * Move every visible node with an `offsetX`/`offsetY` by that much from where
+   * the layout put it, carrying its subtree along. Offsets nest: a nudged node
+   * inside a nudged branch moves by both. The root stays at the origin.
+   */
+  Porphyry.prototype._applyOffsets = function (node) {
+    if (node.depth > 0 && (node.offsetX || node.offsetY)) {
+      this._shiftSubtree(node, node.x + node.offsetX, node.y + node.offsetY);
+    }
+    if (!this._collapsed.has(node._id)) node.children.forEach(c => this._applyOffsets(c));
+  };
+
   /**
    * Returns the total horizontal space needed by a subtree in vertical layouts.
    */
   Porphyry.prototype._subtreeWidth = function (node) {
     const hs = this._sp ? this._sp.horizontalSpacing : this.options.horizontalSpacing;
+    if (node._override) {
+      const b = this._localBox(node);
+      return b.right - b.left + hs;
+    }
     if (!node.children.length || this._collapsed.has(node._id)) {
       return node.width + hs;
     }
@@ -897,18 +1809,344 @@
     // The near edge of the children row (top edge for down, bottom for up)
     const edgeY = node.y + sign * (node.height / 2 + (this._sp ? this._sp.verticalSpacingY : o.verticalSpacingY));
 
+    // Compact mode — offsets were worked out by _tidyContour
+    if (o.compact) {
+      node.children.forEach(child => this._placeVertical(child, node.x + child._tidyOffset, edgeY, sign));
+      return;
+    }
+
     const widths = node.children.map(c => this._subtreeWidth(c));
     const totalW = widths.reduce((a, b) => a + b, 0);
     let x = node.x - totalW / 2;
 
     node.children.forEach((child, i) => {
-      child.x = Math.round(x + widths[i] / 2);
-      child.y = Math.round(edgeY + sign * child.height / 2);
-      this._layoutVerticalNode(child, sign);
+      this._placeVertical(child, x + widths[i] / 2, edgeY, sign);
       x += widths[i];
     });
   };
 
+  /**
+   * Place a child of a vertical-flow node: centered on cx across the row, with
+   * its near edge on edgeY. Subtree overrides are centered and aligned as a block.
+   */
+  Porphyry.prototype._placeVertical = function (child, cx, edgeY, sign) {
+    if (child._override) {
+      const b = this._localBox(child);
+      this._shiftSubtree(child,
+        Math.round(cx - (b.left + b.right) / 2),
+        Math.round(sign > 0 ? edgeY - b.top : edgeY - b.bottom));
+      return;
+    }
+    child.x = Math.round(cx);
+    child.y = Math.round(edgeY + sign * child.height / 2);
+    this._arrange(child);
+  };
+
+  /**
+   * Reingold–Tilford style contour of a subtree, used by the compact layouts.
+   * One band per depth level, relative to the subtree root's center: `from`/`to`
+   * span the growth axis (y in up/down layouts, x in left/right ones) and
+   * `lo`/`hi` span the sibling axis. Works bottom-up, packing each node's children
+   * with _tidyPack and storing each child's offset from its parent along the
+   * sibling axis as child._tidyOffset.
+   * @param {Object}  node
+   * @param {boolean} vertical  true for up/down, false for left/right
+   * @param {number}  sign      +1 for down/right, -1 for up/left
+   * @returns {Array<{from:number, to:number, lo:number, hi:number}>}
+   */
+  Porphyry.prototype._tidyContour = function (node, vertical, sign) {
+    const main  = vertical ? node.height : node.width;
+    const cross = vertical ? node.width  : node.height;
+    const own   = { from: -main / 2, to: main / 2, lo: -cross / 2, hi: cross / 2 };
+    if (!node.children.length || this._collapsed.has(node._id)) return [own];
+
+    const sp = this._sp;
+    const near = vertical ? node.height / 2 + sp.verticalSpacingY : node.width / 2 + sp.subSpacingX;
+    const shapes = node.children.map(c => this._childContour(c, vertical, sign, near));
+    const offsets = _tidyPack(shapes, vertical ? sp.horizontalSpacing : sp.verticalSpacing);
+
+    const bands = [own];
+    node.children.forEach((c, i) => {
+      c._tidyOffset = offsets[i];
+      _shiftBands(shapes[i], 0, offsets[i]).forEach((b, d) => {
+        const band = bands[d + 1];
+        if (!band) {
+          bands[d + 1] = b;
+        } else {
+          band.from = Math.min(band.from, b.from);
+          band.to   = Math.max(band.to, b.to);
+          band.lo   = Math.min(band.lo, b.lo);
+          band.hi   = Math.max(band.hi, b.hi);
+        }
+      });
+    });
+    return bands;
+  };
+
+  /**
+   * Contour of a child subtree in its parent's frame along the growth axis, its
+   * near edge `near` px from the parent's center. Across the sibling axis it is
+   * relative to the child's slot: its center, or for a subtree override the
+   * middle of its block, which is then a single band.
+   */
+  Porphyry.prototype._childContour = function (child, vertical, sign, near) {
+    if (child._override) {
+      const b = this._localBox(child);
+      const from = vertical ? b.top  : b.left,  to = vertical ? b.bottom : b.right;
+      const lo   = vertical ? b.left : b.top,   hi = vertical ? b.right  : b.bottom;
+      const rel  = sign > 0 ? near - from : -near - to;
+      const mid  = (lo + hi) / 2;
+      return [{ from: from + rel, to: to + rel, lo: lo - mid, hi: hi - mid }];
+    }
+    const main = vertical ? child.height : child.width;
+    return _shiftBands(this._tidyContour(child, vertical, sign), sign * (near + main / 2), 0);
+  };
+
+  /** Copy of a band list moved by dMain along the growth axis and dCross across it. */
+  function _shiftBands(bands, dMain, dCross) {
+    return bands.map(b => ({
+      from: b.from + dMain, to: b.to + dMain, lo: b.lo + dCross, hi: b.hi + dCross,
+    }));
+  }
+
+  /**
+   * Pack sibling contours (already in their parent's frame along the growth axis)
+   * along the sibling axis: each is pushed just far enough that no two bands
+   * sharing a span of the growth axis come closer than `gap`. Siblings are packed
+   * once from each end and the two placements averaged, so small subtrees between
+   * large ones spread evenly instead of piling up on one side — both placements
+   * satisfy every pairwise gap, and so does their average.
+   * Returns whole-pixel offsets centered on the first and last sibling.
+   */
+  function _tidyPack(shapes, gap) {
+    const pack = (list, order) => {
+      const offsets = [];
+      const placed  = [];
+      order.forEach((i, k) => {
+        let off = -Infinity;
+        placed.forEach(a => list[i].forEach(b => {
+          if (a.from < b.to && b.from < a.to) off = Math.max(off, Math.ceil(a.hi - b.lo + gap));
+        }));
+        offsets[i] = k === 0 ? 0 : off === -Infinity ? offsets[order[k - 1]] : off;
+        placed.push(..._shiftBands(list[i], 0, offsets[i]));
+      });
+      return offsets;
+    };
+
+    const n = shapes.length;
+    const order = shapes.map((_, i) => i);
+    const fromStart = pack(shapes, order);
+    // Packing the mirrored contours in reverse order gives the placement from the
+    // far end; mirror it back and line its last sibling up with the first pass.
+    const mirrored = shapes.map(sh => sh.map(b => ({ from: b.from, to: b.to, lo: -b.hi, hi: -b.lo })));
+    const fromEnd  = pack(mirrored, order.slice().reverse());
+    const shift = fromStart[n - 1] + fromEnd[n - 1];
+    const offsets = fromStart.map((s, i) => (s + shift - fromEnd[i]) / 2);
+
+    // Flooring every offset after a common shift keeps whole-pixel gaps intact
+    const mid = (offsets[0] + offsets[n - 1]) / 2;
+    return offsets.map(v => Math.floor(v - mid));
+  }
+
+  /**
+   * Radial layout. Every node owns an angular sector, split among its children in
+   * proportion to their number of visible leaves; the root's sector is the full
+   * circle, starting at 12 o'clock and running clockwise. Nodes sit at the middle
+   * of their sector on a ring per depth. Each ring is pushed out far enough to
+   * clear the previous one and to give every node room along its own sector arc.
+   * Sets node.angle (radians, SVG orientation) and a left/right `direction`.
+   */
+  Porphyry.prototype._layoutRadial = function (root) {
+    const sp = this._sp;
+    const leaves = new Map();
+    const countLeaves = (node) => {
+      const open = node.children.length && !this._collapsed.has(node._id);
+      const n = open ? node.children.reduce((sum, c) => sum + countLeaves(c), 0) : 1;
+      leaves.set(node, n);
+      return n;
+    };
+    countLeaves(root);
+
+    const rings = [];   // depth → nodes
+    const assign = (node, a0, a1) => {
+      node.angle   = (a0 + a1) / 2;
+      node._sector = a1 - a0;
+      (rings[node.depth] = rings[node.depth] || []).push(node);
+      if (!node.children.length || this._collapsed.has(node._id)) return;
+      let a = a0;
+      node.children.forEach(c => {
+        const span = (a1 - a0) * leaves.get(c) / leaves.get(node);
+        assign(c, a, a + span);
+        a += span;
+      });
+    };
+    assign(root, -Math.PI / 2, Math.PI * 3 / 2);
+
+    // Half-extent of a node along its radius, and its full extent across it
+    const radial     = n => Math.abs(n.width / 2 * Math.cos(n.angle)) + Math.abs(n.height / 2 * Math.sin(n.angle));
+    const tangential = n => Math.abs(n.width * Math.sin(n.angle)) + Math.abs(n.height * Math.cos(n.angle));
+
+    let r = 0;
+    let prevExt = Math.max(root.width, root.height) / 2;
+    for (let d = 1; d < rings.length; d++) {
+      const ring = rings[d];
+      const ext  = Math.max.apply(null, ring.map(radial));
+      const gap  = (d === 1 ? sp.branchSpacingX : sp.subSpacingX) / 2;
+      r += prevExt + ext + gap;
+      ring.forEach(n => {
+        r = Math.max(r, (tangential(n) + sp.verticalSpacing) / Math.min(n._sector, Math.PI));
+      });
+      ring.forEach(n => {
+        n.x = Math.round(r * Math.cos(n.angle));
+        n.y = Math.round(r * Math.sin(n.angle));
+        n.direction = Math.cos(n.angle) >= -1e-9 ? 'right' : 'left';
+      });
+      prevExt = ext;
+    }
+  };
+
+  /** Horizontal run of a fishbone rib per unit of height (how far it leans away from the head). */
+  const RIB_SLANT = 0.5;
+
+  /**
+   * Fishbone (Ishikawa) layout. The root is the head; a spine runs left from it
+   * and the depth-1 nodes sit at the ends of slanted ribs, alternating above and
+   * below the spine. Each rib's children are stacked along it top to bottom and
+   * hang off it on short horizontal bones, their own subtrees growing leftward.
+   * Ribs on one side share a common length so their labels line up, and are
+   * spaced along the spine so neighbours on the same side never overlap.
+   *
+   * Sets node._ribX (where a rib meets the spine) on depth-1 nodes and
+   * root._spineX (the tail end of the spine), or null when nothing hangs off it.
+   */
+  Porphyry.prototype._layoutFishbone = function (root) {
+    const sp   = this._sp;
+    const vs   = sp.verticalSpacing;
+    const gapX = Math.round(sp.subSpacingX / 3);   // bone length and gap between ribs
+
+    // Stack each rib's visible children into bands, outward from the spine
+    const ribs = root.children.map((cat, i) => {
+      const side = i % 2 ? 1 : -1;   // first rib above the spine, then alternate
+      const kids = cat.children.length && !this._collapsed.has(cat._id) ? cat.children : [];
+      const bands = kids.map(c => {
+        if (!this.options.compact) return { size: this._subtreeHeight(c), mid: 0 };
+        let lo = Infinity, hi = -Infinity;
+        this._childContour(c, false, -1, 0).forEach(b => { lo = Math.min(lo, b.lo); hi = Math.max(hi, b.hi); });
+        return { size: hi - lo + vs, mid: (lo + hi) / 2 };
+      });
+      return { cat, side, kids, bands, total: bands.reduce((sum, b) => sum + b.size, 0) };
+    });
+    const reach = { '-1': 0, '1': 0 };
+    ribs.forEach(r => { reach[r.side] = Math.max(reach[r.side], r.total); });
+
+    // Lay out every rib on its own, meeting the spine at x = 0
+    ribs.forEach(r => {
+      const cat = r.cat;
+      const len = reach[r.side] + vs;
+      cat.x = Math.round(-RIB_SLANT * len);
+      cat.y = Math.round(r.side * (len + cat.height / 2));
+      // Reading order is top to bottom, so above the spine the first child is outermost
+      let d = vs / 2;
+      const order = r.kids.map((_, j) => r.side > 0 ? j : r.kids.length - 1 - j);
+      order.forEach(j => {
+        const band = r.bands[j];
+        // Anchor against the rib where it is furthest left along the band
+        const anchorX = -RIB_SLANT * (d + band.size) - gapX;
+        this._layoutNode(r.kids[j], anchorX, r.side * (d + band.size / 2) - band.mid, 'left');
+        d += band.size;
+      });
+      const ext = this._extentOf(cat);
+      r.minX = ext.left;
+      r.maxX = Math.max(ext.right, 0);
+    });
+
+    // Slide the ribs along the spine, head first
+    let prevX = -root.width / 2;
+    const edge = { '-1': -root.width / 2, '1': -root.width / 2 };   // leftmost extent so far per side
+    ribs.forEach(r => {
+      const px = Math.round(Math.min(edge[r.side] - gapX - r.maxX, prevX - gapX));
+      this._shiftSubtree(r.cat, r.cat.x + px, r.cat.y);
+      r.cat._ribX = px;
+      edge[r.side] = px + r.minX;
+      prevX = px;
+    });
+    root._spineX = ribs.length ? prevX - gapX : null;
+  };
+
+  /** Milliseconds for a node's `date` (Date, timestamp or parseable string), or NaN. */
+  function _timeOf(date) {
+    if (date instanceof Date) return date.getTime();
+    if (typeof date === 'number') return date;
+    if (typeof date === 'string' && date) return Date.parse(date);
+    return NaN;
+  }
+
+  /**
+   * Timeline layout. The root sits at the left end of a horizontal axis and the
+   * depth-1 nodes (milestones) are centered on it, left to right. Each milestone's
+   * children alternate above and below it, every side stacking outward; a child
+   * and its descendants form one block (see _localBox).
+   *
+   * Milestones keep data order, unless every one of them has a valid `date`:
+   * then they are sorted by date and spaced in proportion to the time between
+   * them, at the smallest scale that keeps neighbouring columns apart. A single
+   * undated milestone turns both off — there is no place in time to put it.
+   *
+   * Sets node._axisX on milestones: where the axis segment leading to them starts.
+   */
+  Porphyry.prototype._layoutTimeline = function (root) {
+    const sp   = this._sp;
+    const gap  = Math.round(sp.verticalSpacing / 2);   // between stacked blocks
+    const gapX = Math.round(sp.subSpacingX / 3);       // between columns
+
+    const times = root.children.map(m => _timeOf(m.date));
+    const dated = times.length > 0 && times.every(t => !isNaN(t));
+    const order = root.children.map((_, i) => i);
+    if (dated) order.sort((a, b) => times[a] - times[b] || a - b);
+
+    // Build every milestone's column around the origin
+    const cols = order.map(i => {
+      const m = root.children[i];
+      m.x = 0;
+      m.y = 0;
+      let left = -m.width / 2, right = m.width / 2;
+      const free = { up: -m.height / 2 - gap, down: m.height / 2 + gap };   // next free y per side
+      if (m.children.length && !this._collapsed.has(m._id)) {
+        m.children.forEach(c => {
+          const b = this._localBox(c);
+          if (c.direction === 'up') {
+            this._shiftSubtree(c, 0, Math.round(free.up - b.bottom));
+            free.up = c.y + b.top - gap;
+          } else {
+            this._shiftSubtree(c, 0, Math.round(free.down - b.top));
+            free.down = c.y + b.bottom + gap;
+          }
+          left  = Math.min(left, b.left);
+          right = Math.max(right, b.right);
+        });
+      }
+      return { m, t: times[i], left, right };
+    });
+
+    // Smallest time scale (px per ms) at which no two neighbouring columns overlap
+    let scale = 0;
+    if (dated) {
+      for (let k = 1; k < cols.length; k++) {
+        const dt = cols[k].t - cols[k - 1].t;
+        if (dt > 0) scale = Math.max(scale, (cols[k - 1].right + gapX - cols[k].left) / dt);
+      }
+    }
+
+    const x0 = root.width / 2 + gapX - (cols.length ? cols[0].left : 0);
+    cols.forEach((col, k) => {
+      const prev = cols[k - 1];
+      let x = k === 0 ? x0 : prev.m.x + prev.right + gapX - col.left;
+      if (dated && k > 0) x = Math.max(x, x0 + (col.t - cols[0].t) * scale);
+      this._shiftSubtree(col.m, Math.round(x), 0);
+      col.m._axisX = k === 0 ? root.width / 2 : prev.m.x + prev.m.width / 2;
+    });
+  };
+
   Porphyry.prototype._layoutSide = function (root, branches, dir) {
     if (!branches.length) return;
 
@@ -920,6 +2158,22 @@
       ? (o.centerEdge === 'side' ? root.width / 2 + sp.branchSpacingX : sp.branchSpacingX)
       : (o.centerEdge === 'side' ? -(root.width / 2 + sp.branchSpacingX) : -sp.branchSpacingX);
 
+    // Compact mode — pack the branches by their per-column contours
+    if (o.compact) {
+      const sign = dir === 'right' ? 1 : -1;
+      const shapes = branches.map(c => this._childContour(c, false, sign, Math.abs(edgeX)));
+      const offsets = _tidyPack(shapes, sp.verticalSpacing);
+      // Center the side on its full extent, like the stacked layout does
+      let lo = Infinity, hi = -Infinity;
+      shapes.forEach((sh, i) => sh.forEach(b => {
+        lo = Math.min(lo, b.lo + offsets[i]);
+        hi = Math.max(hi, b.hi + offsets[i]);
+      }));
+      const mid = Math.floor((lo + hi) / 2);
+      branches.forEach((branch, i) => this._layoutNode(branch, edgeX, offsets[i] - mid, dir));
+      return;
+    }
+
     const heights = branches.map(c => this._subtreeHeight(c));
     const totalH = heights.reduce((a, b) => a + b, 0);
     let y = -totalH / 2;
@@ -932,20 +2186,45 @@
   };
 
   Porphyry.prototype._layoutNode = function (node, anchorX, y, dir) {
-    const sp = this._sp;
+    // Subtree override — place its whole block against the anchor, centered on y
+    if (node._override) {
+      const b = this._localBox(node);
+      this._shiftSubtree(node,
+        Math.round(dir === 'right' ? anchorX - b.left : anchorX - b.right),
+        Math.round(y - (b.top + b.bottom) / 2));
+      return;
+    }
+
     // anchorX is the closest-to-center edge; convert to center-x
     node.x = Math.round(dir === 'right'
       ? anchorX + node.width / 2
       : anchorX - node.width / 2);
     node.y = Math.round(y);
 
+    this._layoutHorizontalNode(node, y, dir);
+  };
+
+  /**
+   * Position the children of a left/right-flow node in the next column.
+   * @param {Object} node
+   * @param {number} y    center of the band the node was given (unrounded)
+   * @param {string} dir  'left' | 'right'
+   */
+  Porphyry.prototype._layoutHorizontalNode = function (node, y, dir) {
     if (!node.children.length || this._collapsed.has(node._id)) return;
+    const sp = this._sp;
 
     // Next column's anchor = this node's far edge + spacing
     const nextAnchor = dir === 'right'
       ? node.x + node.width / 2 + sp.subSpacingX
       : node.x - node.width / 2 - sp.subSpacingX;
 
+    // Compact mode — offsets were worked out by _tidyContour
+    if (this.options.compact) {
+      node.children.forEach(child => this._layoutNode(child, nextAnchor, node.y + child._tidyOffset, dir));
+      return;
+    }
+
     const heights = node.children.map(c => this._subtreeHeight(c));
     const totalH = heights.reduce((a, b) => a + b, 0);
     let cy = y - totalH / 2;
@@ -956,22 +2235,231 @@
     });
   };
 
+  /**
+   * Indented list: children stacked below the node, each level indented by
+   * listIndent toward the list's side (node.direction) and listSpacing apart.
+   */
+  Porphyry.prototype._layoutList = function (node) {
+    if (!node.children.length || this._collapsed.has(node._id)) return;
+    const sp   = this._sp;
+    const side = node.direction === 'left' ? -1 : 1;
+    // Near edge of the child rows (left edge when indenting rightward)
+    const near = node.x - side * (node.width / 2 - sp.listIndent);
+    let y = node.y + node.height / 2 + sp.listSpacing;
+
+    node.children.forEach(child => {
+      if (child._override) {
+        const b = this._localBox(child);
+        this._shiftSubtree(child, Math.round(side > 0 ? near - b.left : near - b.right), Math.round(y - b.top));
+      } else {
+        child.x = Math.round(near + side * child.width / 2);
+        child.y = Math.round(y + child.height / 2);
+        this._arrange(child);
+      }
+      y = this._extentOf(child).bottom + sp.listSpacing;
+    });
+  };
+
+  // ── Subtree overrides ──────────────────────────────────────────────────────
+  // A node with its own `layout` is laid out on its own around the origin, then
+  // its parent places the resulting block like a single large node and the
+  // whole subtree is shifted into place.
+
+  /** Position a node's children (the node itself is already placed) by its flow. */
+  Porphyry.prototype._arrange = function (node) {
+    const flow = node._flow;
+    if (flow === 'down' || flow === 'up') this._layoutVerticalNode(node, flow === 'down' ? 1 : -1);
+    else if (flow === 'list')             this._layoutList(node);
+    else                                  this._layoutHorizontalNode(node, node.y, flow);
+  };
+
+  /**
+   * Lay out a subtree override with its root at the origin (once per layout pass)
+   * and return the bounding box of its visible nodes relative to that root.
+   * @returns {{left:number, right:number, top:number, bottom:number}}
+   */
+  Porphyry.prototype._localBox = function (node) {
+    if (node._box) return node._box;
+    const flow = node._flow;
+    node.x = 0;
+    node.y = 0;
+    if (this.options.compact && flow !== 'list') {
+      this._tidyContour(node, flow === 'down' || flow === 'up', flow === 'down' || flow === 'right' ? 1 : -1);
+    }
+    this._arrange(node);
+    node._box = this._extentOf(node);
+    return node._box;
+  };
+
+  /** Bounding box of a node and its visible descendants. */
+  Porphyry.prototype._extentOf = function (node) {
+    const box = { left: Infinity, right: -Infinity, top: Infinity, bottom: -Infinity };
+    const walk = (n) => {
+      box.left   = Math.min(box.left,   n.x - n.width / 2);
+      box.right  = Math.max(box.right,  n.x + n.width / 2);
+      box.top    = Math.min(box.top,    n.y - n.height / 2);
+      box.bottom = Math.max(box.bottom, n.y + n.height / 2);
+      if (!this._collapsed.has(n._id)) n.children.forEach(walk);
+    };
+    walk(node);
+    return box;
+  };
+
+  /** Move a node to (x, y), carrying its visible descendants along. */
+  Porphyry.prototype._shiftSubtree = function (node, x, y) {
+    const dx = x - node.x, dy = y - node.y;
+    const walk = (n) => {
+      n.x += dx;
+      n.y += dy;
+      if (!this._collapsed.has(n._id)) n.children.forEach(walk);
+    };
+    walk(node);
+  };
+
   // ── Drawing ────────────────────────────────────────────────────────────────
 
+  // ── Node Shapes ──────────────────────────────────────────────────────────
+  // A node's width/height is the bounding box of its shape; node.boxWidth is the
+  // text box inscribed in it. Hexagon corners and the parallelogram's slant are a
+  // quarter of the node height, and a cloud's scallops dip to CLOUD_INNER of its size.
+
+  const NODE_SHAPES = ['rect', 'ellipse', 'circle', 'diamond', 'hexagon', 'parallelogram', 'cloud'];
+  const CLOUD_INNER = 0.85;
+  const CLOUD_BUMPS = 12;
+
+  /** Bounding box of a shape that fits a w × h text box inside it. */
+  function _shapeSize(shape, w, h) {
+    switch (shape) {
+      case 'ellipse':       return { width: w * Math.SQRT2, height: h * Math.SQRT2 };
+      case 'circle':        { const d = Math.hypot(w, h); return { width: d, height: d }; }
+      case 'diamond':       return { width: w * 2, height: h * 2 };
+      case 'hexagon':
+      case 'parallelogram': return { width: w + h / 2, height: h };
+      case 'cloud':         return { width: w * Math.SQRT2 / CLOUD_INNER, height: h * Math.SQRT2 / CLOUD_INNER };
+      default:              return { width: w, height: h };
+    }
+  }
+
+  /**
+   * Horizontal distance from a node's center to its outline on `side`
+   * (1 = right, -1 = left), `dy` below the center.
+   */
+  function _outlineX(node, side, dy) {
+    const a = node.width / 2, b = node.height / 2;
+    const v = Math.min(1, Math.abs(dy) / b);
+    switch (node.shape) {
+      case 'ellipse':
+      case 'circle':
+      case 'cloud':         return a * Math.sqrt(1 - v * v);
+      case 'diamond':       return a * (1 - v);
+      case 'hexagon':       return a - node.height / 4 * v;
+      case 'parallelogram': return a - node.height / 4 * (1 + side * Math.max(-1, Math.min(1, dy / b))) / 2;
+      default:              return a;
+    }
+  }
+
+  /**
+   * Distance from a node's center to its outline along the unit vector (ux, uy).
+   */
+  function _outlineReach(node, ux, uy) {
+    const a = node.width / 2, b = node.height / 2;
+    const ax = Math.abs(ux), ay = Math.abs(uy);
+    const ty = ay ? b / ay : Infinity;
+    switch (node.shape) {
+      case 'ellipse':
+      case 'circle':
+      case 'cloud':
+        return 1 / Math.hypot(ux / a, uy / b);
+      case 'diamond':
+        return 1 / (ax / a + ay / b);
+      case 'hexagon': {
+        const i = node.height / 4;
+        return Math.min(ty, a / (ax + i * ay / b));
+      }
+      case 'parallelogram': {
+        const k = node.height / 4;   // x drifts by -k/2b per unit of y
+        const d = Math.abs(ux + k * uy / (2 * b));
+        return Math.min(ty, d ? (a - k / 2) / d : Infinity);
+      }
+      default:
+        return Math.min(ax ? a / ax : Infinity, ty);
+    }
+  }
+
+  /** SVG path of a node's shape, grown by `pad` on every side. */
+  function _shapePath(node, pad) {
+    const cx = node.x, cy = node.y;
+    const a = node.width / 2 + pad, b = node.height / 2 + pad;
+    const k = node.height / 4;
+    switch (node.shape) {
+      case 'ellipse':
+      case 'circle':
+        return `M ${cx - a} ${cy} A ${a} ${b} 0 1 0 ${cx + a} ${cy} A ${a} ${b} 0 1 0 ${cx - a} ${cy} Z`;
+      case 'diamond':
+        return `M ${cx} ${cy - b} L ${cx + a} ${cy} L ${cx} ${cy + b} L ${cx - a} ${cy} Z`;
+      case 'hexagon':
+        return `M ${cx - a} ${cy} L ${cx - a + k} ${cy - b} L ${cx + a - k} ${cy - b} `
+             + `L ${cx + a} ${cy} L ${cx + a - k} ${cy + b} L ${cx - a + k} ${cy + b} Z`;
+      case 'parallelogram':
+        return `M ${cx - a + k} ${cy - b} L ${cx + a} ${cy - b} L ${cx + a - k} ${cy + b} L ${cx - a} ${cy + b} Z`;
+      case 'cloud': {
+        // Scallops: valleys on an inner ellipse, crests touching the outer one
+        // (at 0°, 90°, … so edges meet a crest)
+        const at = function (t, f) { return { x: cx + a * f * Math.cos(t), y: cy + b * f * Math.sin(t) }; };
+        const step = Math.PI * 2 / CLOUD_BUMPS;
+        let p = at(-step / 2, CLOUD_INNER);
+        let d = `M ${p.x} ${p.y}`;
+        for (let i = 0; i < CLOUD_BUMPS; i++) {
+          const q = at(step * (i + 0.5), CLOUD_INNER);
+          const top = at(step * i, 1);
+          // Quadratic control point that puts the curve's midpoint on the crest
+          d += ` Q ${2 * top.x - (p.x + q.x) / 2} ${2 * top.y - (p.y + q.y) / 2}, ${q.x} ${q.y}`;
+          p = q;
+        }
+        return d + ' Z';
+      }
+      default:
+        return `M ${cx - a} ${cy - b} H ${cx + a} V ${cy + b} H ${cx - a} Z`;
+    }
+  }
+
+  /**
+   * The element for a node's body: `attrs` describe it as a rect around the node
+   * (x, y, width, height, rx, ry plus paint). Rect-shaped nodes get exactly that;
+   * other shapes get a path of their outline, grown by the same margin, with the paint.
+   */
+  Porphyry.prototype._shapeEl = function (node, attrs) {
+    if (!node.shape || node.shape === 'rect') return svgEl('rect', attrs);
+    const pad = node.x - node.width / 2 - attrs.x;
+    const rest = {};
+    Object.keys(attrs).forEach(function (k) {
+      if (['x', 'y', 'width', 'height', 'rx', 'ry'].indexOf(k) === -1) rest[k] = attrs[k];
+    });
+    rest.d = _shapePath(node, pad);
+    return svgEl('path', rest);
+  };
+
   /**
    * Draw border for a node onto group g.
    * border: false/null = none; true/'around' = full rect; 'bottom'/'top'/'left'/'right' or
    * space-separated combinations like 'top bottom' = individual edge lines.
-   * color: already-resolved border color. sw: stroke-width string.
+   * color: already-resolved border color. sw: stroke-width string. rx: corner radius of a full rect (default 3).
+   * Shapes other than rect get their whole outline for any border.
    */
-  Porphyry.prototype._drawBorder = function (g, border, node, color, sw) {
+  Porphyry.prototype._drawBorder = function (g, border, node, color, sw, rx) {
     if (!border) return;
+    if (rx === undefined) rx = 3;
+    if (node.shape && node.shape !== 'rect') {
+      // Sides don't map onto other shapes — any border outlines the whole shape
+      g.appendChild(svgEl('path', { d: _shapePath(node, 0), fill: 'none', stroke: color, 'stroke-width': sw }));
+      return;
+    }
     var x1 = node.x - node.width / 2, x2 = node.x + node.width / 2;
     var yt = node.y - node.height / 2, yb = node.y + node.height / 2;
     if (border === true || border === 'around') {
       g.appendChild(svgEl('rect', {
         x: x1, y: yt, width: node.width, height: node.height,
-        rx: 3, ry: 3, fill: 'none', stroke: color, 'stroke-width': sw,
+        rx: rx, ry: rx, fill: 'none', stroke: color, 'stroke-width': sw,
       }));
       return;
     }
@@ -982,13 +2470,144 @@
     if (edges.indexOf('right')  >= 0) g.appendChild(svgEl('line', { x1: x2, y1: yt, x2: x2, y2: yb, stroke: color, 'stroke-width': sw, 'stroke-linecap': 'round' }));
   };
 
+  /** Remove every drawn element and forget the keyed element maps. */
+  Porphyry.prototype._clearDrawing = function () {
+    this.gEdges.innerHTML   = '';
+    this.gLinks.innerHTML   = '';
+    this.gNodes.innerHTML   = '';
+    this.gToggles.innerHTML = '';
+    this._nodeEls.clear();
+    this._edgeEls.clear();
+    this._toggleEls.clear();
+  };
+
+  /**
+   * Insert a freshly drawn element into `layer`, replacing the element previously
+   * drawn for the same id (in place, keeping stacking order) or appending it.
+   * `sig` summarises everything the element was drawn from — see _patchTree.
+   */
+  Porphyry.prototype._mount = function (layer, els, id, el, sig) {
+    el.setAttribute('data-id', id);
+    el._sig = sig;
+    const old = els.get(id);
+    if (old && old.parentNode === layer) {
+      const hadFocus = document.activeElement === old;
+      layer.replaceChild(el, old);
+      if (hadFocus) el.focus({ preventScroll: true });
+    } else {
+      layer.appendChild(el);
+    }
+    els.set(id, el);
+  };
+
+  // Draw signatures: two equal signatures mean the element would be drawn identically.
+  // Node and toggle signatures leave out the position — a moved element is shifted
+  // with a transform instead of being redrawn (see _moveTo).
+  Porphyry.prototype._nodeSig = function (node) {
+    const siblings = node.parent ? node.parent.children : [node];
+    return [node.width, node.height, node.shape, node.depth, node.colorIdx,
+      node.lines.join('\n'), node.runs ? node.topic : '', node.url, !!node.onclick,
+      node.image ? node.image.src + ' ' + node.textDx + ' ' + node.textDy : '', node.icon || '',
+      this.options.notes && node.note ? node.note : '',
+      node.children.length > 0, this._collapsed.has(node._id),
+      siblings.length, siblings.indexOf(node), this._selected.has(node._id),
+      node.style ? JSON.stringify(node.style) : '', this._drawnVertical(node)].join('|');
+  };
+
+  Porphyry.prototype._edgeSig = function (parent, child) {
+    return [parent.x, parent.y, parent.width, parent.height, parent.depth,
+      child.x, child.y, child.width, child.height, child.depth, child.colorIdx, child.direction,
+      parent._flow, child._flow, parent._ribX, child._ribX, child._axisX,
+      parent.shape, child.shape, this._edgeColor(child), this._edgeWidth(parent, child)].join('|');
+  };
+
+  Porphyry.prototype._spineSig = function (root) {
+    return ['spine', root._spineX, root.width, root.shape].join('|');
+  };
+
+  Porphyry.prototype._toggleSig = function (node) {
+    return [node.width, node.height, this._nodeColor(node), node.direction, node.angle, node._flow,
+      this._collapsed.has(node._id)].join('|');
+  };
+
+  /**
+   * Shift an element drawn for a node at `el._origin` so it sits at (x, y),
+   * and record that as the position shown (el._pos, read by _snapshot).
+   */
+  Porphyry.prototype._moveTo = function (el, x, y) {
+    el._pos = { x: x, y: y };
+    const dx = x - el._origin.x, dy = y - el._origin.y;
+    if (dx || dy) el.setAttribute('transform', `translate(${dx},${dy})`);
+    else          el.removeAttribute('transform');
+  };
+
+  /**
+   * Bring the drawn elements in line with the current (already laid out) tree:
+   * redraw only nodes, edges and toggles whose signature changed, draw new ones
+   * and remove those that are no longer visible. Untouched elements keep their
+   * DOM identity, so hover state and listeners survive.
+   * @param {Array} [exits]  when given, elements to remove are collected here
+   *                         ({ el, id, kind }) for an exit animation instead
+   */
+  Porphyry.prototype._patchTree = function (root, exits) {
+    const live = { nodes: new Set(), edges: new Set(), toggles: new Set() };
+    const toggles = this.options.interactions.collapse;
+
+    const walk = (node, parent) => {
+      const id = node._id;
+      if (parent) {
+        live.edges.add(id);
+        const edge = this._edgeEls.get(id);
+        if (!edge || edge._sig !== this._edgeSig(parent, node)) this._drawEdge(parent, node);
+      } else if (node._spineX != null) {
+        live.edges.add(id);
+        const spine = this._edgeEls.get(id);
+        if (!spine || spine._sig !== this._spineSig(node)) this._drawSpine(node);
+      }
+      live.nodes.add(id);
+      const el = this._nodeEls.get(id);
+      if (!el || el._sig !== this._nodeSig(node)) this._drawNode(node);
+      else this._moveTo(el, node.x, node.y);
+      if (toggles && node.depth > 0 && node.children.length > 0) {
+        live.toggles.add(id);
+        const btn = this._toggleEls.get(id);
+        if (!btn || btn._sig !== this._toggleSig(node)) this._drawCollapseBtn(node);
+        else this._moveTo(btn, node.x, node.y);
+      }
+      if (!this._collapsed.has(id)) node.children.forEach(c => walk(c, node));
+    };
+    walk(root, null);
+
+    const prune = function (els, keep, kind) {
+      els.forEach(function (el, id) {
+        if (keep.has(id)) return;
+        if (exits) exits.push({ el: el, id: id, kind: kind });
+        else if (el.parentNode) el.parentNode.removeChild(el);
+        els.delete(id);
+      });
+    };
+    prune(this._nodeEls, live.nodes, 'node');
+    prune(this._edgeEls, live.edges, 'edge');
+    prune(this._toggleEls, live.toggles, 'toggle');
+    this._drawLinks(false);
+    this._syncTabStop();
+    this._positionOverlays();
+  };
+
   Porphyry.prototype._drawTree = function (root) {
+    this.svg.setAttribute('role', 'tree');
+    if (this.options.interactions.select) this.svg.setAttribute('aria-multiselectable', 'true');
+    else this.svg.removeAttribute('aria-multiselectable');
+    this.svg.setAttribute('aria-label', this.options.ariaLabel || root.topic);
+    if (root._spineX != null) this._drawSpine(root);
     this._drawNode(root);
     this._drawSubtree(root);
+    this._drawLinks(false);
     // Draw collapse toggle buttons on top after all nodes/edges
     if (this.options.interactions.collapse) {
       this._drawAllToggles(root);
     }
+    this._positionOverlays();
   };
 
   Porphyry.prototype._drawSubtree = function (node) {
@@ -1005,143 +2624,172 @@
     const hasLink      = !!node.url;
     const hasOnclick   = !hasLink && !!node.onclick;
     const hasClickable = hasLink || hasOnclick;           // drives cursor + click handler
-    const hasAction    = hasClickable && o.showLinkIcons; // drives icon rendering + textX offset
-    const layout = o.layout;
-    const vertical = layout === 'up' || layout === 'down';
+    const hasAction    = hasClickable && o.showLinkIcons; // drives icon rendering
+    const hasNote      = !!node.note && o.notes;
+    const vertical = this._drawnVertical(node);
     const theme = (o.theme === 'classic' && vertical) ? 'outline' : (o.theme || 'classic');
 
+    const collapsible = node.children.length > 0;
+    const siblings    = node.parent ? node.parent.children : [node];
     const g = svgEl('g', {
       class: 'mm-node' + (hasClickable ? ' mm-node-linked' : ''),
       'data-depth': node.depth,
+      // ARIA tree semantics + roving tabindex (see Keyboard & ARIA)
+      role: 'treeitem',
+      tabindex: node._id === this._tabStopId() ? 0 : -1,
+      'aria-level': node.depth + 1,
+      'aria-setsize': siblings.length,
+      'aria-posinset': siblings.indexOf(node) + 1,
+      'aria-label': node.text + (node.url ? ' (link)' : ''),
     });
-
-    const textX = hasAction ? node.x - LINK_ICON_SPACE / 2 : node.x;
-    const color = node.depth === 0 ? o.center.bgColor : o.colors[node.colorIdx];
-    const fontWeight = node.depth === 0 ? o.center.fontWeight : node.depth === 1 ? o.branch.fontWeight : o.leaf.fontWeight;
+    if (collapsible) g.setAttribute('aria-expanded', String(!this._collapsed.has(node._id)));
+    const selected = this._selected.has(node._id);
+    if (o.interactions.select) g.setAttribute('aria-selected', String(selected));
+    if (selected) this._drawSelection(g, node);
+
+    // Centre of the content (text plus any icon and image), clear of the link and note icons
+    const contentX = node.x - node.iconSpace / 2;
+    const textX = contentX + node.textDx;
+    const textY = node.y + node.textDy;
+    // Per-depth options with the node's `style` applied (see _nodeOpts)
+    const nodeOpts   = this._nodeOpts(node);
+    const color      = this._nodeColor(node);
+    const fontWeight = nodeOpts.fontWeight;
+    // A node's own fontColor beats the global fontColor override
+    const fontColor  = (node.style && node.style.fontColor) || o.fontColor;
+    // Fixed corner radius of the tinted themes, unless the node sets one
+    const tintRx     = node.style && node.style.radius != null ? node.style.radius : 3;
+    // Border for the looks that ignore the theme's border option: only the node's own
+    const ownBorder  = node.style ? node.style.border : null;
 
     // ── Classic horizontal layout (original style, unchanged) ──
     if ((theme === 'classic' || theme === 'ghost' || theme === 'underline' || theme === 'baseline') && !vertical) {
       if (theme === 'classic' && node.depth === 0) {
         // Classic: solid dark center
-        const rect = svgEl('rect', {
+        const rect = this._shapeEl(node, {
           x: node.x - node.width / 2, y: node.y - node.height / 2,
           width: node.width, height: node.height,
-          rx: o.center.radius, ry: o.center.radius,
-          fill: o.center.bgColor, filter: 'url(#mm-shadow-center)',
+          rx: nodeOpts.radius, ry: nodeOpts.radius,
+          fill: node.style && node.style.bgColor ? nodeOpts.bgColor : color, filter: 'url(#mm-shadow-center)',
         });
         g.appendChild(rect);
-        g.appendChild(this._makeText(node.lines, textX, node.y, node.fontSize, node.lineHeight, o.fontColor || o.center.fontColor, o.center.fontWeight));
+        this._drawBorder(g, ownBorder, node, nodeOpts.borderColor || color, '2.5', nodeOpts.radius);
+        g.appendChild(this._makeText(node.lines, textX, textY, node.fontSize, node.lineHeight, fontColor || nodeOpts.fontColor, fontWeight, node.runs));
         if (hasLink    && o.showLinkIcons) g.appendChild(this._makeLinkIcon(node, 'rgba(255,255,255,0.7)'));
         if (hasOnclick && o.showLinkIcons) g.appendChild(this._makeOnclickIcon(node, 'rgba(255,255,255,0.7)'));
+        if (hasNote) g.appendChild(this._makeNoteIcon(node, 'rgba(255,255,255,0.7)', hasAction));
 
       } else if (theme === 'classic') {
         // ── Classic: solid pill for depth 1, transparent+underline for depth 2+ ──
         if (node.depth === 1) {
-          const rx = o.branch.radius >= 99 ? node.height / 2 : o.branch.radius;
-          const bgFill = o.branch.bgColor !== null ? o.branch.bgColor : color;
-          const rect = svgEl('rect', {
+          const rx = nodeOpts.radius >= 99 ? node.height / 2 : nodeOpts.radius;
+          const bgFill = nodeOpts.bgColor !== null ? nodeOpts.bgColor : color;
+          const rect = this._shapeEl(node, {
             x: node.x - node.width / 2, y: node.y - node.height / 2,
             width: node.width, height: node.height,
             rx: rx, ry: rx, fill: bgFill, filter: 'url(#mm-shadow-branch)',
           });
           g.appendChild(rect);
-          g.appendChild(this._makeText(node.lines, textX, node.y, node.fontSize, node.lineHeight, o.fontColor || o.branch.fontColor, o.branch.fontWeight));
-          const branchIconColor = o.fontColor || o.branch.fontColor || 'rgba(255,255,255,0.8)';
+          this._drawBorder(g, ownBorder, node, nodeOpts.borderColor || color, '2', rx);
+          g.appendChild(this._makeText(node.lines, textX, textY, node.fontSize, node.lineHeight, fontColor || nodeOpts.fontColor, fontWeight, node.runs));
+          const branchIconColor = fontColor || nodeOpts.fontColor || 'rgba(255,255,255,0.8)';
           if (hasLink    && o.showLinkIcons) g.appendChild(this._makeLinkIcon(node, branchIconColor));
           if (hasOnclick && o.showLinkIcons) g.appendChild(this._makeOnclickIcon(node, branchIconColor));
+          if (hasNote) g.appendChild(this._makeNoteIcon(node, branchIconColor, hasAction));
         } else {
-          const leafRx = o.leaf.radius;
-          if (o.leaf.bgColor !== null) {
-            g.appendChild(svgEl('rect', {
+          const leafRx = nodeOpts.radius;
+          if (nodeOpts.bgColor !== null) {
+            g.appendChild(this._shapeEl(node, {
               x: node.x - node.width / 2, y: node.y - node.height / 2,
               width: node.width, height: node.height,
-              rx: leafRx, ry: leafRx, fill: o.leaf.bgColor,
+              rx: leafRx, ry: leafRx, fill: nodeOpts.bgColor,
             }));
           } else {
-            g.appendChild(svgEl('rect', {
+            g.appendChild(this._shapeEl(node, {
               x: node.x - node.width / 2, y: node.y - node.height / 2,
               width: node.width, height: node.height,
               rx: leafRx, ry: leafRx, fill: color, opacity: hasLink ? '0.14' : '0.08',
             }));
           }
-          this._drawBorder(g, o.leaf.border, node, o.leaf.borderColor || color, '1.8');
-          g.appendChild(this._makeText(node.lines, textX, node.y, node.fontSize, node.lineHeight, o.fontColor || o.leaf.fontColor, o.leaf.fontWeight));
-          const leafIconColor = o.leaf.borderColor || color;
+          this._drawBorder(g, nodeOpts.border, node, nodeOpts.borderColor || color, '1.8', leafRx);
+          g.appendChild(this._makeText(node.lines, textX, textY, node.fontSize, node.lineHeight, fontColor || nodeOpts.fontColor, fontWeight, node.runs));
+          const leafIconColor = nodeOpts.borderColor || color;
           if (hasLink    && o.showLinkIcons) g.appendChild(this._makeLinkIcon(node, leafIconColor));
           if (hasOnclick && o.showLinkIcons) g.appendChild(this._makeOnclickIcon(node, leafIconColor));
+          if (hasNote) g.appendChild(this._makeNoteIcon(node, leafIconColor, hasAction));
         }
 
       } else if (theme === 'ghost') {
         // ── Ghost: transparent tinted bg on all nodes ──
-        const nodeOpts  = node.depth === 0 ? o.center : node.depth === 1 ? o.branch : o.leaf;
         const tintColor = nodeOpts.bgColor !== null ? nodeOpts.bgColor : color;
-        g.appendChild(svgEl('rect', {
+        g.appendChild(this._shapeEl(node, {
           x: node.x - node.width / 2, y: node.y - node.height / 2,
           width: node.width, height: node.height,
-          rx: 3, ry: 3, fill: tintColor, opacity: '0.10',
+          rx: tintRx, ry: tintRx, fill: tintColor, opacity: '0.10',
         }));
-        const ghostText = o.fontColor || nodeOpts.fontColor || tintColor;
-        g.appendChild(this._makeText(node.lines, textX, node.y, node.fontSize, node.lineHeight, ghostText, fontWeight));
+        this._drawBorder(g, ownBorder, node, nodeOpts.borderColor || tintColor, node.depth === 0 ? '2.5' : '1.8', tintRx);
+        const ghostText = fontColor || nodeOpts.fontColor || tintColor;
+        g.appendChild(this._makeText(node.lines, textX, textY, node.fontSize, node.lineHeight, ghostText, fontWeight, node.runs));
         if (hasLink    && o.showLinkIcons) g.appendChild(this._makeLinkIcon(node, tintColor));
         if (hasOnclick && o.showLinkIcons) g.appendChild(this._makeOnclickIcon(node, tintColor));
+        if (hasNote) g.appendChild(this._makeNoteIcon(node, tintColor, hasAction));
 
       } else {
         // ── Underline / Baseline: optional transparent bg + edge border ──
-        const nodeOpts  = node.depth === 0 ? o.center : node.depth === 1 ? o.branch : o.leaf;
         const bgFill    = nodeOpts.bgColor !== null ? nodeOpts.bgColor : color;
         const lineColor = nodeOpts.borderColor || color; // always fall back to palette color
         const showBg    = theme === 'underline' && bgFill !== 'transparent' && bgFill !== 'none';
         if (showBg) {
-          g.appendChild(svgEl('rect', {
+          g.appendChild(this._shapeEl(node, {
             x: node.x - node.width / 2, y: node.y - node.height / 2,
             width: node.width, height: node.height,
-            rx: 3, ry: 3, fill: bgFill, opacity: '0.10',
+            rx: tintRx, ry: tintRx, fill: bgFill, opacity: '0.10',
           }));
         } else {
           // baseline or no-bg: invisible hit-area rect so click events register
-          g.appendChild(svgEl('rect', {
+          g.appendChild(this._shapeEl(node, {
             x: node.x - node.width / 2, y: node.y - node.height / 2,
             width: node.width, height: node.height,
             fill: 'transparent',
           }));
         }
-        this._drawBorder(g, nodeOpts.border, node, lineColor, node.depth === 0 ? '2.5' : '1.8');
-        const ulText = o.fontColor || nodeOpts.fontColor || lineColor;
-        g.appendChild(this._makeText(node.lines, textX, node.y, node.fontSize, node.lineHeight, ulText, fontWeight));
+        this._drawBorder(g, nodeOpts.border, node, lineColor, node.depth === 0 ? '2.5' : '1.8', tintRx);
+        const ulText = fontColor || nodeOpts.fontColor || lineColor;
+        g.appendChild(this._makeText(node.lines, textX, textY, node.fontSize, node.lineHeight, ulText, fontWeight, node.runs));
         if (hasLink    && o.showLinkIcons) g.appendChild(this._makeLinkIcon(node, lineColor));
         if (hasOnclick && o.showLinkIcons) g.appendChild(this._makeOnclickIcon(node, lineColor));
+        if (hasNote) g.appendChild(this._makeNoteIcon(node, lineColor, hasAction));
       }
 
     // ── Themed styles (apply to all nodes, both vertical and horizontal) ──
     } else if (theme === 'minimal') {
       // No box — just colored text; color comes from palette / bgColor
-      const nodeOpts  = node.depth === 0 ? o.center : node.depth === 1 ? o.branch : o.leaf;
-      const paletteColor = node.depth === 0 ? o.center.bgColor : color;
-      const textColor = o.fontColor || nodeOpts.fontColor || paletteColor;
+      const textColor = fontColor || nodeOpts.fontColor || color;
       // Invisible hit-area rect so click events register with no visible background
-      g.appendChild(svgEl('rect', {
+      g.appendChild(this._shapeEl(node, {
         x: node.x - node.width / 2, y: node.y - node.height / 2,
         width: node.width, height: node.height,
         fill: 'transparent',
       }));
-      g.appendChild(this._makeText(node.lines, textX, node.y, node.fontSize, node.lineHeight, textColor, fontWeight));
+      this._drawBorder(g, ownBorder, node, nodeOpts.borderColor || color, node.depth === 0 ? '2.5' : '1.8', tintRx);
+      g.appendChild(this._makeText(node.lines, textX, textY, node.fontSize, node.lineHeight, textColor, fontWeight, node.runs));
       if (hasLink    && o.showLinkIcons) g.appendChild(this._makeLinkIcon(node, textColor));
       if (hasOnclick && o.showLinkIcons) g.appendChild(this._makeOnclickIcon(node, textColor));
+      if (hasNote) g.appendChild(this._makeNoteIcon(node, textColor, hasAction));
 
     } else {
       // ── Box themes: outline, solid, solid-sharp, outline-sharp ──
       // Visual properties are fully driven by per-node-type options (set by THEME_DEFAULTS).
-      const nodeOpts  = node.depth === 0 ? o.center : node.depth === 1 ? o.branch : o.leaf;
       const bgFill    = nodeOpts.bgColor !== null ? nodeOpts.bgColor : color;
       const isAround  = nodeOpts.border === true || nodeOpts.border === 'around';
       const strokeW   = node.depth === 0 ? '2.5' : '2';
       const strokeCol = isAround ? (nodeOpts.borderColor || color) : 'none';
-      const textColor = o.fontColor || nodeOpts.fontColor || color;
+      const textColor = fontColor || nodeOpts.fontColor || color;
       const rx        = nodeOpts.radius >= 99 ? node.height / 2 : nodeOpts.radius;
       const filter    = node.depth === 0 ? 'url(#mm-shadow-center)'
                       : node.depth === 1 ? 'url(#mm-shadow-branch)' : '';
 
-      const rect = svgEl('rect', {
+      const rect = this._shapeEl(node, {
         x: node.x - node.width / 2, y: node.y - node.height / 2,
         width: node.width, height: node.height,
         rx: rx, ry: rx, fill: bgFill,
@@ -1152,42 +2800,83 @@
       if (!isAround && nodeOpts.border) {
         this._drawBorder(g, nodeOpts.border, node, nodeOpts.borderColor || color, strokeW);
       }
-      g.appendChild(this._makeText(node.lines, textX, node.y, node.fontSize, node.lineHeight, textColor, fontWeight));
+      g.appendChild(this._makeText(node.lines, textX, textY, node.fontSize, node.lineHeight, textColor, fontWeight, node.runs));
       const iconColor = nodeOpts.border ? (nodeOpts.borderColor || color) : textColor;
       if (hasLink    && o.showLinkIcons) g.appendChild(this._makeLinkIcon(node, iconColor));
       if (hasOnclick && o.showLinkIcons) g.appendChild(this._makeOnclickIcon(node, iconColor));
+      if (hasNote) g.appendChild(this._makeNoteIcon(node, iconColor, hasAction));
     }
 
+    if (node.image || node.icon) this._drawMedia(g, node, contentX);
+
     // ── Hover ──
     g.style.transition = 'opacity 0.15s';
     g.style.willChange = 'opacity';
     g.addEventListener('mouseenter', () => {
       g.style.opacity = '0.82';
       if (hasClickable) this.svg.style.cursor = 'pointer';
+      if (hasNote) this._showNote(node._id, false);
+      this._emit('nodehover', { id: node._id, node: this.getNode(node._id) || node, hover: true });
     });
     g.addEventListener('mouseleave', () => {
       g.style.opacity = '1';
       if (hasClickable) this.svg.style.cursor = this.options.interactions.pan
         ? (this._dragging ? 'grabbing' : 'grab')
         : 'default';
+      if (hasNote) this._hideNote(false);
+      this._emit('nodehover', { id: node._id, node: this.getNode(node._id) || node, hover: false });
     });
 
     // ── Click ──
-    if (hasLink) {
-      g.addEventListener('click', (e) => {
-        if (this._dragMoved) return;
-        e.stopPropagation();
-        window.open(node.url, '_blank', 'noopener,noreferrer');
-      });
-    } else if (hasOnclick) {
-      g.addEventListener('click', (e) => {
-        if (this._dragMoved) return;
-        e.stopPropagation();
-        node.onclick(node);
-      });
-    }
+    g.addEventListener('click', (e) => {
+      if (this._dragMoved) return;
+      this._emit('nodeclick', { id: node._id, node: this.getNode(node._id) || node, event: e });
+      // With selection on, a click selects first: the action runs when the node
+      // was already the only selected one, and never for a modified click
+      let selecting = false;
+      if (this.options.interactions.select) {
+        e.stopPropagation();   // keep the canvas click from clearing the selection
+        selecting = e.ctrlKey || e.metaKey || e.shiftKey
+          || this._selected.size !== 1 || !this._selected.has(node._id);
+        this._selectByClick(node._id, e);
+      }
+      if (!hasClickable || selecting) return;
+      e.stopPropagation();
+      if (!this.options.interactions.edit) { this._activateNode(node._id); return; }
+      // A double-click edits instead: hold the action until the click cannot
+      // become one, and never run it for the second click of a pair
+      clearTimeout(this._clickTimer);
+      if (e.detail > 1) return;
+      this._clickTimer = setTimeout(() => {
+        this._clickTimer = null;
+        this._activateNode(node._id);
+      }, DBLCLICK_DELAY);
+    });
+
+    // ── Keyboard ──
+    g.addEventListener('keydown', (e) => this._onNodeKeyDown(e, node._id));
+    g.addEventListener('focus', () => {
+      this._focusId = node._id;
+      this._showFocusRing(g, node);
+      if (hasNote) this._showNote(node._id, false);
+    });
+    g.addEventListener('blur', () => {
+      const ring = g.querySelector('.mm-focus-ring');
+      if (ring) g.removeChild(ring);
+      if (hasNote) this._hideNote(false);
+    });
+
+    // ── Edit ──
+    g.addEventListener('dblclick', (e) => {
+      if (!this.options.interactions.edit) return;
+      e.stopPropagation();
+      clearTimeout(this._clickTimer);
+      this._clickTimer = null;
+      this._startEdit(node._id);
+    });
 
-    this.gNodes.appendChild(g);
+    g._origin = { x: node.x, y: node.y };
+    this._mount(this.gNodes, this._nodeEls, node._id, g, this._nodeSig(node));
   };
 
   /**
@@ -1211,26 +2900,41 @@
     const self = this;
     const o = this.options;
     const collapsed = this._collapsed.has(node._id);
-    const layout = o.layout;
-    const vertical = layout === 'up' || layout === 'down';
+    const flow = node._flow;
     const R = 8; // circle radius
 
     // Position the button center at the child-facing edge of the node
     let bx, by;
-    if (vertical) {
+    if (flow === 'radial') {
+      // On the outline, pointing away from the root along the node's radius
+      const ux = Math.cos(node.angle), uy = Math.sin(node.angle);
+      const reach = _outlineReach(node, ux, uy) + R + 1;
+      bx = node.x + ux * reach;
+      by = node.y + uy * reach;
+    } else if (flow === 'up' || flow === 'down') {
+      bx = node.x;
+      by = flow === 'down'
+        ? node.y + node.height / 2 + R + 1
+        : node.y - node.height / 2 - R - 1;
+    } else if (flow === 'bone') {
+      // Where the rib meets the node, on the side facing the spine
       bx = node.x;
-      by = layout === 'down'
+      by = node.y < 0
         ? node.y + node.height / 2 + R + 1
         : node.y - node.height / 2 - R - 1;
+    } else if (flow === 'list') {
+      // On the list's spine, just below the node
+      const side = node.direction === 'left' ? -1 : 1;
+      bx = node.x - side * (node.width / 2 - this._sp.listIndent / 2);
+      by = node.y + node.height / 2 + R + 1;
     } else {
-      const dir = node.direction || 'right';
+      // Timeline milestones ('stack') put theirs on the axis, to the right
+      const side = flow === 'left' ? -1 : 1;
       by = node.y;
-      bx = dir === 'right'
-        ? node.x + node.width / 2 + R + 1
-        : node.x - node.width / 2 - R - 1;
+      bx = node.x + side * (_outlineX(node, side, 0) + R + 1);
     }
 
-    const color = o.colors[node.colorIdx] || o.center.bgColor;
+    const color = this._nodeColor(node);
 
     const g = svgEl('g', { class: 'mm-collapse-btn', cursor: 'pointer' });
 
@@ -1269,15 +2973,11 @@
     // Click: toggle and re-render (no fit, preserve pan/zoom)
     g.addEventListener('click', function (e) {
       e.stopPropagation();
-      if (collapsed) {
-        self._collapsed.delete(node._id);
-      } else {
-        self._collapsed.add(node._id);
-      }
-      self._renderInternal(false);
+      self.toggle(node._id);
     });
 
-    this.gToggles.appendChild(g);
+    g._origin = { x: node.x, y: node.y };
+    this._mount(this.gToggles, this._toggleEls, node._id, g, this._toggleSig(node));
   };
 
   /**
@@ -1288,8 +2988,8 @@
   Porphyry.prototype._makeLinkIcon = function (node, color) {
     const s = 7;  // icon size
     const margin = 12; // px from right edge
-    // Position: vertically centered, near right edge
-    const ix = node.x + node.width / 2 - margin - s;
+    // Position: vertically centered, near the right edge of the text box
+    const ix = node.x + node.boxWidth / 2 - margin - s;
     const iy = node.y - s / 2;
 
     const g = svgEl('g', { 'pointer-events': 'none' });
@@ -1318,6 +3018,7 @@
     arrow.setAttribute('stroke-linecap', 'round');
     g.appendChild(arrow);
 
+    this._bindActionIcon(g, node, ix - 5, iy, s + 5);
     return g;
   };
 
@@ -1329,7 +3030,7 @@
   Porphyry.prototype._makeOnclickIcon = function (node, color) {
     const s = 7;       // icon size (same as link icon)
     const margin = 12; // px from right edge
-    const ix = node.x + node.width / 2 - margin - s;
+    const ix = node.x + node.boxWidth / 2 - margin - s;
     const iy = node.y - s / 2;
 
     const g = svgEl('g', { 'pointer-events': 'none' });
@@ -1353,6 +3054,57 @@
     tri.setAttribute('stroke', 'none');
     g.appendChild(tri);
 
+    this._bindActionIcon(g, node, ix, iy, s);
+    return g;
+  };
+
+  /**
+   * With selection on, the first click on a node only selects it, so the
+   * link/onclick icon also takes clicks, running the action at once.
+   */
+  Porphyry.prototype._bindActionIcon = function (g, node, ix, iy, s) {
+    if (!this.options.interactions.select) return;
+    g.setAttribute('class', 'mm-action-icon');
+    g.removeAttribute('pointer-events');
+    g.style.cursor = 'pointer';
+    // Hit area larger than the glyph, like the note icon's
+    g.insertBefore(svgEl('rect', { x: ix - 5, y: iy - 5, width: s + 10, height: s + 10, fill: 'transparent' }), g.firstChild);
+    g.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (this._dragMoved) return;
+      this._activateNode(node._id);
+    });
+  };
+
+  /**
+   * Note indicator: a folded page, left of the link/onclick icon when there is one.
+   * Unlike those icons it takes clicks: a tap pins the note's popover open.
+   */
+  Porphyry.prototype._makeNoteIcon = function (node, color, besideAction) {
+    const s = 7;       // icon size (same as link icon)
+    const margin = 12; // px from right edge
+    const ix = node.x + node.boxWidth / 2 - margin - s - (besideAction ? NOTE_ICON_SPACE : 0);
+    const iy = node.y - s / 2;
+
+    const g = svgEl('g', { class: 'mm-note-icon' });
+    g.style.cursor = 'pointer';
+    // Hit area larger than the glyph, for fingers
+    g.appendChild(svgEl('rect', { x: ix - 5, y: iy - 5, width: s + 10, height: s + 10, fill: 'transparent' }));
+    g.appendChild(svgEl('path', {
+      d: `M ${ix} ${iy} H ${ix + s - 2.5} L ${ix + s} ${iy + 2.5} V ${iy + s} H ${ix} Z`,
+      stroke: color, 'stroke-width': '1.4', fill: 'none', 'stroke-linejoin': 'round',
+    }));
+    g.appendChild(svgEl('path', {
+      d: `M ${ix + 2} ${iy + 3.2} H ${ix + s - 2} M ${ix + 2} ${iy + 5} H ${ix + s - 2}`,
+      stroke: color, 'stroke-width': '1', 'stroke-linecap': 'round',
+    }));
+    g.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (this._dragMoved) return;
+      const open = this._note && this._note.id === node._id && this._note.pinned;
+      if (open) this._hideNote(true);
+      else this._showNote(node._id, true);
+    });
     return g;
   };
 
@@ -1365,8 +3117,9 @@
    * @param {number}   lineHeight  - px between baselines
    * @param {string}   fill
    * @param {string}   weight
+   * @param {Array[]}  [runs]  - rich-text runs per line (node.runs), drawn as styled tspans
    */
-  Porphyry.prototype._makeText = function (lines, cx, cy, fontSize, lineHeight, fill, weight) {
+  Porphyry.prototype._makeText = function (lines, cx, cy, fontSize, lineHeight, fill, weight, runs) {
     const el = document.createElementNS(NS, 'text');
     el.setAttribute('text-anchor', 'middle');
     el.setAttribute('fill', fill);
@@ -1385,13 +3138,38 @@
       tspan.setAttribute('x', Math.round(cx));
       tspan.setAttribute('y', Math.round(startY + i * lineHeight));
       tspan.setAttribute('dominant-baseline', 'central');
-      tspan.textContent = line;
+      if (runs) runs[i].forEach(r => tspan.appendChild(this._makeRun(r, weight)));
+      else tspan.textContent = line;
       el.appendChild(tspan);
     });
 
     return el;
   };
 
+  /**
+   * One styled rich-text run. Links become an `<a>` that takes pointer events
+   * (the text around it does not) and opens in a new tab without clicking the node.
+   */
+  Porphyry.prototype._makeRun = function (run, weight) {
+    const span = svgEl('tspan');
+    span.textContent = run.text;
+    if (run.bold)   span.setAttribute('font-weight', _boldWeight(weight));
+    if (run.italic) span.setAttribute('font-style', 'italic');
+    if (run.code)   span.setAttribute('font-family', MONO_FONT);
+    const deco = (run.href ? ' underline' : '') + (run.strike ? ' line-through' : '');
+    if (deco) span.setAttribute('text-decoration', deco.trim());
+    if (!run.href) return span;
+
+    const a = svgEl('a', { class: 'mm-inline-link', href: run.href, target: '_blank', rel: 'noopener noreferrer', 'pointer-events': 'auto' });
+    a.style.cursor = 'pointer';
+    a.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (this._dragMoved) e.preventDefault();
+    });
+    a.appendChild(span);
+    return a;
+  };
+
   /**
    * Returns the Y coordinate on a node where a horizontal edge should connect.
    * @param {Object} node
@@ -1404,9 +3182,14 @@
    *   underline  — all nodes connect at bottom (continuous with the bottom border)
    *   baseline   — all nodes connect at bottom (continuous with the bottom border)
    *   all others — all nodes connect at vertical center
+   * Nodes with a shape other than rect always connect at vertical center.
    */
   Porphyry.prototype._nodeEdgeAnchorY = function (node, role) {
     const theme = this.options.theme || 'classic';
+    // Only a rect has a bottom edge to run along; other shapes connect at mid-height.
+    // Nodes drawn in the vertical styles are boxes too (see _drawnVertical).
+    if (node.shape && node.shape !== 'rect') return node.y;
+    if (this._drawnVertical(node)) return node.y;
     if (theme === 'underline' || theme === 'baseline') {
       // Bottom anchor — makes edges flow continuously from the border line
       return node.y + node.height / 2;
@@ -1419,18 +3202,54 @@
     return node.y;
   };
 
+  /**
+   * Whether a node is drawn in the vertical styles (classic becomes outline, the
+   * underline looks become boxes): when it is placed by a vertical flow or lays
+   * out its own children in one, so `layout: 'down'` subtrees of horizontal maps
+   * look like vertical maps.
+   */
+  Porphyry.prototype._drawnVertical = function (node) {
+    const placedBy = node.parent ? node.parent._flow : node._flow;
+    return _isVerticalFlow(node._flow) || _isVerticalFlow(placedBy);
+  };
+
+  function _isVerticalFlow(flow) {
+    return flow === 'down' || flow === 'up';
+  }
+
   Porphyry.prototype._drawEdge = function (parent, child) {
     const o = this.options;
-    const layout = o.layout;
+    const flow = parent._flow;   // how the parent arranges its children
 
     // Dispatch to vertical edge drawer
-    if (layout === 'down' || layout === 'up') {
-      this._drawEdgeVertical(parent, child, layout);
+    if (flow === 'down' || flow === 'up') {
+      this._drawEdgeVertical(parent, child, flow);
+      return;
+    }
+
+    if (flow === 'radial') {
+      this._drawEdgeRadial(parent, child);
       return;
     }
 
-    const color = o.colors[child.colorIdx];
+    if (flow === 'list') {
+      this._drawEdgeList(parent, child);
+      return;
+    }
+
+    if (flow === 'fishbone' || flow === 'bone') {
+      this._drawEdgeFishbone(parent, child);
+      return;
+    }
+
+    if (flow === 'timeline' || flow === 'stack') {
+      this._drawEdgeTimeline(parent, child);
+      return;
+    }
+
+    const color = this._edgeColor(child);
     const dir = child.direction;
+    const side = dir === 'right' ? 1 : -1;
 
     // Determine start point (on parent's near edge)
     let x1, y1;
@@ -1443,17 +3262,17 @@
         y1 = child.y <= 0 ? -parent.height / 2 : parent.height / 2;
       } else {
         // 'side' — default: exit from left/right wall of center node
-        x1 = dir === 'right' ? parent.width / 2 : -parent.width / 2;
         y1 = this._nodeEdgeAnchorY(parent, 'start');
+        x1 = side * _outlineX(parent, side, y1 - parent.y);
       }
     } else {
-      x1 = dir === 'right' ? parent.x + parent.width / 2 : parent.x - parent.width / 2;
       y1 = this._nodeEdgeAnchorY(parent, 'start');
+      x1 = parent.x + side * _outlineX(parent, side, y1 - parent.y);
     }
 
-    // End point (child's near edge)
-    const x2 = dir === 'right' ? child.x - child.width / 2 : child.x + child.width / 2;
+    // End point (child's near edge, on its outline)
     const y2 = this._nodeEdgeAnchorY(child, 'end');
+    const x2 = child.x - side * _outlineX(child, -side, y2 - child.y);
 
     // S-curve bezier.
     // For vertical center-edge connections the curve departs vertically (toward
@@ -1468,8 +3287,8 @@
     let ex1 = x1, ey1 = y1;
     if (isAligned) {
       // Override: exit from the left/right wall of the root at its vertical center
-      ex1 = dir === 'right' ? parent.width / 2 : -parent.width / 2;
       ey1 = this._nodeEdgeAnchorY(parent, 'start');
+      ex1 = side * _outlineX(parent, side, ey1 - parent.y);
     }
     const mx = (ex1 + x2) / 2;
     const my = (ey1 + y2) / 2;
@@ -1477,11 +3296,7 @@
       ? `M ${ex1} ${ey1} C ${ex1} ${my}, ${mx} ${y2}, ${x2} ${y2}`
       : `M ${ex1} ${ey1} C ${mx} ${ey1}, ${mx} ${y2}, ${x2} ${y2}`;
 
-    const strokeW = parent.depth === 0
-      ? o.edgeWidth.root
-      : parent.depth === 1
-        ? o.edgeWidth.branch
-        : o.edgeWidth.leaf;
+    const strokeW = this._edgeWidth(parent, child);
 
     const path = document.createElementNS(NS, 'path');
     path.setAttribute('d', d);
@@ -1491,16 +3306,16 @@
     path.setAttribute('stroke-linecap', 'round');
     path.setAttribute('opacity', o.edgeOpacity);
 
-    this.gEdges.appendChild(path);
+    this._mount(this.gEdges, this._edgeEls, child._id, path, this._edgeSig(parent, child));
   };
 
   /**
-   * Draw a bezier edge flowing along the Y axis for vertical layouts.
+   * Draw a bezier edge flowing along the Y axis for vertical (up/down) flows.
    */
-  Porphyry.prototype._drawEdgeVertical = function (parent, child, layout) {
+  Porphyry.prototype._drawEdgeVertical = function (parent, child, flow) {
     const o = this.options;
-    const sign = layout === 'down' ? 1 : -1;
-    const color = o.colors[child.colorIdx];
+    const sign = flow === 'down' ? 1 : -1;
+    const color = this._edgeColor(child);
 
     // Start: bottom-center (down) or top-center (up) of parent
     const x1 = parent.x;
@@ -1514,11 +3329,7 @@
     const my = (y1 + y2) / 2;
     const d = `M ${x1} ${y1} C ${x1} ${my}, ${x2} ${my}, ${x2} ${y2}`;
 
-    const strokeW = parent.depth === 0
-      ? o.edgeWidth.root
-      : parent.depth === 1
-        ? o.edgeWidth.branch
-        : o.edgeWidth.leaf;
+    const strokeW = this._edgeWidth(parent, child);
 
     const path = document.createElementNS(NS, 'path');
     path.setAttribute('d', d);
@@ -1528,17 +3339,1138 @@
     path.setAttribute('stroke-linecap', 'round');
     path.setAttribute('opacity', o.edgeOpacity);
 
-    this.gEdges.appendChild(path);
+    this._mount(this.gEdges, this._edgeEls, child._id, path, this._edgeSig(parent, child));
   };
 
-  // ── Pan & Zoom ─────────────────────────────────────────────────────────────
+  // ── Selection ──────────────────────────────────────────────────────────────
+  // Selected ids live in this._selected. Highlights are drawn by _drawNode, so a
+  // selection change patches just the affected nodes (their signature changes).
 
-  Porphyry.prototype._applyTransform = function () {
-    const { tx, ty, scale } = this._pz;
-    this.gMain.setAttribute('transform', `translate(${tx},${ty}) scale(${scale})`);
-    if (this._hudZoomLevel) {
-      this._hudZoomLevel.textContent = Math.round(scale * 100) + '%';
-    }
+  /**
+   * @returns {string[]} ids of the selected nodes of the current tree, in tree order
+   */
+  Porphyry.prototype.getSelection = function () {
+    const out = [];
+    this._nodesById.forEach((n, id) => { if (this._selected.has(id)) out.push(id); });
+    return out;
+  };
+
+  /**
+   * Replace the selection. Unknown ids are ignored.
+   * @param {string|string[]} ids
+   */
+  Porphyry.prototype.select = function (ids) {
+    const list = Array.isArray(ids) ? ids : [ids];
+    this._setSelection(list.map(id => this.getNode(id)).filter(Boolean).map(n => n._id));
+  };
+
+  /** Deselect every node. */
+  Porphyry.prototype.clearSelection = function () {
+    this._setSelection([]);
+  };
+
+  /** Apply a new selection, redraw the nodes whose highlight changed and emit `selectionchange`. */
+  Porphyry.prototype._setSelection = function (ids) {
+    const next = new Set(ids);
+    const before = this.getSelection();
+    if (before.length === next.size && before.every(id => next.has(id))) return;
+    this._selected = next;
+    if (this._tree) this._patchTree(this._tree);
+    this._emit('selectionchange', { ids: this.getSelection() });
+  };
+
+  /**
+   * Click selection: plain click selects one node, Ctrl/Cmd-click toggles a node,
+   * Shift-click selects the range of siblings between the last clicked node and this one.
+   */
+  Porphyry.prototype._selectByClick = function (id, e) {
+    const anchor = this.getNode(this._selAnchor);
+    const node   = this.getNode(id);
+    if (e.shiftKey && anchor && node && anchor.parent === node.parent && node.parent) {
+      const row = node.parent.children;
+      const a = row.indexOf(anchor), b = row.indexOf(node);
+      const range = row.slice(Math.min(a, b), Math.max(a, b) + 1).map(n => n._id);
+      this._setSelection((e.ctrlKey || e.metaKey) ? this.getSelection().concat(range) : range);
+      return;   // the anchor stays put so the range can be adjusted
+    }
+    this._selAnchor = id;
+    if (e.ctrlKey || e.metaKey) {
+      const cur = this.getSelection();
+      this._setSelection(this._selected.has(id) ? cur.filter(x => x !== id) : cur.concat(id));
+    } else {
+      this._setSelection([id]);
+    }
+  };
+
+  /** Draw the selection halo behind a node's content. */
+  Porphyry.prototype._drawSelection = function (g, node) {
+    const o = this.options;
+    const color = o.selectionColor || (node.depth === 0 ? '#4A90D9' : this._nodeColor(node));
+    const pad = 4;
+    g.classList.add('mm-node-selected');
+    g.appendChild(this._shapeEl(node, {
+      class: 'mm-selection',
+      x: node.x - node.width / 2 - pad, y: node.y - node.height / 2 - pad,
+      width: node.width + pad * 2, height: node.height + pad * 2,
+      rx: 8, ry: 8, fill: color, 'fill-opacity': '0.12',
+      stroke: color, 'stroke-width': 2.5,
+    }));
+  };
+
+  /**
+   * Canvas selection: a click on empty space clears the selection, and when pan
+   * is off, dragging on empty space draws a selection box (Ctrl/Cmd/Shift adds to
+   * the current selection).
+   */
+  Porphyry.prototype._bindSelection = function () {
+    const self = this;
+    const onNode = function (target) {
+      return target && target.closest && target.closest('.mm-node, .mm-collapse-btn');
+    };
+    let band = null;   // { x0, y0, additive, el }
+
+    // Pointer position in graph coordinates
+    const toGraph = function (e) {
+      const rect = self.svg.getBoundingClientRect();
+      return {
+        x: (e.clientX - rect.left - self._pz.tx) / self._pz.scale,
+        y: (e.clientY - rect.top  - self._pz.ty) / self._pz.scale,
+      };
+    };
+
+    this.svg.addEventListener('click', function (e) {
+      if (!self.options.interactions.select || self._dragMoved || onNode(e.target)) return;
+      if (!e.ctrlKey && !e.metaKey && !e.shiftKey) self.clearSelection();
+    });
+
+    this.svg.addEventListener('mousedown', function (e) {
+      const ix = self.options.interactions;
+      if (!ix.select || ix.pan || e.button !== 0 || onNode(e.target)) return;
+      const p = toGraph(e);
+      band = { x0: p.x, y0: p.y, additive: e.ctrlKey || e.metaKey || e.shiftKey, el: null };
+      e.preventDefault();
+    });
+
+    self._listenWindow('mousemove', function (e) {
+      if (!band) return;
+      const p = toGraph(e);
+      const x = Math.min(band.x0, p.x), y = Math.min(band.y0, p.y);
+      const w = Math.abs(p.x - band.x0), h = Math.abs(p.y - band.y0);
+      if (!band.el) {
+        if (w * self._pz.scale < 5 && h * self._pz.scale < 5) return;   // same threshold as pan drags
+        band.el = svgEl('rect', {
+          class: 'mm-selection-band', fill: 'rgba(74,144,217,0.1)', stroke: '#4A90D9',
+          'stroke-width': 1 / self._pz.scale, 'stroke-dasharray': 4 / self._pz.scale,
+          'pointer-events': 'none',
+        });
+        self.gMain.appendChild(band.el);
+        self._dragMoved = true;
+      }
+      band.el.setAttribute('x', x);
+      band.el.setAttribute('y', y);
+      band.el.setAttribute('width', w);
+      band.el.setAttribute('height', h);
+      band.box = { x1: x, y1: y, x2: x + w, y2: y + h };
+    });
+
+    self._listenWindow('mouseup', function () {
+      if (!band) return;
+      const b = band;
+      band = null;
+      if (!b.el) return;
+      b.el.parentNode.removeChild(b.el);
+      setTimeout(function () { self._dragMoved = false; }, 0);
+      const hits = [];
+      self._nodeEls.forEach(function (el, id) {
+        const n = self.getNode(id);
+        if (n && n.x + n.width / 2 >= b.box.x1 && n.x - n.width / 2 <= b.box.x2
+              && n.y + n.height / 2 >= b.box.y1 && n.y - n.height / 2 <= b.box.y2) hits.push(id);
+      });
+      self._setSelection(b.additive ? self.getSelection().concat(hits) : hits);
+    });
+  };
+
+  // ── Inline Editing ─────────────────────────────────────────────────────────
+
+  /**
+   * Open a text editor over a node. Enter or blur commits, Escape cancels,
+   * Shift+Enter inserts a line break (which wrapping folds back into a space).
+   * @param {string} id
+   */
+  Porphyry.prototype._startEdit = function (id) {
+    const node = this.getNode(id);
+    if (!node) return;
+    this._endEdit(false);
+    const self = this;
+    const o = this.options;
+    const nodeOpts = this._nodeOpts(node);
+
+    const input = document.createElement('textarea');
+    input.className = 'porphyry-editor';
+    input.value = node.topic;
+    input.spellcheck = true;
+    input.style.cssText = [
+      'position:absolute', 'z-index:20', 'box-sizing:border-box', 'margin:0',
+      'resize:none', 'overflow:hidden', 'outline:none', 'text-align:center',
+      'background:#fff', 'color:#1A202C', 'border:2px solid #4A90D9', 'border-radius:6px',
+      'box-shadow:0 2px 10px rgba(0,0,0,0.15)', 'user-select:text',
+      'font-family:system-ui, -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, sans-serif',
+      'font-weight:' + nodeOpts.fontWeight,
+    ].join(';');
+
+    input.addEventListener('keydown', function (e) {
+      e.stopPropagation();
+      if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); self._endEdit(true); }
+      else if (e.key === 'Escape')          { e.preventDefault(); self._endEdit(false); }
+    });
+    input.addEventListener('blur', function () { self._endEdit(true); });
+    input.addEventListener('mousedown', function (e) { e.stopPropagation(); });
+
+    this._editor = { id: node._id, node: node, el: input };
+    this.container.appendChild(input);
+    this._positionEditor();
+    input.focus();
+    input.select();
+  };
+
+  /** Place the editor over its node's rect under the current pan/zoom transform. */
+  Porphyry.prototype._positionEditor = function () {
+    const ed = this._editor;
+    const node = this.getNode(ed.id) || ed.node;
+    const { tx, ty, scale } = this._pz;
+    const w = Math.max(node.width, 80) * scale;
+    const h = node.height * scale;
+    const s = ed.el.style;
+    s.left       = (tx + node.x * scale - w / 2) + 'px';
+    s.top        = (ty + (node.y - node.height / 2) * scale) + 'px';
+    s.width      = w + 'px';
+    s.height     = h + 'px';
+    s.fontSize   = (node.fontSize * scale) + 'px';
+    s.lineHeight = (node.lineHeight * scale) + 'px';
+    s.padding    = Math.max(0, node.paddingY * scale - 2) + 'px ' + Math.max(0, node.paddingX * scale - 2) + 'px';
+  };
+
+  /**
+   * Close the editor. When committing a changed topic, update the node, re-layout
+   * and call the `onEdit` option.
+   * @param {boolean} commit
+   */
+  Porphyry.prototype._endEdit = function (commit) {
+    const ed = this._editor;
+    if (!ed) return;
+    this._editor = null;   // first, so the blur fired by removal is a no-op
+    if (ed.el.parentNode) ed.el.parentNode.removeChild(ed.el);
+
+    const node = this.getNode(ed.id);
+    const newTopic = ed.el.value.replace(/\s+/g, ' ').trim();
+    if (!commit || !node || !newTopic || newTopic === node.topic) return;
+
+    const oldTopic = node.topic;
+    this.updateNode(node._id, { topic: newTopic });
+    const updated = this._findByData(node._data);
+    const newId = updated ? updated._id : node._id;
+    if (typeof this.options.onEdit === 'function') this.options.onEdit(newId, oldTopic, newTopic);
+    this._emit('edit', { id: newId, node: updated || node, oldTopic: oldTopic, newTopic: newTopic });
+  };
+
+  // ── Keyboard & ARIA ────────────────────────────────────────────────────────
+  // The SVG is a role="tree" and each node a role="treeitem". Exactly one drawn
+  // node is in the tab order (roving tabindex): the last focused one while it is
+  // visible, otherwise the root. Arrow keys follow the drawn layout: toward the
+  // children, back to the parent, or to the previous/next sibling on the same side.
+
+  /** Arrow keys per flow direction: [toward children, toward parent, previous sibling, next sibling]. */
+  const NAV_KEYS = {
+    right: ['ArrowRight', 'ArrowLeft',  'ArrowUp',   'ArrowDown'],
+    left:  ['ArrowLeft',  'ArrowRight', 'ArrowUp',   'ArrowDown'],
+    down:  ['ArrowDown',  'ArrowUp',    'ArrowLeft', 'ArrowRight'],
+    up:    ['ArrowUp',    'ArrowDown',  'ArrowLeft', 'ArrowRight'],
+  };
+
+  /** Id of the node that should carry tabindex="0". */
+  Porphyry.prototype._tabStopId = function () {
+    if (this._focusId !== undefined && this._isVisible(this.getNode(this._focusId))) return this._focusId;
+    return this._tree ? this._tree._id : null;
+  };
+
+  /** Whether a node is drawn, i.e. none of its ancestors is collapsed. */
+  Porphyry.prototype._isVisible = function (node) {
+    if (!node) return false;
+    for (let p = node.parent; p; p = p.parent) {
+      if (this._collapsed.has(p._id)) return false;
+    }
+    return true;
+  };
+
+  /** Re-point tabindex="0" after the drawing was patched. */
+  Porphyry.prototype._syncTabStop = function () {
+    const stop = this._tabStopId();
+    this._nodeEls.forEach(function (el, id) { el.setAttribute('tabindex', id === stop ? 0 : -1); });
+  };
+
+  /** Move keyboard focus (and the tab stop) to a drawn node. */
+  Porphyry.prototype._focusNode = function (id) {
+    const el = this._nodeEls.get(id);
+    if (!el) return;
+    this._focusId = id;
+    this._syncTabStop();
+    el.focus({ preventScroll: true });
+  };
+
+  /** Outline a keyboard-focused node; mouse focus (no :focus-visible) gets no ring. */
+  Porphyry.prototype._showFocusRing = function (g, node) {
+    let visible = true;
+    try { visible = g.matches(':focus-visible'); } catch (e) { /* selector unsupported */ }
+    if (!visible || g.querySelector('.mm-focus-ring')) return;
+    g.style.outline = 'none';
+    g.appendChild(this._shapeEl(node, {
+      class: 'mm-focus-ring',
+      x: node.x - node.width / 2 - 4, y: node.y - node.height / 2 - 4,
+      width: node.width + 8, height: node.height + 8,
+      rx: 6, ry: 6, fill: 'none', stroke: '#4A90D9', 'stroke-width': 2,
+      'pointer-events': 'none',
+    }));
+  };
+
+  /** Follow a node's url or call its onclick handler. */
+  Porphyry.prototype._activateNode = function (id) {
+    // Resolve at event time: a patched-in-place node may have a new handler
+    const node = this.getNode(id);
+    if (!node) return;
+    if (node.url) window.open(node.url, '_blank', 'noopener,noreferrer');
+    else if (node.onclick) node.onclick(node);
+  };
+
+  Porphyry.prototype._onNodeKeyDown = function (e, id) {
+    const node = this.getNode(id);
+    if (!node || e.altKey || e.ctrlKey || e.metaKey) return;
+    const collapse = this.options.interactions.collapse;
+    let handled = true;
+
+    if (e.key === 'Enter') {
+      this._activateNode(id);
+    } else if (collapse && (e.key === '+' || e.key === '=')) {
+      this.expand(id);
+    } else if (collapse && (e.key === '-' || e.key === '_')) {
+      this.collapse(id);
+    } else if (e.key === 'Escape' && this._note) {
+      this._hideNote(true);
+    } else if (e.key === 'Home') {
+      this._focusNode(this._tree._id);
+    } else {
+      const target = this._navTarget(node, e.key);
+      if (target) this._focusNode(target._id);
+      else handled = e.key.indexOf('Arrow') === 0;   // swallow dead-end arrows so the page doesn't scroll
+    }
+
+    if (handled) {
+      e.preventDefault();
+      e.stopPropagation();
+    }
+  };
+
+  /**
+   * The node an arrow key moves to from `node`, or null.
+   * @param {Object} node
+   * @param {string} key  KeyboardEvent.key
+   */
+  Porphyry.prototype._navTarget = function (node, key) {
+    const layout   = this.options.layout;
+    const vertical = layout === 'up' || layout === 'down';
+    const open     = node.children.length && !this._collapsed.has(node._id);
+    // Axis siblings placed in a given direction are spread along
+    const alongOf  = dir => dir === 'up' || dir === 'down' ? 'x' : 'y';
+
+    // Child on the given side that is closest to the node across the sibling axis
+    const childToward = (dir) => {
+      if (!open) return null;
+      const along = alongOf(dir);
+      const kids = node.children.filter(c => c.direction === dir);
+      let best = null;
+      kids.forEach(c => {
+        if (!best || Math.abs(c[along] - node[along]) < Math.abs(best[along] - node[along])) best = c;
+      });
+      return best;
+    };
+
+    if (layout === 'timeline' && node.depth <= 2) {
+      const t = this._navTimeline(node, key);
+      if (t !== undefined) return t;
+    }
+
+    if (node.depth === 0) {
+      const flows = vertical ? [layout] : ['right', 'left'];
+      for (let i = 0; i < flows.length; i++) {
+        if (NAV_KEYS[flows[i]][0] === key) return childToward(flows[i]);
+      }
+      return null;
+    }
+
+    // Toward the children follows the node's own flow (lists indent sideways);
+    // parent and siblings follow the flow the node itself was placed by.
+    const own = NAV_KEYS[node._flow] ? node._flow : (node.direction === 'left' ? 'left' : 'right');
+    if (key === NAV_KEYS[own][0]) {
+      const child = childToward(own);
+      if (child) return child;
+    }
+    const keys = NAV_KEYS[node.direction] || NAV_KEYS.right;
+    if (key === keys[1]) return node.parent;
+    if (key === keys[2] || key === keys[3]) {
+      const along = alongOf(node.direction);
+      const row = node.parent.children.filter(c => c.direction === node.direction);
+      // Fishbone ribs alternate around the spine — step through them in data order
+      if (node.parent._flow !== 'fishbone') row.sort((a, b) => a[along] - b[along]);
+      return row[row.indexOf(node) + (key === keys[2] ? -1 : 1)] || null;
+    }
+    return null;
+  };
+
+  /**
+   * Arrow keys around the timeline axis. Left/Right walk the milestones in axis
+   * order (Left from the first one returns to the root); Up/Down go from a
+   * milestone to its nearest child on that side, then outward along the stack
+   * and back inward; Left from a stacked child returns to its milestone.
+   * Returns undefined for keys left to _navTarget.
+   */
+  Porphyry.prototype._navTimeline = function (node, key) {
+    const byX = this._tree.children.slice().sort((a, b) => a.x - b.x);
+    if (node.depth === 0) return key === 'ArrowRight' ? byX[0] || null : null;
+
+    const open = node.children.length && !this._collapsed.has(node._id);
+    if (node.depth === 1) {
+      const i = byX.indexOf(node);
+      if (key === 'ArrowLeft')  return byX[i - 1] || node.parent;
+      if (key === 'ArrowRight') return byX[i + 1] || null;
+      if (key === 'ArrowUp' || key === 'ArrowDown') {
+        if (!open) return null;
+        const side = key === 'ArrowUp' ? 'up' : 'down';
+        return node.children.find(c => c.direction === side) || null;
+      }
+      return null;
+    }
+
+    if (key === 'ArrowLeft') return node.parent;
+    if (key !== 'ArrowUp' && key !== 'ArrowDown') return undefined;
+    const stack = node.parent.children.filter(c => c.direction === node.direction);
+    const i = stack.indexOf(node);
+    const outward = (key === 'ArrowUp') === (node.direction === 'up');
+    return outward ? stack[i + 1] || null : stack[i - 1] || node.parent;
+  };
+
+  // ── Transitions ────────────────────────────────────────────────────────────
+  // Re-renders tween every element from where it was on screen to its new place.
+  // Node and toggle groups move via a translate() relative to where they were
+  // drawn (el._origin); el._pos tracks the position currently shown. Edge paths
+  // are tweened number-by-number. Appearing subtrees grow out of their closest
+  // previously visible ancestor; disappearing ones shrink into their closest
+  // still-visible ancestor and fade out.
+
+  // Numbers inside an SVG path string
+  const PATH_NUM = /-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi;
+
+  function _ease(t) {
+    return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;   // easeInOutCubic
+  }
+
+  function _lerp(a, b, t) {
+    return a + (b - a) * t;
+  }
+
+  /** Interpolate two paths with the same command structure; otherwise show `d1`. */
+  function _lerpPath(d0, d1, t) {
+    const a = d0.match(PATH_NUM) || [];
+    if (a.length !== (d1.match(PATH_NUM) || []).length || d0.replace(PATH_NUM, '#') !== d1.replace(PATH_NUM, '#')) return d1;
+    let i = 0;
+    return d1.replace(PATH_NUM, function (m) { return Math.round(_lerp(+a[i++], +m, t) * 100) / 100; });
+  }
+
+  /** `d` with every coordinate pair moved to (x, y) — a zero-length path to grow from or shrink into. */
+  function _pointPath(d, x, y) {
+    let i = 0;
+    return d.replace(PATH_NUM, function () { return i++ % 2 ? y : x; });
+  }
+
+  /** Animation length in ms: `animationDuration`, or 0 when the user prefers reduced motion. */
+  Porphyry.prototype._transitionMs = function () {
+    const reduce = typeof window !== 'undefined' && typeof window.matchMedia === 'function'
+      && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    return reduce ? 0 : Math.max(0, this.options.animationDuration || 0);
+  };
+
+  /** Record what is on screen now, before the model is rebuilt. */
+  Porphyry.prototype._snapshot = function () {
+    const at = function (el) { return el._pos || el._origin; };
+    const snap = { nodes: this._nodesById, pos: new Map(), toggles: new Map(), edges: new Map() };
+    this._nodeEls.forEach(function (el, id) { snap.pos.set(id, at(el)); });
+    this._toggleEls.forEach(function (el, id) { snap.toggles.set(id, at(el)); });
+    this._edgeEls.forEach(function (el, id) { snap.edges.set(id, el.getAttribute('d')); });
+    return snap;
+  };
+
+  /**
+   * Animate every drawn element from the state recorded in `snap` to the current
+   * layout, play exit animations for `exits`, and tween the viewport to `pzTo` if given.
+   */
+  Porphyry.prototype._startTransition = function (snap, exits, pzTo) {
+    const self  = this;
+    const tweens = [];
+
+    // Old on-screen position of the closest ancestor (starting at `node`) that was visible
+    const origin = function (node) {
+      for (let n = node; n; n = n.parent) {
+        if (snap.pos.has(n._id)) return snap.pos.get(n._id);
+      }
+      return null;
+    };
+    // New position of the closest ancestor of an old node that is still visible
+    const target = function (id) {
+      for (let n = snap.nodes.get(id); n; n = n.parent) {
+        const now = self._nodesById.get(n._id);
+        if (now && self._nodeEls.has(n._id)) return { x: now.x, y: now.y };
+      }
+      return null;
+    };
+    const move = function (el, from, to, fade) {
+      tweens.push({
+        apply: function (e) {
+          self._moveTo(el, _lerp(from.x, to.x, e), _lerp(from.y, to.y, e));
+          if (fade) el.setAttribute('opacity', fade === 'in' ? e : 1 - e);
+        },
+        settle: function () { if (fade === 'in') el.removeAttribute('opacity'); },
+      });
+    };
+    const morph = function (el, d0, d1, fade) {
+      const base = parseFloat(el.getAttribute('opacity')) || 1;
+      tweens.push({
+        apply: function (e) {
+          el.setAttribute('d', _lerpPath(d0, d1, e));
+          if (fade) el.setAttribute('opacity', base * (fade === 'in' ? e : 1 - e));
+        },
+        settle: function () { if (fade === 'in') el.setAttribute('opacity', base); },
+      });
+    };
+
+    const moveAll = function (els, prev) {
+      els.forEach(function (el, id) {
+        const node = self._nodesById.get(id);
+        const to   = { x: node.x, y: node.y };
+        const from = prev.get(id) || origin(node.parent);
+        move(el, from || to, to, prev.has(id) ? null : 'in');
+      });
+    };
+    moveAll(this._nodeEls, snap.pos);
+    moveAll(this._toggleEls, snap.toggles);
+
+    this._edgeEls.forEach(function (el, id) {
+      const d1 = el.getAttribute('d');
+      if (snap.edges.has(id)) { morph(el, snap.edges.get(id), d1, null); return; }
+      const p = origin(self._nodesById.get(id).parent);
+      morph(el, p ? _pointPath(d1, p.x, p.y) : d1, d1, 'in');
+    });
+
+    exits.forEach(function (x) {
+      const to = target(x.id);
+      if (x.kind === 'edge') {
+        const d0 = x.el.getAttribute('d');
+        morph(x.el, d0, to ? _pointPath(d0, to.x, to.y) : d0, 'out');
+      } else {
+        const from = x.el._pos || x.el._origin;
+        move(x.el, from, to || from, 'out');
+      }
+      x.el.style.pointerEvents = 'none';
+    });
+
+    // Cross-links follow their (moving) end nodes; after the node tweens above
+    tweens.push({
+      apply: function () { self._drawLinks(true); },
+      settle: function () {},
+    });
+
+    if (pzTo) {
+      const pz0 = Object.assign({}, this._pz);
+      tweens.push({
+        apply: function (e) {
+          self._pz = { tx: _lerp(pz0.tx, pzTo.tx, e), ty: _lerp(pz0.ty, pzTo.ty, e), scale: _lerp(pz0.scale, pzTo.scale, e) };
+          self._applyTransform();
+        },
+        settle: function () {},
+      });
+    }
+
+    const tr = { tweens: tweens, exits: exits, raf: 0 };
+    this._transition = tr;
+    const ms = this._transitionMs();
+    let start = null;
+    const step = function (now) {
+      if (start === null) start = now;
+      const t = Math.min(1, (now - start) / ms);
+      const e = _ease(t);
+      tweens.forEach(function (tw) { tw.apply(e); });
+      if (t < 1) { tr.raf = requestAnimationFrame(step); return; }
+      tr.raf = 0;
+      self._stopTransition();
+    };
+    tweens.forEach(function (tw) { tw.apply(0); });
+    tr.raf = requestAnimationFrame(step);
+  };
+
+  /**
+   * End the running transition where it is: drop exiting elements and restore
+   * faded-in ones. Moving elements stay put, so the next transition continues
+   * from what is on screen.
+   */
+  Porphyry.prototype._stopTransition = function () {
+    const tr = this._transition;
+    if (!tr) return;
+    this._transition = null;
+    if (tr.raf) cancelAnimationFrame(tr.raf);
+    tr.tweens.forEach(function (tw) { tw.settle(); });
+    tr.exits.forEach(function (x) {
+      if (x.el.parentNode) x.el.parentNode.removeChild(x.el);
+    });
+  };
+
+  /**
+   * Draw an elbow edge for an indented list: down the list's spine (half an
+   * indent in from the parent's near edge), then across to the child's near edge.
+   */
+  Porphyry.prototype._drawEdgeList = function (parent, child) {
+    const o = this.options;
+    const side = parent.direction === 'left' ? -1 : 1;
+
+    const sx = parent.x - side * (parent.width / 2 - this._sp.listIndent / 2);
+    const y1 = parent.y + parent.height / 2;
+    const y2 = this._nodeEdgeAnchorY(child, 'end');
+    const x2 = child.x - side * _outlineX(child, -side, y2 - child.y);
+    const d  = `M ${sx} ${y1} C ${sx} ${y2}, ${sx} ${y2}, ${x2} ${y2}`;
+
+    const strokeW = this._edgeWidth(parent, child);
+
+    const path = document.createElementNS(NS, 'path');
+    path.setAttribute('d', d);
+    path.setAttribute('stroke', this._edgeColor(child));
+    path.setAttribute('stroke-width', strokeW);
+    path.setAttribute('fill', 'none');
+    path.setAttribute('stroke-linecap', 'round');
+    path.setAttribute('opacity', o.edgeOpacity);
+
+    this._mount(this.gEdges, this._edgeEls, child._id, path, this._edgeSig(parent, child));
+  };
+
+  /** A straight segment written as a cubic, so it tweens like the curved edges. */
+  function _lineD(x1, y1, x2, y2) {
+    const r2 = v => Math.round(v * 100) / 100;
+    return `M ${r2(x1)} ${r2(y1)} C ${r2(x1 + (x2 - x1) / 3)} ${r2(y1 + (y2 - y1) / 3)}, ` +
+      `${r2(x1 + (x2 - x1) * 2 / 3)} ${r2(y1 + (y2 - y1) * 2 / 3)}, ${r2(x2)} ${r2(y2)}`;
+  }
+
+  /**
+   * Draw a fishbone edge: from the spine up (or down) the rib to a depth-1 node,
+   * or a horizontal bone from the parent's rib to the near edge of one of its children.
+   */
+  Porphyry.prototype._drawEdgeFishbone = function (parent, child) {
+    const o = this.options;
+    let d;
+    if (parent._flow === 'fishbone') {
+      const side = child.y < 0 ? -1 : 1;
+      d = _lineD(child._ribX, 0, child.x, child.y - side * child.height / 2);
+    } else {
+      // Where the bone's height meets the parent's rib
+      const y   = this._nodeEdgeAnchorY(child, 'end');
+      const len = Math.abs(parent.y) - parent.height / 2;
+      const rx  = parent._ribX + (parent.x - parent._ribX) * Math.min(1, Math.abs(y) / len);
+      d = _lineD(rx, y, child.x + _outlineX(child, 1, y - child.y), y);
+    }
+
+    const strokeW = this._edgeWidth(parent, child);
+
+    const path = document.createElementNS(NS, 'path');
+    path.setAttribute('d', d);
+    path.setAttribute('stroke', this._edgeColor(child));
+    path.setAttribute('stroke-width', strokeW);
+    path.setAttribute('fill', 'none');
+    path.setAttribute('stroke-linecap', 'round');
+    path.setAttribute('opacity', o.edgeOpacity);
+
+    this._mount(this.gEdges, this._edgeEls, child._id, path, this._edgeSig(parent, child));
+  };
+
+  /**
+   * Draw a timeline edge: the stretch of axis leading to a milestone (in the
+   * root's color, so the segments read as one line), or a straight stem to one
+   * of the children stacked above or below a milestone, from the next child in
+   * toward the axis (or the milestone itself).
+   */
+  Porphyry.prototype._drawEdgeTimeline = function (parent, child) {
+    const o = this.options;
+    let d, color, from = parent;
+    if (parent._flow === 'timeline') {
+      d = _lineD(child._axisX, 0, child.x - _outlineX(child, -1, -child.y), 0);
+      color = o.center.borderColor || o.center.bgColor;
+    } else {
+      // Chain each side's stack: a child hangs off the previous one on its side
+      // (children alternate sides), so no stem runs through the boxes in between
+      const side = child.direction === 'up' ? -1 : 1;
+      const j = parent.children.indexOf(child);
+      from = j >= 2 ? parent.children[j - 2] : parent;
+      d = _lineD(from.x, from.y + side * from.height / 2, child.x, child.y - side * child.height / 2);
+      color = this._edgeColor(child);
+    }
+
+    const strokeW = this._edgeWidth(parent, child);
+
+    const path = document.createElementNS(NS, 'path');
+    path.setAttribute('d', d);
+    path.setAttribute('stroke', color);
+    path.setAttribute('stroke-width', strokeW);
+    path.setAttribute('fill', 'none');
+    path.setAttribute('stroke-linecap', 'round');
+    path.setAttribute('opacity', o.edgeOpacity);
+
+    this._mount(this.gEdges, this._edgeEls, child._id, path,
+      this._edgeSig(parent, child) + '|' + [from.x, from.y, from.height].join('|'));
+  };
+
+  /**
+   * Draw the fishbone spine, from its tail to the head's near edge. It is kept
+   * among the edges under the root's id (the root has no edge of its own).
+   */
+  Porphyry.prototype._drawSpine = function (root) {
+    const o = this.options;
+    const path = document.createElementNS(NS, 'path');
+    path.setAttribute('d', _lineD(root._spineX, 0, -_outlineX(root, -1, 0), 0));
+    path.setAttribute('stroke', o.center.borderColor || o.center.bgColor);
+    path.setAttribute('stroke-width', o.edgeWidth.root);
+    path.setAttribute('fill', 'none');
+    path.setAttribute('stroke-linecap', 'round');
+    path.setAttribute('opacity', o.edgeOpacity);
+
+    this._mount(this.gEdges, this._edgeEls, root._id, path, this._spineSig(root));
+  };
+
+  // ── Cross-links ────────────────────────────────────────────────────────────
+  // The root data's `links: [{ from, to, label, style }]` join arbitrary nodes by
+  // id. They live in their own layer above the edges and, being few, are redrawn
+  // in full whenever the drawing changes. Links to unknown ids are skipped.
+
+  /**
+   * The drawn node a link end attaches to: the node with that id, or (link.collapsed
+   * 'reattach') the collapsed ancestor hiding it. null when the end is not shown.
+   */
+  Porphyry.prototype._linkEnd = function (id) {
+    const node = id !== undefined && id !== null ? this.getNode(id) : null;
+    if (!node) return null;
+    let end = node;
+    for (let n = node.parent; n; n = n.parent) {
+      if (this._collapsed.has(n._id)) end = n;
+    }
+    return end === node || this.options.link.collapsed !== 'hide' ? end : null;
+  };
+
+  /**
+   * Redraw every cross-link. With `live`, ends follow the on-screen position of
+   * their node elements (mid-transition) instead of the layout.
+   */
+  Porphyry.prototype._drawLinks = function (live) {
+    this.gLinks.innerHTML = '';
+    const links = this._tree && this._tree._data.links;
+    if (!Array.isArray(links)) return;
+    const at = (node) => {
+      const el = live ? this._nodeEls.get(node._id) : null;
+      return el && el._pos ? el._pos : { x: node.x, y: node.y };
+    };
+    links.forEach(link => {
+      if (!link) return;
+      const a = this._linkEnd(link.from), b = this._linkEnd(link.to);
+      if (a && b && a !== b) this._drawLink(link, a, at(a), b, at(b));
+    });
+  };
+
+  /**
+   * Draw one cross-link from node `a` (centered at pa) to node `b` (at pb): a dashed
+   * curve bowed to one side of its direction, so opposite links don't overlap,
+   * with an arrowhead at `b` and the label at its midpoint. When the straight line
+   * would pass the root, the curve bows away from the root and wide enough to clear it.
+   */
+  Porphyry.prototype._drawLink = function (link, a, pa, b, pb) {
+    const o    = merge(this.options.link, link.style);
+    const root = this._tree;
+    const dx = pb.x - pa.x, dy = pb.y - pa.y;
+    const len = Math.hypot(dx, dy) || 1;
+    let nx = -dy / len, ny = dx / len;
+    let bow = Math.min(len * 0.2, 80);
+
+    if (a !== root && b !== root) {
+      const t = ((root.x - pa.x) * dx + (root.y - pa.y) * dy) / (len * len);
+      const s = (root.x - pa.x) * nx + (root.y - pa.y) * ny;   // root's distance from the line
+      const r = Math.hypot(root.width, root.height) / 2 + 16;
+      if (t > 0.05 && t < 0.95 && Math.abs(s) < r + bow) {
+        if (s > 0) { nx = -nx; ny = -ny; }
+        // A cubic with both handles bowed by h strays 3t(1-t)·h from its chord
+        bow = Math.min(len, Math.max(bow, (r - Math.abs(s)) / (3 * t * (1 - t))));
+      }
+    }
+
+    const c1 = { x: pa.x + dx / 3 + nx * bow, y: pa.y + dy / 3 + ny * bow };
+    const c2 = { x: pa.x + dx * 2 / 3 + nx * bow, y: pa.y + dy * 2 / 3 + ny * bow };
+    // Start and end on the nodes' outlines, in the direction the curve leaves them
+    const outline = function (node, p, c, gap) {
+      const l = Math.hypot(c.x - p.x, c.y - p.y) || 1;
+      const ux = (c.x - p.x) / l, uy = (c.y - p.y) / l;
+      const r = _outlineReach(node, ux, uy) + gap;
+      return { x: p.x + ux * r, y: p.y + uy * r, ux: ux, uy: uy };
+    };
+    const p0 = outline(a, pa, c1, 2);
+    const p3 = outline(b, pb, c2, 3);
+
+    const color = o.color;
+    const head  = 4 + o.width * 2;
+    // The line stops inside the arrowhead so its dashes don't poke through the tip
+    const ex = p3.x + p3.ux * head * 0.7, ey = p3.y + p3.uy * head * 0.7;
+    const g = svgEl('g', { class: 'mm-link', 'data-from': a._id, 'data-to': b._id, opacity: o.opacity });
+    const line = svgEl('path', {
+      d: `M ${p0.x} ${p0.y} C ${c1.x} ${c1.y}, ${c2.x} ${c2.y}, ${ex} ${ey}`,
+      fill: 'none', stroke: color, 'stroke-width': o.width, 'stroke-linecap': 'round',
+    });
+    if (o.dash) line.setAttribute('stroke-dasharray', o.dash);
+    g.appendChild(line);
+
+    // Arrowhead: p3 is the tip, (ux, uy) points back out of the target
+    const bx = p3.x + p3.ux * head, by = p3.y + p3.uy * head;
+    const wx = -p3.uy * head / 2,   wy = p3.ux * head / 2;
+    g.appendChild(svgEl('path', {
+      d: `M ${p3.x} ${p3.y} L ${bx + wx} ${by + wy} L ${bx - wx} ${by - wy} Z`,
+      fill: color,
+    }));
+
+    if (link.label) {
+      const text = svgEl('text', {
+        x: (p0.x + 3 * c1.x + 3 * c2.x + p3.x) / 8,
+        y: (p0.y + 3 * c1.y + 3 * c2.y + p3.y) / 8,
+        'text-anchor': 'middle', 'dominant-baseline': 'central',
+        'font-size': o.fontSize, 'font-family': 'system-ui, -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, sans-serif',
+        fill: color, stroke: '#fff', 'stroke-width': 4, 'stroke-linejoin': 'round', 'paint-order': 'stroke',
+      });
+      text.textContent = link.label;
+      g.appendChild(text);
+    }
+    this.gLinks.appendChild(g);
+  };
+
+  /**
+   * Draw a bezier edge for the radial layout. The curve leaves the parent along
+   * its own radius (from the root: straight toward the child) and arrives at the
+   * child along the child's radius, so edges fan outward ring by ring.
+   */
+  Porphyry.prototype._drawEdgeRadial = function (parent, child) {
+    const o = this.options;
+    const color = this._edgeColor(child);
+
+    let pux, puy;
+    if (parent.depth === 0) {
+      const len = Math.hypot(child.x - parent.x, child.y - parent.y) || 1;
+      pux = (child.x - parent.x) / len; puy = (child.y - parent.y) / len;
+    } else {
+      pux = Math.cos(parent.angle); puy = Math.sin(parent.angle);
+    }
+    const cux = Math.cos(child.angle), cuy = Math.sin(child.angle);
+
+    const pr = _outlineReach(parent, pux, puy);
+    const cr = _outlineReach(child, cux, cuy);
+    const x1 = parent.x + pux * pr, y1 = parent.y + puy * pr;
+    const x2 = child.x - cux * cr,  y2 = child.y - cuy * cr;
+    const k  = Math.hypot(x2 - x1, y2 - y1) / 2;
+    const r2 = v => Math.round(v * 100) / 100;
+    const d = `M ${r2(x1)} ${r2(y1)} C ${r2(x1 + pux * k)} ${r2(y1 + puy * k)}, ${r2(x2 - cux * k)} ${r2(y2 - cuy * k)}, ${r2(x2)} ${r2(y2)}`;
+
+    const strokeW = this._edgeWidth(parent, child);
+
+    const path = document.createElementNS(NS, 'path');
+    path.setAttribute('d', d);
+    path.setAttribute('stroke', color);
+    path.setAttribute('stroke-width', strokeW);
+    path.setAttribute('fill', 'none');
+    path.setAttribute('stroke-linecap', 'round');
+    path.setAttribute('opacity', o.edgeOpacity);
+
+    this._mount(this.gEdges, this._edgeEls, child._id, path, this._edgeSig(parent, child));
+  };
+
+  // ── Images & Icons ─────────────────────────────────────────────────────────
+  // A node's content is its text with the icon before it, and the image left of
+  // or above both. _computeSizes sizes the node around it; the offsets below are
+  // relative to the content centre, which sits left of any link icon.
+
+  const ICON_SCALE = 1.25;   // icon font size relative to the node's
+
+  /** Normalise a node's `image` field: a URL / data URI, or { src, width, height, position }. */
+  function _imageOf(v) {
+    if (typeof v === 'string') return v ? { src: v, width: null, height: null, position: null } : null;
+    if (!v || typeof v !== 'object' || !v.src) return null;
+    return {
+      src: String(v.src),
+      width: Number(v.width) || null,
+      height: Number(v.height) || null,
+      position: v.position === 'top' || v.position === 'left' ? v.position : null,
+    };
+  }
+
+  /**
+   * Place the icon, image and text block of `node` and return the content size.
+   * Sets node.textDx/textDy (text block centre), node.iconBox { x, y, size }
+   * (glyph centre) and node.imageBox { x, y, width, height } (top-left corner).
+   */
+  function _layoutMedia(node, textW, textH, image, icon, gap) {
+    // The row: icon, then text, centred on each other vertically
+    const rowW = node.icon ? icon.width + gap + textW : textW;
+    const rowH = node.icon ? Math.max(icon.size, textH) : textH;
+    let w = rowW, h = rowH, rowX = 0, rowY = 0;
+
+    node.imageBox = null;
+    if (node.image) {
+      const top = image.position === 'top';
+      w = top ? Math.max(image.width, rowW) : image.width + gap + rowW;
+      h = top ? image.height + gap + rowH : Math.max(image.height, rowH);
+      node.imageBox = {
+        x: top ? -image.width / 2 : -w / 2,
+        y: top ? -h / 2 : -image.height / 2,
+        width: image.width, height: image.height,
+      };
+      if (top) rowY = -h / 2 + image.height + gap + rowH / 2;
+      else     rowX = -w / 2 + image.width + gap + rowW / 2;
+    }
+
+    node.iconBox = node.icon ? { x: rowX - rowW / 2 + icon.width / 2, y: rowY, size: icon.size } : null;
+    node.textDx = rowX + (rowW - textW) / 2;
+    node.textDy = rowY;
+    return { width: w, height: h };
+  }
+
+  /** Append a node's icon and image, positioned around content centre `cx`. */
+  Porphyry.prototype._drawMedia = function (g, node, cx) {
+    if (node.imageBox) {
+      const b = node.imageBox;
+      g.appendChild(svgEl('image', {
+        class: 'mm-node-image', href: node.image.src,
+        x: cx + b.x, y: node.y + b.y, width: b.width, height: b.height,
+        preserveAspectRatio: 'xMidYMid meet', 'pointer-events': 'none',
+      }));
+    }
+    if (node.iconBox) {
+      const icon = svgEl('text', {
+        class: 'mm-node-icon', x: cx + node.iconBox.x, y: node.y + node.iconBox.y,
+        'font-size': node.iconBox.size, 'text-anchor': 'middle', 'dominant-baseline': 'central',
+        'pointer-events': 'none', 'aria-hidden': 'true',
+      });
+      icon.textContent = node.icon;
+      g.appendChild(icon);
+    }
+  };
+
+  /**
+   * Resolve to `src` as a data URI, or null when it cannot be fetched (e.g. a
+   * cross-origin image without CORS headers). Results are cached per instance.
+   */
+  Porphyry.prototype._imageDataURI = function (src) {
+    if (/^data:/i.test(src)) return Promise.resolve(src);
+    if (!this._imageData) this._imageData = new Map();
+    if (!this._imageData.has(src)) {
+      this._imageData.set(src, fetch(src)
+        .then(res => res.ok ? res.blob() : null)
+        .then(blob => blob && new Promise(resolve => {
+          const reader = new FileReader();
+          reader.onload  = () => resolve(reader.result);
+          reader.onerror = () => resolve(null);
+          reader.readAsDataURL(blob);
+        }))
+        .catch(() => null));
+    }
+    return this._imageData.get(src);
+  };
+
+  // ── Notes ──────────────────────────────────────────────────────────────────
+  // A node's `note` opens in a popover while the node is hovered or focused, or
+  // until dismissed once its icon is tapped (pinned). There is one popover per
+  // map; it lives in the container and follows the node through pan and zoom.
+
+  let noteSeq = 0;   // ids for aria-describedby, unique across maps on the page
+
+  /**
+   * Show the note of node `id`, replacing any other. A pinned popover stays
+   * open until its icon is tapped again, Escape is pressed or the user clicks elsewhere.
+   */
+  Porphyry.prototype._showNote = function (id, pinned) {
+    const node = this.getNode(id);
+    if (!node || !node.note || !this.options.notes) return;
+    const cur = this._note;
+    if (cur && cur.id === id) {
+      clearTimeout(cur.timer);
+      if (pinned && !cur.pinned) this._pinNote(cur);
+      return;
+    }
+    // Hovering another node does not replace a pinned note
+    if (cur && cur.pinned && !pinned) return;
+    this._hideNote(true);
+
+    const el = document.createElement('div');
+    el.className = 'porphyry-note';
+    el.id = 'porphyry-note-' + (++noteSeq);
+    el.setAttribute('role', 'tooltip');
+    el.style.cssText = [
+      'position:absolute', 'z-index:15', 'box-sizing:border-box', 'max-width:280px',
+      'font-size:12.5px', 'line-height:1.45', 'color:#1A202C',
+      'background:#fff', 'border:1px solid #E2E8F0', 'border-radius:8px',
+      'padding:8px 12px', 'box-shadow:0 2px 10px rgba(0,0,0,0.12)',
+      'font-family:system-ui,sans-serif', 'overflow-wrap:break-word', 'user-select:text',
+    ].join(';');
+    el.appendChild(_noteContent(node.note));
+    // Moving onto the popover (to follow a link) keeps it open
+    el.addEventListener('mouseenter', () => { if (this._note) clearTimeout(this._note.timer); });
+    el.addEventListener('mouseleave', () => this._hideNote(false));
+    el.addEventListener('mousedown', (e) => e.stopPropagation());
+    el.addEventListener('wheel', (e) => e.stopPropagation());
+
+    this._note = { id: node._id, el: el, pinned: false, timer: null, onDown: null };
+    this.container.appendChild(el);
+    if (pinned) this._pinNote(this._note);
+    this._positionNote();
+  };
+
+  /** Keep `note` open until a click outside it or its node. */
+  Porphyry.prototype._pinNote = function (note) {
+    note.pinned = true;
+    note.onDown = (e) => {
+      const g = this._nodeEls.get(note.id);
+      if (!note.el.contains(e.target) && !(g && g.contains(e.target))) this._hideNote(true);
+    };
+    document.addEventListener('mousedown', note.onDown, true);
+    document.addEventListener('touchstart', note.onDown, true);
+  };
+
+  /**
+   * Close the popover. Without `force` a pinned popover stays, and an unpinned
+   * one closes after a short delay so the pointer can move onto it.
+   */
+  Porphyry.prototype._hideNote = function (force) {
+    const note = this._note;
+    if (!note || (note.pinned && !force)) return;
+    clearTimeout(note.timer);
+    if (!force) {
+      note.timer = setTimeout(() => { if (this._note === note) this._hideNote(true); }, 150);
+      return;
+    }
+    this._note = null;
+    if (note.onDown) {
+      document.removeEventListener('mousedown', note.onDown, true);
+      document.removeEventListener('touchstart', note.onDown, true);
+    }
+    if (note.el.parentNode) note.el.parentNode.removeChild(note.el);
+    const g = this._nodeEls.get(note.id);
+    if (g) g.removeAttribute('aria-describedby');
+  };
+
+  /**
+   * Place the popover below its node (above when there is no room) under the
+   * current pan/zoom transform, clamped inside the container. Closes it when
+   * the node is no longer drawn or no longer has a note.
+   */
+  Porphyry.prototype._positionNote = function () {
+    const note = this._note;
+    const node = this.getNode(note.id);
+    const g    = this._nodeEls.get(note.id);
+    if (!node || !node.note || !g || !this.options.notes) { this._hideNote(true); return; }
+    g.setAttribute('aria-describedby', note.el.id);
+
+    const { tx, ty, scale } = this._pz;
+    const cw = this.container.clientWidth, ch = this.container.clientHeight;
+    const w = note.el.offsetWidth, h = note.el.offsetHeight;
+    const gap = 8, margin = 8;
+    const cx     = tx + node.x * scale;
+    const top    = ty + (node.y - node.height / 2) * scale;
+    const bottom = ty + (node.y + node.height / 2) * scale;
+
+    let y = bottom + gap;
+    if (y + h > ch - margin && top - gap - h >= margin) y = top - gap - h;
+    const x = Math.max(margin, Math.min(cx - w / 2, cw - w - margin));
+    note.el.style.left = x + 'px';
+    note.el.style.top  = Math.max(margin, Math.min(y, ch - h - margin)) + 'px';
+  };
+
+  /**
+   * DOM for a note: paragraphs split on blank lines, `- ` / `* ` bullet lists,
+   * single line breaks kept, and the inline markup of rich-text topics.
+   */
+  function _noteContent(text) {
+    const frag = document.createDocumentFragment();
+    const blocks = String(text).replace(/\r\n?/g, '\n').split(/\n\s*\n/);
+    blocks.forEach(function (block) {
+      const lines = block.split('\n').filter(function (l) { return l.trim(); });
+      if (!lines.length) return;
+      const list = lines.every(function (l) { return /^\s*[-*]\s+/.test(l); });
+      const el = document.createElement(list ? 'ul' : 'p');
+      el.style.margin = (frag.childNodes.length ? '6px' : '0') + ' 0 0';
+      if (list) el.style.paddingLeft = '18px';
+      lines.forEach(function (line, k) {
+        if (list) {
+          const li = document.createElement('li');
+          _noteInline(li, line.replace(/^\s*[-*]\s+/, ''));
+          el.appendChild(li);
+        } else {
+          if (k) el.appendChild(document.createElement('br'));
+          _noteInline(el, line.trim());
+        }
+      });
+      frag.appendChild(el);
+    });
+    return frag;
+  }
+
+  /** Append `text` to `parent`, with rich-text runs as <strong>, <em>, <code>, <del> and <a>. */
+  function _noteInline(parent, text) {
+    const runs = _parseRich(text);
+    if (!runs) { parent.appendChild(document.createTextNode(text)); return; }
+    runs.forEach(function (r) {
+      let el = document.createTextNode(r.text);
+      const wrap = function (tag) {
+        const w = document.createElement(tag);
+        w.appendChild(el);
+        el = w;
+      };
+      if (r.code) {
+        wrap('code');
+        el.style.fontFamily = MONO_FONT;
+        el.style.fontSize = '0.92em';
+      }
+      if (r.bold)   wrap('strong');
+      if (r.italic) wrap('em');
+      if (r.strike) wrap('del');
+      if (r.href) {
+        wrap('a');
+        el.href = r.href;
+        el.target = '_blank';
+        el.rel = 'noopener noreferrer';
+        el.style.color = '#3182CE';
+      }
+      parent.appendChild(el);
+    });
+  }
+
+  // ── Pan & Zoom ─────────────────────────────────────────────────────────────
+
+  Porphyry.prototype._applyTransform = function () {
+    const { tx, ty, scale } = this._pz;
+    this.gMain.setAttribute('transform', `translate(${tx},${ty}) scale(${scale})`);
+    if (this._hudZoomLevel) {
+      this._hudZoomLevel.textContent = Math.round(scale * 100) + '%';
+    }
+    this._positionOverlays();
+    this._emit('viewportchange', { tx: tx, ty: ty, scale: scale });
+  };
+
+  /** Keep the HTML overlays (editor, note popover) over their nodes after a move. */
+  Porphyry.prototype._positionOverlays = function () {
+    if (this._editor) this._positionEditor();
+    if (this._note) this._positionNote();
   };
 
   Porphyry.prototype._bindPanZoom = function () {
@@ -1546,14 +4478,113 @@
     this._dragging  = false;
     this._dragMoved = false;
 
-    // Nothing to bind if both interactions are off
-    if (!this.options.interactions.pan && !this.options.interactions.zoom) return;
+    // Nothing to bind if all of these interactions are off
+    const ix = this.options.interactions;
+    if (!ix.pan && !ix.zoom && !ix.dragNodes && !ix.nudgeNodes) return;
 
     let dragging = false, startX = 0, startY = 0;
     let mouseDownX = 0, mouseDownY = 0;
+    let nodeDrag = null;   // { id, ghost, nudge } — a pressed node, dragged once past the threshold
     const DRAG_THRESHOLD = 5; // px
 
-    if (this.options.interactions.pan) {
+    if (ix.dragNodes || ix.nudgeNodes) {
+      // ── Node drag ──────────────────────────────────────────────────────────
+      // Registered before the pan handler so a press on a node can claim the drag.
+      // Alt-drag nudges the node (nudgeNodes); a plain drag moves it in the tree (dragNodes).
+      // The press stays an ordinary one (it pans, clicks, focuses) until the pointer
+      // passes the threshold; only then does the drag take over (see claim).
+      this.svg.addEventListener('mousedown', function (e) {
+        const opts  = self.options.interactions;
+        const nudge = e.altKey && opts.nudgeNodes;
+        if (e.button !== 0 || !(nudge || opts.dragNodes)) return;
+        const el = e.target && e.target.closest && e.target.closest('.mm-node');
+        const id = el && el.getAttribute('data-id');
+        const node = id !== null && self.getNode(id);
+        if (!node || !node.parent) return;
+        nodeDrag = {
+          id: id, ghost: null, tx: self._pz.tx, ty: self._pz.ty,
+          nudge: nudge ? { x: node.offsetX, y: node.offsetY, moved: false } : null,
+        };
+        mouseDownX = e.clientX;
+        mouseDownY = e.clientY;
+        self._dragMoved = false;
+      });
+
+      // Past the threshold: take the gesture from the pan, undoing what it moved
+      const claim = function () {
+        self._dragMoved = true;
+        self._endEdit(true);
+        if (dragging) {
+          dragging = false;
+          self._dragging = false;
+          self._pz.tx = nodeDrag.tx;
+          self._pz.ty = nodeDrag.ty;
+          self._applyTransform();
+        }
+      };
+
+      self._listenWindow('mousemove', function (e) {
+        if (!nodeDrag) return;
+        const dx = e.clientX - mouseDownX;
+        const dy = e.clientY - mouseDownY;
+        const nudge = nodeDrag.nudge;
+        if (nudge) {
+          if (!nudge.moved) {
+            if (Math.abs(dx) <= DRAG_THRESHOLD && Math.abs(dy) <= DRAG_THRESHOLD) return;
+            nudge.moved = true;
+            claim();
+            self.svg.style.cursor = 'move';
+          }
+          const k = self._pz.scale;
+          self._nudgeNode(nodeDrag.id, nudge.x + dx / k, nudge.y + dy / k);
+          return;
+        }
+        if (!nodeDrag.ghost) {
+          if (Math.abs(dx) <= DRAG_THRESHOLD && Math.abs(dy) <= DRAG_THRESHOLD) return;
+          const el = self._nodeEls.get(nodeDrag.id);
+          if (!el) { nodeDrag = null; return; }
+          claim();
+          nodeDrag.ghost = svgEl('g', { class: 'mm-drag-ghost', opacity: '0.6', 'pointer-events': 'none', 'aria-hidden': 'true' });
+          nodeDrag.ghost.appendChild(_ghostOf(el));
+          self.gMain.appendChild(nodeDrag.ghost);
+          el.setAttribute('opacity', '0.35');
+          self.svg.style.cursor = 'grabbing';
+        }
+        const k = self._pz.scale;
+        nodeDrag.ghost.setAttribute('transform', `translate(${dx / k},${dy / k})`);
+        const rect = self.svg.getBoundingClientRect();
+        self._drawDropIndicator(self._dropTarget(nodeDrag.id, {
+          x: (e.clientX - rect.left - self._pz.tx) / k,
+          y: (e.clientY - rect.top  - self._pz.ty) / k,
+        }));
+      });
+
+      self._listenWindow('mouseup', function () {
+        if (!nodeDrag) return;
+        const drag = nodeDrag;
+        nodeDrag = null;
+        if (drag.nudge) {
+          if (!drag.nudge.moved) return;
+          self.svg.style.cursor = self.options.interactions.pan ? 'grab' : 'default';
+          setTimeout(() => { self._dragMoved = false; }, 0);
+          self._flushNudge();
+          const node = self.getNode(drag.id);
+          if (node) self._emit('nudge', { id: node._id, node: node, offsetX: node.offsetX, offsetY: node.offsetY });
+          return;
+        }
+        if (!drag.ghost) return;
+        drag.ghost.parentNode.removeChild(drag.ghost);
+        const el = self._nodeEls.get(drag.id);
+        if (el) el.removeAttribute('opacity');
+        self.svg.style.cursor = self.options.interactions.pan ? 'grab' : 'default';
+        const drop = self._drop;
+        self._drawDropIndicator(null);
+        setTimeout(() => { self._dragMoved = false; }, 0);
+        if (drop) self._dropNode(drag.id, drop);
+      });
+    }
+
+    if (ix.pan) {
       // ── Mouse pan ──────────────────────────────────────────────────────────
       this.svg.addEventListener('mousedown', function (e) {
         if (e.button !== 0) return;
@@ -1568,7 +4599,7 @@
         e.preventDefault();
       });
 
-      window.addEventListener('mousemove', function (e) {
+      self._listenWindow('mousemove', function (e) {
         if (!dragging) return;
         const dx = e.clientX - mouseDownX;
         const dy = e.clientY - mouseDownY;
@@ -1580,7 +4611,7 @@
         self._applyTransform();
       });
 
-      window.addEventListener('mouseup', function () {
+      self._listenWindow('mouseup', function () {
         if (!dragging) return;
         dragging       = false;
         self._dragging = false;
@@ -1589,7 +4620,7 @@
       });
     }
 
-    if (this.options.interactions.zoom) {
+    if (ix.zoom) {
       // ── Scroll-wheel zoom ──────────────────────────────────────────────────
       this.svg.addEventListener('wheel', function (e) {
         e.preventDefault();
@@ -1609,7 +4640,7 @@
       }, { passive: false });
     }
 
-    if (this.options.interactions.pan || this.options.interactions.zoom) {
+    if (ix.pan || ix.zoom) {
       // ── Touch: pan (1 finger) + pinch-zoom (2 fingers) ────────────────────
       let lastTouchDist = 0;
 
@@ -1657,11 +4688,180 @@
     }
   };
 
+  // ── Drag & Drop ──────────────────────────────────────────────────────────────
+  // With interactions.dragNodes a node dragged past DRAG_THRESHOLD follows the
+  // pointer as a ghost. Dropped on the middle of another node it becomes that
+  // node's last child; dropped on the leading or trailing quarter (along the axis
+  // the target's siblings are spread on) it is inserted before or after it.
+
+  /**
+   * Where dragging node `id` to graph point `p` would drop it, or null.
+   * The dragged node's own subtree is never a target; the root only takes children.
+   * @returns {{target: Object, zone: string}|null}  zone: 'child' | 'before' | 'after'
+   */
+  Porphyry.prototype._dropTarget = function (id, p) {
+    const dragged = this.getNode(id);
+    let hit = null;
+    this._nodeEls.forEach((el, nid) => {
+      const n = this.getNode(nid);
+      if (!n || Math.abs(p.x - n.x) > n.width / 2 || Math.abs(p.y - n.y) > n.height / 2) return;
+      for (let a = n; a; a = a.parent) if (a === dragged) return;
+      hit = n;
+    });
+    if (!hit) return null;
+    if (!hit.parent) return { target: hit, zone: 'child' };
+
+    const flow = hit.parent._flow;
+    const axis = flow === 'down' || flow === 'up' || flow === 'fishbone' || flow === 'timeline' ? 'x' : 'y';
+    const size = axis === 'x' ? hit.width : hit.height;
+    const frac = (p[axis] - hit[axis]) / size + 0.5;
+    return { target: hit, zone: frac < 0.25 ? 'before' : frac > 0.75 ? 'after' : 'child' };
+  };
+
+  /** Show (or with null, remove) the drop indicator: a dashed outline for 'child', a bar for 'before'/'after'. */
+  Porphyry.prototype._drawDropIndicator = function (drop) {
+    if (this._dropEl && this._dropEl.parentNode) this._dropEl.parentNode.removeChild(this._dropEl);
+    this._dropEl = null;
+    this._drop = drop;
+    if (!drop) return;
+
+    const n = drop.target;
+    const k = this._pz.scale;
+    const color = this.options.selectionColor || '#4A90D9';
+    const pad = 4 / k;
+    let el;
+    if (drop.zone === 'child') {
+      el = svgEl('rect', {
+        x: n.x - n.width / 2 - pad, y: n.y - n.height / 2 - pad,
+        width: n.width + pad * 2, height: n.height + pad * 2, rx: 6 / k,
+        fill: 'none', stroke: color, 'stroke-width': 2 / k, 'stroke-dasharray': 5 / k,
+      });
+    } else {
+      const flow = n.parent._flow;
+      const alongX = flow === 'down' || flow === 'up' || flow === 'fishbone' || flow === 'timeline';
+      const s = drop.zone === 'before' ? -1 : 1;
+      el = alongX
+        ? svgEl('line', { x1: n.x + s * (n.width / 2 + pad), y1: n.y - n.height / 2, x2: n.x + s * (n.width / 2 + pad), y2: n.y + n.height / 2 })
+        : svgEl('line', { x1: n.x - n.width / 2, y1: n.y + s * (n.height / 2 + pad), x2: n.x + n.width / 2, y2: n.y + s * (n.height / 2 + pad) });
+      el.setAttribute('stroke', color);
+      el.setAttribute('stroke-width', 3 / k);
+      el.setAttribute('stroke-linecap', 'round');
+    }
+    el.setAttribute('class', 'mm-drop-indicator');
+    el.setAttribute('pointer-events', 'none');
+    this.gMain.appendChild(el);
+    this._dropEl = el;
+  };
+
+  /**
+   * Apply a drop: move the node in the data (see moveNode) and emit `move`.
+   * Drops that would leave the node where it is do nothing.
+   */
+  Porphyry.prototype._dropNode = function (id, drop) {
+    const node = this.getNode(id);
+    if (!node || !node.parent) return;
+    const oldParent = node.parent;
+    const oldIndex  = oldParent.children.indexOf(node);
+
+    let parent, index;
+    if (drop.zone === 'child') {
+      parent = drop.target;
+      index  = parent.children.length - (parent === oldParent ? 1 : 0);
+    } else {
+      parent = drop.target.parent;
+      index  = parent.children.indexOf(drop.target) + (drop.zone === 'after' ? 1 : 0);
+      if (parent === oldParent && oldIndex < index) index--;   // counted after removal
+    }
+    if (parent === oldParent && index === oldIndex) return;
+
+    const oldParentId = oldParent._id;
+    const data = node._data;
+    this.moveNode(id, parent._id, index);
+    const moved = this._findByData(data);
+    if (!moved) return;
+    this._emit('move', {
+      id: moved._id,
+      node: moved,
+      oldParentId: oldParentId,
+      oldIndex: oldIndex,
+      newParentId: moved.parent._id,
+      newIndex: moved.parent.children.indexOf(moved),
+    });
+  };
+
+  /**
+   * Set a node's offset in its data (rounded to whole pixels; zero offsets are
+   * removed) and move its subtree by the change at once, without animating.
+   * Offsets are applied after layout (see _applyOffsets), so nothing else moves
+   * and no re-layout is needed; the drawing catches up once per animation frame.
+   */
+  Porphyry.prototype._nudgeNode = function (id, ox, oy) {
+    const node = this.getNode(id);
+    if (!node) return;
+    const data = node._data;
+    ox = Math.round(ox);
+    oy = Math.round(oy);
+    if (ox === node.offsetX && oy === node.offsetY) return;
+    if (ox) data.offsetX = ox; else delete data.offsetX;
+    if (oy) data.offsetY = oy; else delete data.offsetY;
+    this._stopTransition();
+    this._shiftSubtree(node, node.x + ox - node.offsetX, node.y + oy - node.offsetY);
+    node.offsetX = ox;
+    node.offsetY = oy;
+    if (!this._nudgeFrame) {
+      this._nudgeFrame = requestAnimationFrame(() => {
+        this._nudgeFrame = null;
+        this._patchTree(this._tree, null);
+      });
+    }
+  };
+
+  /** Draw a pending nudge frame now, at the end of an Alt-drag, and announce the render. */
+  Porphyry.prototype._flushNudge = function () {
+    if (this._nudgeFrame) {
+      cancelAnimationFrame(this._nudgeFrame);
+      this._nudgeFrame = null;
+      this._patchTree(this._tree, null);
+    }
+    this._emit('render', { root: this._tree });
+  };
+
+  /**
+   * Add a window listener owned by the current interaction binding, so the
+   * next re-bind (or destroy) can take it off again.
+   * @param {string} type
+   * @param {Function} fn
+   */
+  Porphyry.prototype._listenWindow = function (type, fn) {
+    window.addEventListener(type, fn);
+    (this._windowListeners || (this._windowListeners = [])).push([type, fn]);
+  };
+
+  /** Remove every window listener added through _listenWindow. */
+  Porphyry.prototype._unlistenWindow = function () {
+    (this._windowListeners || []).forEach(function (l) { window.removeEventListener(l[0], l[1]); });
+    this._windowListeners = [];
+  };
+
+  /**
+   * Copy of a node's drawing to drag around: a picture only, so it drops the
+   * node's id, ARIA tree semantics, tab stop and focus ring.
+   */
+  function _ghostOf(el) {
+    const copy = el.cloneNode(true);
+    ['data-id', 'role', 'tabindex'].forEach(a => copy.removeAttribute(a));
+    Array.from(copy.attributes).forEach(a => { if (a.name.indexOf('aria-') === 0) copy.removeAttribute(a.name); });
+    const ring = copy.querySelector('.mm-focus-ring');
+    if (ring) ring.parentNode.removeChild(ring);
+    return copy;
+  }
+
   /**
    * Re-apply the cursor style and re-bind interaction listeners.
    * Call this after mutating options.interactions at runtime.
    */
   Porphyry.prototype._rebindInteractions = function () {
+    this._unlistenWindow();
     // Update cursor to match current pan setting
     this.svg.style.cursor = this.options.interactions.pan ? 'grab' : 'default';
     // Clone the svg to strip all existing listeners, then re-attach
@@ -1672,12 +4872,307 @@
     // Re-point internal group references into the new svg
     this.gMain    = newSvg.querySelector('.mm-edges').parentNode;
     this.gEdges   = newSvg.querySelector('.mm-edges');
+    this.gLinks   = newSvg.querySelector('.mm-links');
     this.gNodes   = newSvg.querySelector('.mm-nodes');
     this.gToggles = newSvg.querySelector('.mm-toggles');
+    // The cloned node elements lost their listeners — draw them afresh
+    if (this._tree) {
+      this._stopTransition();
+      this._clearDrawing();
+      this._drawTree(this._tree);
+    }
     this._bindPanZoom();
+    this._bindSelection();
     this._updateTips();
   };
 
+  // ── Markdown ───────────────────────────────────────────────────────────────
+
+  // A heading (`# Topic`) or list item (`- Topic`, `* Topic`, `+ Topic`, `1. Topic`).
+  const MD_HEADING = /^(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/;
+  const MD_ITEM    = /^([ \t]*)(?:[-*+]|\d+[.)])\s+(.*?)\s*$/;
+  // `[label](url)`, `[label](<url with spaces>)`, optionally with a "title"
+  const MD_LINK    = /^\[((?:\\.|[^\\\]])*)\]\(\s*(?:<((?:\\.|[^<>\\\n])*)>|([^)\s]+))(?:\s+"[^"]*")?\s*\)/;
+  const MD_FENCE   = /^\s*(`{3,}|~{3,})/;
+
+  /** The first link in `text` whose `[` is not backslash-escaped, or null. */
+  function _mdFindLink(text) {
+    for (let i = 0; i < text.length; i++) {
+      if (text[i] === '\\') { i++; continue; }
+      if (text[i] !== '[') continue;
+      const m = MD_LINK.exec(text.slice(i));
+      if (m) return { index: i, end: i + m[0].length, label: m[1], url: m[2] != null ? m[2].replace(/\\([<>\\])/g, '$1') : m[3] };
+    }
+    return null;
+  }
+
+  /**
+   * Undo Markdown backslash escapes. Escaped `*`, `` ` `` and `~` stay escaped:
+   * topics are rich text (see _parseRich), which reads those escapes the same way.
+   */
+  function _mdUnescape(text) {
+    return text
+      .replace(/^\\(#|[-*+](?=\s))/, '$1')
+      .replace(/\\([!-/:-@[-`{-~])/g, (m, ch) => '*`~'.indexOf(ch) !== -1 ? m : ch);
+  }
+
+  /**
+   * Escape a topic for toMarkdown() so fromMarkdown() reads it back unchanged:
+   * backslashes and brackets everywhere, and anything at the start that would
+   * make the line a heading or a list item.
+   */
+  function _mdEscape(text) {
+    return text
+      .replace(/[\\[\]]/g, '\\$&')
+      .replace(/^(#|[-*+](?=\s))/, '\\$1')
+      .replace(/^(\d+)([.)])(?=\s)/, '$1\\$2');
+  }
+
+  /**
+   * Turn the text of a heading or list item into node data.
+   * The first `[label](url)` link becomes the node `url`; its label stays in the topic.
+   */
+  function _mdNode(text) {
+    const node = { topic: '', children: [] };
+    const m = _mdFindLink(text);
+    if (m) {
+      node.url = m.url;
+      text = text.slice(0, m.index) + m.label + text.slice(m.end);
+    }
+    node.topic = _mdUnescape(text.trim());
+    return node;
+  }
+
+  /**
+   * Parse a Markdown outline into the `{ topic, children }` data accepted by render().
+   *
+   * Headings nest by level, list items nest by indentation under the closest
+   * preceding heading. Any other lines (paragraphs, code, rules) are ignored,
+   * including headings and list items inside fenced code blocks.
+   * When the outline has a single top-level entry it becomes the root; otherwise
+   * the top-level entries are wrapped in an untitled root node.
+   *
+   * @param {string} text  Markdown source
+   * @returns {Object} Mind map data
+   */
+  Porphyry.fromMarkdown = function (text) {
+    const root = { topic: '', children: [] };
+    const headings = [{ level: 0, node: root }];   // open heading chain
+    let items = [];                                 // open list-item chain: { indent, node }
+    let fence = null;                               // opening ``` / ~~~ of the code block we are in
+
+    String(text || '').split(/\r?\n/).forEach(function (line) {
+      const f = MD_FENCE.exec(line);
+      if (fence) {
+        // Closed by a fence of the same character, at least as long, with nothing after it
+        if (f && f[1][0] === fence[0] && f[1].length >= fence.length && !line.trim().slice(f[1].length).trim()) fence = null;
+        return;
+      }
+      if (f) { fence = f[1]; return; }
+
+      const h = MD_HEADING.exec(line);
+      if (h) {
+        const level = h[1].length;
+        while (headings[headings.length - 1].level >= level) headings.pop();
+        const node = _mdNode(h[2] || '');
+        headings[headings.length - 1].node.children.push(node);
+        headings.push({ level: level, node: node });
+        items = [];
+        return;
+      }
+
+      const li = MD_ITEM.exec(line);
+      if (!li) return;
+      const indent = li[1].replace(/\t/g, '    ').length;
+      while (items.length && items[items.length - 1].indent >= indent) items.pop();
+      const parent = items.length ? items[items.length - 1].node : headings[headings.length - 1].node;
+      const node = _mdNode(li[2]);
+      parent.children.push(node);
+      items.push({ indent: indent, node: node });
+    });
+
+    return root.children.length === 1 ? root.children[0] : root;
+  };
+
+  /**
+   * Serialize the current tree (including collapsed subtrees) as a Markdown outline:
+   * the root becomes a `#` heading and its descendants a nested `-` list.
+   * Nodes with a `url` are written as `[topic](url)`. Topics are escaped so the
+   * output round-trips through Porphyry.fromMarkdown(); whitespace runs become
+   * single spaces, and `offsetX`/`offsetY`, `onclick` and styling are not written.
+   * @returns {string}
+   */
+  Porphyry.prototype.toMarkdown = function () {
+    if (!this._tree) return '';
+    const label = function (node) {
+      const topic = _mdEscape(node.topic.replace(/\s+/g, ' ').trim());
+      if (!node.url) return topic;
+      // Spaces and parentheses need the <…> form, inside which < > \ are escaped
+      const url = /[\s()<>]/.test(node.url) ? '<' + node.url.replace(/[<>\\]/g, '\\$&') + '>' : node.url;
+      return '[' + topic + '](' + url + ')';
+    };
+    // A heading's trailing #s are a closing sequence; escape them to keep them
+    const out = ['# ' + label(this._tree).replace(/(\s)(#+)$/, '$1\\$2'), ''];
+    const walk = function (node, level) {
+      out.push('  '.repeat(level) + '- ' + label(node));
+      node.children.forEach(function (c) { walk(c, level + 1); });
+    };
+    this._tree.children.forEach(function (c) { walk(c, 0); });
+    return out.join('\n') + '\n';
+  };
+
+  // ── OPML / FreeMind ────────────────────────────────────────────────────────
+
+  function _xmlEscape(str) {
+    return String(str)
+      .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;').replace(/\n/g, '&#10;');
+  }
+
+  /** Parse an XML string, throwing a descriptive error when it is malformed. */
+  function _parseXML(text, format) {
+    const doc = new DOMParser().parseFromString(String(text || ''), 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length) {
+      throw new Error('[Porphyry] Invalid ' + format + ' document');
+    }
+    return doc;
+  }
+
+  /** Direct child elements of `el` with the given tag name. */
+  function _childElements(el, tag) {
+    return Array.prototype.filter.call(el.childNodes, function (c) {
+      return c.nodeType === 1 && c.nodeName === tag;
+    });
+  }
+
+  /**
+   * Parse an OPML outline into the `{ topic, children }` data accepted by render().
+   * `text` (or `title`) becomes the topic and `url`/`htmlUrl` the node url;
+   * `offsetX`/`offsetY` attributes (written by toOPML) are kept.
+   * A body with several top-level outlines is wrapped in a root titled after
+   * the document's `<head><title>`.
+   * @param {string} text  OPML source
+   * @returns {Object} Mind map data
+   */
+  Porphyry.fromOPML = function (text) {
+    const doc  = _parseXML(text, 'OPML');
+    const body = doc.getElementsByTagName('body')[0];
+    if (!body) throw new Error('[Porphyry] OPML document has no <body>');
+
+    const convert = function (el) {
+      const node = { topic: el.getAttribute('text') || el.getAttribute('title') || '', children: [] };
+      const url = el.getAttribute('url') || el.getAttribute('htmlUrl');
+      if (url) node.url = url;
+      ['offsetX', 'offsetY'].forEach(function (k) {
+        const v = Number(el.getAttribute(k));
+        if (v) node[k] = v;
+      });
+      node.children = _childElements(el, 'outline').map(convert);
+      return node;
+    };
+
+    const tops = _childElements(body, 'outline').map(convert);
+    if (tops.length === 1) return tops[0];
+    const title = doc.getElementsByTagName('title')[0];
+    return { topic: title ? title.textContent.trim() : '', children: tops };
+  };
+
+  /**
+   * Parse a FreeMind (.mm) map into the `{ topic, children }` data accepted by render().
+   * TEXT (or the plain text of a rich-content node) becomes the topic, LINK the url,
+   * POSITION on first-level nodes the `direction`, and `offsetX`/`offsetY`
+   * node attributes (written by toFreeMind) the offsets.
+   * @param {string} text  FreeMind XML source
+   * @returns {Object} Mind map data
+   */
+  Porphyry.fromFreeMind = function (text) {
+    const doc = _parseXML(text, 'FreeMind');
+    const map = doc.documentElement;
+    const top = map && map.nodeName === 'map' ? _childElements(map, 'node')[0] : null;
+    if (!top) throw new Error('[Porphyry] FreeMind document has no root <node>');
+
+    const convert = function (el, depth) {
+      let topic = el.getAttribute('TEXT');
+      if (topic === null) {
+        const rich = _childElements(el, 'richcontent')[0];
+        topic = rich ? rich.textContent.replace(/\s+/g, ' ').trim() : '';
+      }
+      const node = { topic: topic, children: [] };
+      const link = el.getAttribute('LINK');
+      if (link) node.url = link;
+      const pos = el.getAttribute('POSITION');
+      if (depth === 1 && (pos === 'left' || pos === 'right')) node.direction = pos;
+      _childElements(el, 'attribute').forEach(function (a) {
+        const k = a.getAttribute('NAME');
+        const v = Number(a.getAttribute('VALUE'));
+        if ((k === 'offsetX' || k === 'offsetY') && v) node[k] = v;
+      });
+      node.children = _childElements(el, 'node').map(function (c) { return convert(c, depth + 1); });
+      return node;
+    };
+
+    return convert(top, 0);
+  };
+
+  /**
+   * Serialize the current tree (including collapsed subtrees) as an OPML 2.0 document.
+   * Nudged nodes carry their `offsetX`/`offsetY` as extra outline attributes.
+   * @returns {string}
+   */
+  Porphyry.prototype.toOPML = function () {
+    if (!this._tree) return '';
+    const out = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<opml version="2.0">',
+      '  <head><title>' + _xmlEscape(this._tree.topic) + '</title></head>',
+      '  <body>',
+    ];
+    const walk = function (node, level) {
+      const pad   = '  '.repeat(level);
+      const attrs = ' text="' + _xmlEscape(node.topic) + '"'
+        + (node.url ? ' type="link" url="' + _xmlEscape(node.url) + '"' : '')
+        + (node.offsetX ? ' offsetX="' + node.offsetX + '"' : '')
+        + (node.offsetY ? ' offsetY="' + node.offsetY + '"' : '');
+      if (!node.children.length) { out.push(pad + '<outline' + attrs + '/>'); return; }
+      out.push(pad + '<outline' + attrs + '>');
+      node.children.forEach(function (c) { walk(c, level + 1); });
+      out.push(pad + '</outline>');
+    };
+    walk(this._tree, 2);
+    out.push('  </body>', '</opml>');
+    return out.join('\n') + '\n';
+  };
+
+  /**
+   * Serialize the current tree (including collapsed subtrees) as a FreeMind (.mm) map.
+   * First-level nodes in horizontal layouts carry their resolved side as POSITION,
+   * and nudged nodes their `offsetX`/`offsetY` as node attributes.
+   * @returns {string}
+   */
+  Porphyry.prototype.toFreeMind = function () {
+    if (!this._tree) return '';
+    const out = ['<map version="1.0.1">'];
+    const walk = function (node, level) {
+      const pad = '  '.repeat(level);
+      let attrs = ' TEXT="' + _xmlEscape(node.topic) + '"';
+      if (node.url) attrs += ' LINK="' + _xmlEscape(node.url) + '"';
+      if (node.depth === 1 && (node.direction === 'left' || node.direction === 'right')) {
+        attrs += ' POSITION="' + node.direction + '"';
+      }
+      const offsets = ['offsetX', 'offsetY'].filter(function (k) { return node[k]; });
+      if (!node.children.length && !offsets.length) { out.push(pad + '<node' + attrs + '/>'); return; }
+      out.push(pad + '<node' + attrs + '>');
+      offsets.forEach(function (k) {
+        out.push(pad + '  <attribute NAME="' + k + '" VALUE="' + node[k] + '"/>');
+      });
+      node.children.forEach(function (c) { walk(c, level + 1); });
+      out.push(pad + '</node>');
+    };
+    walk(this._tree, 1);
+    out.push('</map>');
+    return out.join('\n') + '\n';
+  };
+
   // ── Export ──────────────────────────────────────────────────────────────────
 
   if (typeof module !== 'undefined' && module.exports) {
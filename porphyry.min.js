@@ -4,4 +4,4 @@
  * @version 1.6.2
  * @license MIT
  */
-!function(t){"use strict";const e=["#E05C5C","#F0883E","#D4A017","#4CAF82","#29A8AB","#4A90D9","#8B6FD4","#D46FAB","#5BB8A0","#7DAA44"],i="http://www.w3.org/2000/svg",o={colors:e,layout:"auto",centerEdge:"side",branchSpacingX:220,subSpacingX:170,verticalSpacing:50,verticalSpacingY:60,horizontalSpacing:30,lineHeight:1.45,center:{fontSize:17,fontWeight:"700",paddingX:28,paddingY:16,radius:12,maxWidth:240,bgColor:"#1A1F2E",border:!1,borderColor:null,fontColor:"#FFFFFF",shadowColor:"rgba(0,0,0,0.35)"},branch:{fontSize:14,fontWeight:"600",paddingX:18,paddingY:10,radius:99,maxWidth:200,bgColor:null,border:!1,borderColor:null,fontColor:"#FFFFFF",shadowColor:"rgba(0,0,0,0.2)"},leaf:{fontSize:13,fontWeight:"500",paddingX:14,paddingY:7,radius:3,maxWidth:170,bgColor:null,border:"bottom",borderColor:null,fontColor:"#2D3748"},edgeWidth:{root:2.5,branch:2,leaf:1.5},edgeOpacity:.85,minZoom:.08,maxZoom:4,zoomSensitivity:.12,interactions:{pan:!1,zoom:!1,hud:!1,tips:!1,collapse:!1,download:!1},animationDuration:350,fitPadding:20,spacing:1,theme:"classic",showLinkIcons:!0,fontColor:null,fanAlignThreshold:10},n={ghost:{center:{fontColor:"#2D3748"},branch:{fontColor:"#2D3748"},leaf:{border:!1}},underline:{center:{border:"bottom",fontColor:"#2D3748"},branch:{border:"bottom",fontColor:"#2D3748"}},baseline:{center:{border:"bottom",fontColor:"#2D3748"},branch:{border:"bottom",fontColor:"#2D3748"}},minimal:{center:{fontColor:null},branch:{fontColor:null},leaf:{border:!1,fontColor:null}},outline:{center:{bgColor:"#FFFFFF",border:!0,borderColor:"#1A1F2E",fontColor:"#1A1F2E",radius:99},branch:{bgColor:"#FFFFFF",border:!0,borderColor:null,fontColor:null},leaf:{bgColor:"#FFFFFF",border:!0,borderColor:null,fontColor:null,radius:10}},"outline-sharp":{center:{bgColor:"#FFFFFF",border:!0,borderColor:"#1A1F2E",fontColor:"#1A1F2E",radius:0},branch:{bgColor:"#FFFFFF",border:!0,borderColor:null,fontColor:null,radius:0},leaf:{bgColor:"#FFFFFF",border:!0,borderColor:null,fontColor:null,radius:0}},solid:{center:{radius:99},branch:{fontColor:"#FFFFFF"},leaf:{border:!1,fontColor:"#FFFFFF",radius:10}},"solid-sharp":{center:{radius:0},branch:{fontColor:"#FFFFFF",radius:0},leaf:{border:!1,fontColor:"#FFFFFF",radius:0}}};function r(t,e){const i=Object.assign({},t);return e?(Object.keys(e).forEach(o=>{e[o]&&"object"==typeof e[o]&&!Array.isArray(e[o])?i[o]=r(t[o]||{},e[o]):i[o]=e[o]}),i):i}function s(t,e){const o=document.createElementNS(i,t);return e&&Object.keys(e).forEach(t=>o.setAttribute(t,e[t])),o}function h(t,e,i){const o=t.split(/\s+/).filter(Boolean);if(!o.length)return[""];const n=[];let r="";return o.forEach(t=>{(i(t)>e?function(t){const o=[];let n="";for(let r=0;r<t.length;r++){const s=n+t[r];i(s)<=e?n=s:(n&&o.push(n),n=t[r])}return n&&o.push(n),o.length?o:[t]}(t):[t]).forEach(t=>{const o=r?r+" "+t:t;i(o)<=e?r=o:(r&&n.push(r),r=t)})}),r&&n.push(r),n}function a(t,e){if(this.container="string"==typeof t?document.querySelector(t):t,!this.container)throw new Error("[Porphyry] Container element not found: "+t);if(this._userOptions=e||{},this.options=r(o,this._userOptions),this._tree=null,this._pz={tx:0,ty:0,scale:1},this._textCache={},this._collapsed=new Set,this._lastData=null,this._buildDOM(),this._bindPanZoom(),"undefined"!=typeof ResizeObserver){const t=this;let e;this._resizeObserver=new ResizeObserver(function(){clearTimeout(e),e=setTimeout(function(){t.fit()},50)}),this._resizeObserver.observe(this.container)}}function l(t,e){t.direction=e,t.children.forEach(function(t){l(t,e)})}a.prototype._buildDOM=function(){this.container.style.position="relative",this.container.style.overflow="hidden",this.container.style.userSelect="none",this.svg=s("svg",{width:"100%",height:"100%"}),this.svg.style.display="block",this.svg.style.cursor=this.options.interactions.pan?"grab":"default",this.svg.style.transform="translateZ(0)",this.svg.style.willChange="transform",this.svg.style.webkitFontSmoothing="antialiased";const t=s("defs"),e=s("filter",{id:"mm-shadow-center",x:"-30%",y:"-30%",width:"160%",height:"160%"}),i=s("feDropShadow",{dx:"0",dy:"3",stdDeviation:"5","flood-color":this.options.center.shadowColor});e.appendChild(i),t.appendChild(e);const o=s("filter",{id:"mm-shadow-branch",x:"-30%",y:"-30%",width:"160%",height:"160%"}),n=s("feDropShadow",{dx:"0",dy:"2",stdDeviation:"3.5","flood-color":this.options.branch.shadowColor});o.appendChild(n),t.appendChild(o),this.svg.appendChild(t),this.gMain=s("g"),this.gEdges=s("g",{class:"mm-edges"}),this.gNodes=s("g",{class:"mm-nodes"}),this.gToggles=s("g",{class:"mm-toggles"}),this.gMain.appendChild(this.gEdges),this.gMain.appendChild(this.gNodes),this.gMain.appendChild(this.gToggles),this.svg.appendChild(this.gMain),this.container.appendChild(this.svg),this.options.interactions.hud&&this._buildHUD(),this.options.interactions.tips&&this._buildTips(),this.options.interactions.download&&!this.options.interactions.hud&&this._buildDownloadBtn()},a.prototype._buildHUD=function(){const t=this,e=document.createElement("div");e.className="porphyry-hud",e.style.cssText=["position:absolute","bottom:14px","right:14px","display:flex","align-items:center","gap:5px","background:#fff","border:1px solid #E2E8F0","border-radius:10px","padding:4px 9px","box-shadow:0 2px 10px rgba(0,0,0,0.08)","z-index:10","font-family:system-ui,sans-serif","opacity:0.4","transition:opacity 0.2s"].join(";"),e.addEventListener("mouseenter",()=>{e.style.opacity="1"}),e.addEventListener("mouseleave",()=>{e.style.opacity="0.4"});const i=["width:26px","height:26px","border:1px solid #E2E8F0","border-radius:6px","background:#F7F8FC","font-size:15px","line-height:1","cursor:pointer","display:flex","align-items:center","justify-content:center","color:#1A202C","transition:all 0.12s","padding:0"].join(";");function o(t,e,o){const n=document.createElement("button");return n.textContent=t,n.title=e,n.style.cssText=i,n.addEventListener("click",o),n.addEventListener("mouseenter",()=>{n.style.background="#EBF4FF",n.style.color="#4A90D9",n.style.borderColor="#4A90D9"}),n.addEventListener("mouseleave",()=>{n.style.background="#F7F8FC",n.style.color="#1A202C",n.style.borderColor="#E2E8F0"}),n}const n=document.createElement("span");if(n.style.cssText="font-size:12px;font-weight:600;color:#718096;min-width:40px;text-align:center",n.textContent="100%",this._hudZoomLevel=n,e.appendChild(o("−","Zoom out",()=>t._hudZoom(.8))),e.appendChild(n),e.appendChild(o("+","Zoom in",()=>t._hudZoom(1.25))),e.appendChild(o("⤢","Fit to view",()=>t.fit())),this.options.interactions.download){const o=document.createElement("span");o.style.cssText="width:1px;height:18px;background:#E2E8F0;margin:0 2px",e.appendChild(o);const n=document.createElement("button");n.title="Download as SVG",n.style.cssText=i,n.innerHTML='<svg width="14" height="14" viewBox="0 0 14 14" fill="none" xmlns="http://www.w3.org/2000/svg"><path d="M7 1v7M7 8l-3-3M7 8l3-3M1 10.5v1A1.5 1.5 0 0 0 2.5 13h9A1.5 1.5 0 0 0 13 11.5v-1" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/></svg>',n.addEventListener("click",()=>t.downloadSVG()),n.addEventListener("mouseenter",()=>{n.style.background="#EBF4FF",n.style.color="#4A90D9",n.style.borderColor="#4A90D9"}),n.addEventListener("mouseleave",()=>{n.style.background="#F7F8FC",n.style.color="#1A202C",n.style.borderColor="#E2E8F0"}),e.appendChild(n)}this.container.appendChild(e),this._hud=e},a.prototype.downloadSVG=function(t){if(!this.svg)return;t=t||"mindmap.svg";const e=this.svg.cloneNode(!0);e.setAttribute("xmlns","http://www.w3.org/2000/svg");const i=this.svg.querySelector("g"),o=i?i.getBBox():null,n=this.options.fitPadding;o&&o.width>0&&(e.setAttribute("viewBox",[o.x-n,o.y-n,o.width+2*n,o.height+2*n].join(" ")),e.setAttribute("width",o.width+2*n),e.setAttribute("height",o.height+2*n));const r=e.querySelector("[transform]");r&&r.removeAttribute("transform");const s=(new XMLSerializer).serializeToString(e),h=new Blob([s],{type:"image/svg+xml;charset=utf-8"}),a=URL.createObjectURL(h),l=document.createElement("a");l.href=a,l.download=t,document.body.appendChild(l),l.click(),document.body.removeChild(l),URL.revokeObjectURL(a)},a.prototype._buildDownloadBtn=function(){const t=this,e=document.createElement("button");e.title="Download as SVG",e.style.cssText=["position:absolute","bottom:14px","right:14px","width:32px","height:32px","border-radius:8px","background:#fff","border:1px solid #E2E8F0","box-shadow:0 2px 10px rgba(0,0,0,0.08)","cursor:pointer","z-index:10","display:flex","align-items:center","justify-content:center","color:#1A202C","transition:all 0.12s","padding:0"].join(";"),e.innerHTML='<svg width="14" height="14" viewBox="0 0 14 14" fill="none" xmlns="http://www.w3.org/2000/svg"><path d="M7 1v7M7 8l-3-3M7 8l3-3M1 10.5v1A1.5 1.5 0 0 0 2.5 13h9A1.5 1.5 0 0 0 13 11.5v-1" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/></svg>',e.addEventListener("click",()=>t.downloadSVG()),e.addEventListener("mouseenter",()=>{e.style.background="#EBF4FF",e.style.color="#4A90D9",e.style.borderColor="#4A90D9"}),e.addEventListener("mouseleave",()=>{e.style.background="#fff",e.style.color="#1A202C",e.style.borderColor="#E2E8F0"}),this.container.appendChild(e)},a.prototype._hudZoom=function(t){const e=this.container.clientWidth/2,i=this.container.clientHeight/2,o=Math.min(this.options.maxZoom,Math.max(this.options.minZoom,this._pz.scale*t));this._pz.tx=e-(e-this._pz.tx)*(o/this._pz.scale),this._pz.ty=i-(i-this._pz.ty)*(o/this._pz.scale),this._pz.scale=o,this._applyTransform()},a.prototype._buildTips=function(){const t=document.createElement("div");t.className="porphyry-tips",t.style.cssText=["position:absolute","bottom:14px","left:50%","transform:translateX(-50%)","font-size:11.5px","color:#718096","background:#fff","border:1px solid #E2E8F0","border-radius:8px","padding:5px 14px","box-shadow:0 2px 10px rgba(0,0,0,0.08)","white-space:nowrap","z-index:10","font-family:system-ui,sans-serif","opacity:0.4","transition:opacity 0.2s"].join(";"),t.addEventListener("mouseenter",()=>{t.style.opacity="1"}),t.addEventListener("mouseleave",()=>{t.style.opacity="0.4"}),this.container.appendChild(t),this._tips=t,this._updateTips()},a.prototype._updateTips=function(){if(!this._tips)return;const t=this.options.interactions,e=[];t.zoom&&e.push("Scroll to zoom"),t.pan&&e.push("Drag to pan"),t.collapse&&e.push("+/− to collapse"),e.push("↗ click node to open link"),this._tips.textContent=e.join("  ·  ")},a.prototype.render=function(t){this._collapsed.clear(),this._lastData=t,this._renderInternal(!0)},a.prototype._renderInternal=function(t){const e=this.options.theme||o.theme,i=this.options.layout||"auto",s=n["classic"===e&&("up"===i||"down"===i)?"outline":e]||{};if(this.options.center=r(r(o.center,s.center||{}),this._userOptions.center||{}),this.options.branch=r(r(o.branch,s.branch||{}),this._userOptions.branch||{}),this.options.leaf=r(r(o.leaf,s.leaf||{}),this._userOptions.leaf||{}),this.gEdges.innerHTML="",this.gNodes.innerHTML="",this.gToggles.innerHTML="",this._nodeIdCounter=0,this._tree=this._buildTree(this._lastData,null,-1,0),this._assignDirections(this._tree),this._computeSizes(this._tree),this._computeAdaptiveSpacing(this._tree),this._layoutTree(this._tree),t){const t=this.container.clientWidth,e=this.container.clientHeight,i=this.options.fitPadding;if(t>0&&e>0){const o=this._bboxFromTree();if(o.width>0&&o.height>0){const n=(t-2*i)/o.width,r=(e-2*i)/o.height;n>1.5*r&&(this._widthFactor=Math.min(n/r,2.5),this._computeSizes(this._tree),this._layoutTree(this._tree),this._widthFactor=1)}}}if(this._drawTree(this._tree),t){const t=this;this.svg.style.transition="none",this.svg.style.opacity="0",requestAnimationFrame(function(){requestAnimationFrame(function(){t.fit(),t.svg.style.transition="opacity 0.15s",t.svg.style.opacity="1"})})}},a.prototype._bboxFromTree=function(){var t=1/0,e=-1/0,i=1/0,o=-1/0,n=this,r=function(s){var h=s.width/2,a=s.height/2;s.x-h<t&&(t=s.x-h),s.x+h>e&&(e=s.x+h),s.y-a<i&&(i=s.y-a),s.y+a>o&&(o=s.y+a),n._collapsed.has(s._id)||s.children.forEach(r)};return r(this._tree),{width:t===1/0?0:e-t,height:i===1/0?0:o-i}},a.prototype.fit=function(){if(this._tree)try{const t=this.gMain.getBBox();if(!t||0===t.width)return;const e=this.container.clientWidth,i=this.container.clientHeight,o=this.options.fitPadding,n=(e-2*o)/t.width,r=(i-2*o)/t.height,s=Math.min(n,r,1.4),h=e/2-(t.x+t.width/2)*s,a=i/2-(t.y+t.height/2)*s;this._pz={tx:h,ty:a,scale:s},this._applyTransform()}catch(t){}},a.prototype.destroy=function(){this._resizeObserver&&(this._resizeObserver.disconnect(),this._resizeObserver=null)},a.prototype.reset=function(){this._pz={tx:this.container.clientWidth/2,ty:this.container.clientHeight/2,scale:1},this._applyTransform()},a.prototype._buildTree=function(t,i,o,n){const r={topic:t.topic||"",url:t.url||null,onclick:t.url||"function"!=typeof t.onclick?null:t.onclick,direction:t.direction||null,depth:n,parent:i,colorIdx:o,children:[],_id:this._nodeIdCounter++,x:0,y:0,width:0,height:0,fontSize:0};return Array.isArray(t.children)&&t.children.forEach(function(t,i){const s=0===n?i%e.length:o;r.children.push(this._buildTree(t,r,s,n+1))},this),r},a.prototype._assignDirections=function(t){const e=this.options.layout;if("down"===e||"up"===e)return void t.children.forEach(t=>l(t,e));if("left"===e)return void t.children.forEach(t=>l(t,"left"));if("right"===e)return void t.children.forEach(t=>l(t,"right"));const i=t.children.filter(t=>"left"===t.direction||"right"===t.direction),o=t.children.filter(t=>!t.direction);let n=i.filter(t=>"right"===t.direction).length,r=i.filter(t=>"left"===t.direction).length;o.forEach(t=>{n<=r?(t.direction="right",n++):(t.direction="left",r++)}),t.children.forEach(t=>l(t,t.direction))},a.prototype._measureText=function(t,e,i){const o=i||"700",n=t+":"+e+":"+o;if(this._textCache[n])return this._textCache[n];this._measureCanvas||(this._measureCanvas=document.createElement("canvas"),this._measureCtx=this._measureCanvas.getContext("2d")),this._measureCtx.font=o+" "+e+'px system-ui, -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif';const r=this._measureCtx.measureText(t).width;return this._textCache[n]=r,r},a.prototype._computeSizes=function(t){const e=this.options,i=this._widthFactor||1;let o,n,r,s,a;0===t.depth?(o=e.center.fontSize,n=e.center.fontWeight,r=e.center.paddingX,s=e.center.paddingY,a=e.center.maxWidth*i):1===t.depth?(o=e.branch.fontSize,n=e.branch.fontWeight,r=e.branch.paddingX,s=e.branch.paddingY,a=e.branch.maxWidth*i):(o=e.leaf.fontSize,n=e.leaf.fontWeight,r=e.leaf.paddingX,s=e.leaf.paddingY,a=e.leaf.maxWidth*i);const l=(t.url||t.onclick)&&e.showLinkIcons?25:0,d=a-2*r-l,c=t=>this._measureText(t,o,n),p=h(t.topic,d,c),u=p.reduce((t,e)=>Math.max(t,c(e)),0),g=o*e.lineHeight;t.fontSize=o,t.lineHeight=Math.round(g),t.paddingX=r,t.paddingY=s,t.lines=p,t.width=Math.ceil(Math.min(u+4+2*r+l,a)),t.height=Math.ceil(p.length*g+2*s),t.children.forEach(t=>this._computeSizes(t))},a.prototype._maxDepth=function(t){return t.children.length?Math.max(...t.children.map(t=>this._maxDepth(t))):t.depth},a.prototype._computeAdaptiveSpacing=function(t){const e=this.options,i="number"==typeof e.spacing?e.spacing:1;if("up"===e.layout||"down"===e.layout)return void(this._sp={branchSpacingX:Math.round(e.branchSpacingX*i),subSpacingX:Math.round(e.subSpacingX*i),verticalSpacingY:Math.round(e.verticalSpacingY*i),horizontalSpacing:Math.round(e.horizontalSpacing*i),verticalSpacing:Math.round(e.verticalSpacing*i)});const o=this._maxDepth(t),n=i*(o<=2?1:Math.max(.45,2.5/o));this._sp={branchSpacingX:Math.round(e.branchSpacingX*n),subSpacingX:Math.round(e.subSpacingX*n),verticalSpacingY:Math.round(e.verticalSpacingY*i),horizontalSpacing:Math.round(e.horizontalSpacing*i),verticalSpacing:Math.round(e.verticalSpacing*i)}},a.prototype._subtreeHeight=function(t){const e=this._sp?this._sp.verticalSpacing:this.options.verticalSpacing;if(!t.children.length||this._collapsed.has(t._id))return t.height+e;const i=t.children.reduce((t,e)=>t+this._subtreeHeight(e),0);return Math.max(i,t.height+e)},a.prototype._layoutTree=function(t){t.x=0,t.y=0;const e=this.options.layout;if("down"===e||"up"===e)return void this._layoutVerticalNode(t,"down"===e?1:-1);const i=t.children.filter(t=>"right"===t.direction),o=t.children.filter(t=>"left"===t.direction);this._layoutSide(t,i,"right"),this._layoutSide(t,o,"left")},a.prototype._subtreeWidth=function(t){const e=this._sp?this._sp.horizontalSpacing:this.options.horizontalSpacing;if(!t.children.length||this._collapsed.has(t._id))return t.width+e;const i=t.children.reduce((t,e)=>t+this._subtreeWidth(e),0);return Math.max(i,t.width+e)},a.prototype._layoutVerticalNode=function(t,e){if(!t.children.length||this._collapsed.has(t._id))return;const i=this.options,o=t.y+e*(t.height/2+(this._sp?this._sp.verticalSpacingY:i.verticalSpacingY)),n=t.children.map(t=>this._subtreeWidth(t)),r=n.reduce((t,e)=>t+e,0);let s=t.x-r/2;t.children.forEach((t,i)=>{t.x=Math.round(s+n[i]/2),t.y=Math.round(o+e*t.height/2),this._layoutVerticalNode(t,e),s+=n[i]})},a.prototype._layoutSide=function(t,e,i){if(!e.length)return;const o=this._sp,n=this.options,r="right"===i?"side"===n.centerEdge?t.width/2+o.branchSpacingX:o.branchSpacingX:"side"===n.centerEdge?-(t.width/2+o.branchSpacingX):-o.branchSpacingX,s=e.map(t=>this._subtreeHeight(t));let h=-s.reduce((t,e)=>t+e,0)/2;e.forEach((t,e)=>{const o=h+s[e]/2;this._layoutNode(t,r,o,i),h+=s[e]})},a.prototype._layoutNode=function(t,e,i,o){const n=this._sp;if(t.x=Math.round("right"===o?e+t.width/2:e-t.width/2),t.y=Math.round(i),!t.children.length||this._collapsed.has(t._id))return;const r="right"===o?t.x+t.width/2+n.subSpacingX:t.x-t.width/2-n.subSpacingX,s=t.children.map(t=>this._subtreeHeight(t));let h=i-s.reduce((t,e)=>t+e,0)/2;t.children.forEach((t,e)=>{this._layoutNode(t,r,h+s[e]/2,o),h+=s[e]})},a.prototype._drawBorder=function(t,e,i,o,n){if(e){var r=i.x-i.width/2,h=i.x+i.width/2,a=i.y-i.height/2,l=i.y+i.height/2;if(!0!==e&&"around"!==e){var d=String(e).split(/\s+/);d.indexOf("bottom")>=0&&t.appendChild(s("line",{x1:r,y1:l,x2:h,y2:l,stroke:o,"stroke-width":n,"stroke-linecap":"round"})),d.indexOf("top")>=0&&t.appendChild(s("line",{x1:r,y1:a,x2:h,y2:a,stroke:o,"stroke-width":n,"stroke-linecap":"round"})),d.indexOf("left")>=0&&t.appendChild(s("line",{x1:r,y1:a,x2:r,y2:l,stroke:o,"stroke-width":n,"stroke-linecap":"round"})),d.indexOf("right")>=0&&t.appendChild(s("line",{x1:h,y1:a,x2:h,y2:l,stroke:o,"stroke-width":n,"stroke-linecap":"round"}))}else t.appendChild(s("rect",{x:r,y:a,width:i.width,height:i.height,rx:3,ry:3,fill:"none",stroke:o,"stroke-width":n}))}},a.prototype._drawTree=function(t){this._drawNode(t),this._drawSubtree(t),this.options.interactions.collapse&&this._drawAllToggles(t)},a.prototype._drawSubtree=function(t){this._collapsed.has(t._id)||t.children.forEach(e=>{this._drawEdge(t,e),this._drawNode(e),this._drawSubtree(e)})},a.prototype._drawNode=function(t){const e=this.options,i=!!t.url,o=!i&&!!t.onclick,n=i||o,r=n&&e.showLinkIcons,h=e.layout,a="up"===h||"down"===h,l="classic"===e.theme&&a?"outline":e.theme||"classic",d=s("g",{class:"mm-node"+(n?" mm-node-linked":""),"data-depth":t.depth}),c=r?t.x-12.5:t.x,p=0===t.depth?e.center.bgColor:e.colors[t.colorIdx],u=0===t.depth?e.center.fontWeight:1===t.depth?e.branch.fontWeight:e.leaf.fontWeight;if("classic"!==l&&"ghost"!==l&&"underline"!==l&&"baseline"!==l||a)if("minimal"===l){const n=0===t.depth?e.center:1===t.depth?e.branch:e.leaf,r=0===t.depth?e.center.bgColor:p,h=e.fontColor||n.fontColor||r;d.appendChild(s("rect",{x:t.x-t.width/2,y:t.y-t.height/2,width:t.width,height:t.height,fill:"transparent"})),d.appendChild(this._makeText(t.lines,c,t.y,t.fontSize,t.lineHeight,h,u)),i&&e.showLinkIcons&&d.appendChild(this._makeLinkIcon(t,h)),o&&e.showLinkIcons&&d.appendChild(this._makeOnclickIcon(t,h))}else{const n=0===t.depth?e.center:1===t.depth?e.branch:e.leaf,r=null!==n.bgColor?n.bgColor:p,h=!0===n.border||"around"===n.border,a=0===t.depth?"2.5":"2",l=h?n.borderColor||p:"none",g=e.fontColor||n.fontColor||p,f=n.radius>=99?t.height/2:n.radius,b=0===t.depth?"url(#mm-shadow-center)":1===t.depth?"url(#mm-shadow-branch)":"",y=s("rect",{x:t.x-t.width/2,y:t.y-t.height/2,width:t.width,height:t.height,rx:f,ry:f,fill:r,stroke:l,"stroke-width":a});b&&y.setAttribute("filter",b),d.appendChild(y),!h&&n.border&&this._drawBorder(d,n.border,t,n.borderColor||p,a),d.appendChild(this._makeText(t.lines,c,t.y,t.fontSize,t.lineHeight,g,u));const m=n.border?n.borderColor||p:g;i&&e.showLinkIcons&&d.appendChild(this._makeLinkIcon(t,m)),o&&e.showLinkIcons&&d.appendChild(this._makeOnclickIcon(t,m))}else if("classic"===l&&0===t.depth){const n=s("rect",{x:t.x-t.width/2,y:t.y-t.height/2,width:t.width,height:t.height,rx:e.center.radius,ry:e.center.radius,fill:e.center.bgColor,filter:"url(#mm-shadow-center)"});d.appendChild(n),d.appendChild(this._makeText(t.lines,c,t.y,t.fontSize,t.lineHeight,e.fontColor||e.center.fontColor,e.center.fontWeight)),i&&e.showLinkIcons&&d.appendChild(this._makeLinkIcon(t,"rgba(255,255,255,0.7)")),o&&e.showLinkIcons&&d.appendChild(this._makeOnclickIcon(t,"rgba(255,255,255,0.7)"))}else if("classic"===l)if(1===t.depth){const n=e.branch.radius>=99?t.height/2:e.branch.radius,r=null!==e.branch.bgColor?e.branch.bgColor:p,h=s("rect",{x:t.x-t.width/2,y:t.y-t.height/2,width:t.width,height:t.height,rx:n,ry:n,fill:r,filter:"url(#mm-shadow-branch)"});d.appendChild(h),d.appendChild(this._makeText(t.lines,c,t.y,t.fontSize,t.lineHeight,e.fontColor||e.branch.fontColor,e.branch.fontWeight));const a=e.fontColor||e.branch.fontColor||"rgba(255,255,255,0.8)";i&&e.showLinkIcons&&d.appendChild(this._makeLinkIcon(t,a)),o&&e.showLinkIcons&&d.appendChild(this._makeOnclickIcon(t,a))}else{const n=e.leaf.radius;null!==e.leaf.bgColor?d.appendChild(s("rect",{x:t.x-t.width/2,y:t.y-t.height/2,width:t.width,height:t.height,rx:n,ry:n,fill:e.leaf.bgColor})):d.appendChild(s("rect",{x:t.x-t.width/2,y:t.y-t.height/2,width:t.width,height:t.height,rx:n,ry:n,fill:p,opacity:i?"0.14":"0.08"})),this._drawBorder(d,e.leaf.border,t,e.leaf.borderColor||p,"1.8"),d.appendChild(this._makeText(t.lines,c,t.y,t.fontSize,t.lineHeight,e.fontColor||e.leaf.fontColor,e.leaf.fontWeight));const r=e.leaf.borderColor||p;i&&e.showLinkIcons&&d.appendChild(this._makeLinkIcon(t,r)),o&&e.showLinkIcons&&d.appendChild(this._makeOnclickIcon(t,r))}else if("ghost"===l){const n=0===t.depth?e.center:1===t.depth?e.branch:e.leaf,r=null!==n.bgColor?n.bgColor:p;d.appendChild(s("rect",{x:t.x-t.width/2,y:t.y-t.height/2,width:t.width,height:t.height,rx:3,ry:3,fill:r,opacity:"0.10"}));const h=e.fontColor||n.fontColor||r;d.appendChild(this._makeText(t.lines,c,t.y,t.fontSize,t.lineHeight,h,u)),i&&e.showLinkIcons&&d.appendChild(this._makeLinkIcon(t,r)),o&&e.showLinkIcons&&d.appendChild(this._makeOnclickIcon(t,r))}else{const n=0===t.depth?e.center:1===t.depth?e.branch:e.leaf,r=null!==n.bgColor?n.bgColor:p,h=n.borderColor||p;"underline"===l&&"transparent"!==r&&"none"!==r?d.appendChild(s("rect",{x:t.x-t.width/2,y:t.y-t.height/2,width:t.width,height:t.height,rx:3,ry:3,fill:r,opacity:"0.10"})):d.appendChild(s("rect",{x:t.x-t.width/2,y:t.y-t.height/2,width:t.width,height:t.height,fill:"transparent"})),this._drawBorder(d,n.border,t,h,0===t.depth?"2.5":"1.8");const a=e.fontColor||n.fontColor||h;d.appendChild(this._makeText(t.lines,c,t.y,t.fontSize,t.lineHeight,a,u)),i&&e.showLinkIcons&&d.appendChild(this._makeLinkIcon(t,h)),o&&e.showLinkIcons&&d.appendChild(this._makeOnclickIcon(t,h))}d.style.transition="opacity 0.15s",d.style.willChange="opacity",d.addEventListener("mouseenter",()=>{d.style.opacity="0.82",n&&(this.svg.style.cursor="pointer")}),d.addEventListener("mouseleave",()=>{d.style.opacity="1",n&&(this.svg.style.cursor=this.options.interactions.pan?this._dragging?"grabbing":"grab":"default")}),i?d.addEventListener("click",e=>{this._dragMoved||(e.stopPropagation(),window.open(t.url,"_blank","noopener,noreferrer"))}):o&&d.addEventListener("click",e=>{this._dragMoved||(e.stopPropagation(),t.onclick(t))}),this.gNodes.appendChild(d)},a.prototype._drawAllToggles=function(t){t.depth>0&&t.children.length>0&&this._drawCollapseBtn(t),this._collapsed.has(t._id)||t.children.forEach(t=>this._drawAllToggles(t))},a.prototype._drawCollapseBtn=function(t){const e=this,i=this.options,o=this._collapsed.has(t._id),n=i.layout;let r,h;if("up"===n||"down"===n)r=t.x,h="down"===n?t.y+t.height/2+8+1:t.y-t.height/2-8-1;else{const e=t.direction||"right";h=t.y,r="right"===e?t.x+t.width/2+8+1:t.x-t.width/2-8-1}const a=i.colors[t.colorIdx]||i.center.bgColor,l=s("g",{class:"mm-collapse-btn",cursor:"pointer"}),d=s("circle",{cx:r,cy:h,r:8,fill:"#fff",stroke:a,"stroke-width":"1.8"}),c=s("text",{x:r,y:h-1,"text-anchor":"middle","dominant-baseline":"central","font-size":"13","font-weight":"700",fill:a,"pointer-events":"none",style:"font-family:system-ui,sans-serif;user-select:none"});c.textContent=o?"+":"−",l.appendChild(d),l.appendChild(c),l.addEventListener("mouseenter",function(){d.setAttribute("fill",a),c.setAttribute("fill","#fff")}),l.addEventListener("mouseleave",function(){d.setAttribute("fill","#fff"),c.setAttribute("fill",a)}),l.addEventListener("click",function(i){i.stopPropagation(),o?e._collapsed.delete(t._id):e._collapsed.add(t._id),e._renderInternal(!1)}),this.gToggles.appendChild(l)},a.prototype._makeLinkIcon=function(t,e){const o=t.x+t.width/2-12-7,n=t.y-3.5,r=s("g",{"pointer-events":"none"}),h=document.createElementNS(i,"path");h.setAttribute("d",`\n      M ${o+3} ${n}\n      H ${o+7}\n      V ${n+7}\n      H ${o}\n      V ${n+3}\n    `),h.setAttribute("stroke",e),h.setAttribute("stroke-width","1.4"),h.setAttribute("fill","none"),h.setAttribute("stroke-linecap","round"),h.setAttribute("stroke-linejoin","round"),r.appendChild(h);const a=document.createElementNS(i,"path");return a.setAttribute("d",`M ${o} ${n+7} L ${o-5} ${n+7+5}`),a.setAttribute("stroke",e),a.setAttribute("stroke-width","1.4"),a.setAttribute("stroke-linecap","round"),r.appendChild(a),r},a.prototype._makeOnclickIcon=function(t,e){const o=t.x+t.width/2-12-7,n=t.y-3.5,r=s("g",{"pointer-events":"none"}),h=o+3.5,a=n+3.5,l=document.createElementNS(i,"circle");l.setAttribute("cx",h),l.setAttribute("cy",a),l.setAttribute("r",3.5),l.setAttribute("stroke",e),l.setAttribute("stroke-width","1.4"),l.setAttribute("fill","none"),r.appendChild(l);const d=h-1.2,c=a,p=document.createElementNS(i,"path");return p.setAttribute("d",`M ${d} ${c-2} L ${d+3.2} ${c} L ${d} ${c+2} Z`),p.setAttribute("fill",e),p.setAttribute("stroke","none"),r.appendChild(p),r},a.prototype._makeText=function(t,e,o,n,r,s,h){const a=document.createElementNS(i,"text");a.setAttribute("text-anchor","middle"),a.setAttribute("fill",s),a.setAttribute("font-size",n),a.setAttribute("font-family",'system-ui, -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, sans-serif'),a.setAttribute("font-weight",h||"normal"),a.setAttribute("pointer-events","none"),a.setAttribute("text-rendering","optimizeLegibility");const l=(t.length-1)*r,d=Math.round(o-l/2);return t.forEach((t,o)=>{const n=document.createElementNS(i,"tspan");n.setAttribute("x",Math.round(e)),n.setAttribute("y",Math.round(d+o*r)),n.setAttribute("dominant-baseline","central"),n.textContent=t,a.appendChild(n)}),a},a.prototype._nodeEdgeAnchorY=function(t,e){const i=this.options.theme||"classic";return"underline"===i||"baseline"===i||"classic"===i&&t.depth>1?t.y+t.height/2:t.y},a.prototype._drawEdge=function(t,e){const o=this.options,n=o.layout;if("down"===n||"up"===n)return void this._drawEdgeVertical(t,e,n);const r=o.colors[e.colorIdx],s=e.direction;let h,a;if(0===t.depth){"vertical"===(o.centerEdge||"side")?(h=0,a=e.y<=0?-t.height/2:t.height/2):(h="right"===s?t.width/2:-t.width/2,a=this._nodeEdgeAnchorY(t,"start"))}else h="right"===s?t.x+t.width/2:t.x-t.width/2,a=this._nodeEdgeAnchorY(t,"start");const l="right"===s?e.x-e.width/2:e.x+e.width/2,d=this._nodeEdgeAnchorY(e,"end"),c=0===t.depth&&"vertical"===(o.centerEdge||"side"),p=c&&Math.abs(e.y)<=t.height/2+e.height/2+(o.fanAlignThreshold??10);let u=h,g=a;p&&(u="right"===s?t.width/2:-t.width/2,g=this._nodeEdgeAnchorY(t,"start"));const f=(u+l)/2,b=c&&!p?`M ${u} ${g} C ${u} ${(g+d)/2}, ${f} ${d}, ${l} ${d}`:`M ${u} ${g} C ${f} ${g}, ${f} ${d}, ${l} ${d}`,y=0===t.depth?o.edgeWidth.root:1===t.depth?o.edgeWidth.branch:o.edgeWidth.leaf,m=document.createElementNS(i,"path");m.setAttribute("d",b),m.setAttribute("stroke",r),m.setAttribute("stroke-width",y),m.setAttribute("fill","none"),m.setAttribute("stroke-linecap","round"),m.setAttribute("opacity",o.edgeOpacity),this.gEdges.appendChild(m)},a.prototype._drawEdgeVertical=function(t,e,o){const n=this.options,r="down"===o?1:-1,s=n.colors[e.colorIdx],h=t.x,a=t.y+r*t.height/2,l=e.x,d=e.y-r*e.height/2,c=(a+d)/2,p=`M ${h} ${a} C ${h} ${c}, ${l} ${c}, ${l} ${d}`,u=0===t.depth?n.edgeWidth.root:1===t.depth?n.edgeWidth.branch:n.edgeWidth.leaf,g=document.createElementNS(i,"path");g.setAttribute("d",p),g.setAttribute("stroke",s),g.setAttribute("stroke-width",u),g.setAttribute("fill","none"),g.setAttribute("stroke-linecap","round"),g.setAttribute("opacity",n.edgeOpacity),this.gEdges.appendChild(g)},a.prototype._applyTransform=function(){const{tx:t,ty:e,scale:i}=this._pz;this.gMain.setAttribute("transform",`translate(${t},${e}) scale(${i})`),this._hudZoomLevel&&(this._hudZoomLevel.textContent=Math.round(100*i)+"%")},a.prototype._bindPanZoom=function(){const t=this;if(this._dragging=!1,this._dragMoved=!1,!this.options.interactions.pan&&!this.options.interactions.zoom)return;let e=!1,i=0,o=0,n=0,r=0;if(this.options.interactions.pan&&(this.svg.addEventListener("mousedown",function(s){0===s.button&&(e=!0,t._dragging=!0,t._dragMoved=!1,i=s.clientX-t._pz.tx,o=s.clientY-t._pz.ty,n=s.clientX,r=s.clientY,t.svg.style.cursor="grabbing",s.preventDefault())}),window.addEventListener("mousemove",function(s){if(!e)return;const h=s.clientX-n,a=s.clientY-r;(Math.abs(h)>5||Math.abs(a)>5)&&(t._dragMoved=!0),t._pz.tx=s.clientX-i,t._pz.ty=s.clientY-o,t._applyTransform()}),window.addEventListener("mouseup",function(){e&&(e=!1,t._dragging=!1,t.svg.style.cursor="grab",setTimeout(()=>{t._dragMoved=!1},0))})),this.options.interactions.zoom&&this.svg.addEventListener("wheel",function(e){e.preventDefault();const i=t.container.getBoundingClientRect(),o=e.clientX-i.left,n=e.clientY-i.top,r=1+(e.deltaY<0?1:-1)*t.options.zoomSensitivity,s=Math.min(t.options.maxZoom,Math.max(t.options.minZoom,t._pz.scale*r));t._pz.tx=o-(o-t._pz.tx)*(s/t._pz.scale),t._pz.ty=n-(n-t._pz.ty)*(s/t._pz.scale),t._pz.scale=s,t._applyTransform()},{passive:!1}),this.options.interactions.pan||this.options.interactions.zoom){let n=0;this.svg.addEventListener("touchstart",function(r){if(1===r.touches.length&&t.options.interactions.pan)e=!0,i=r.touches[0].clientX-t._pz.tx,o=r.touches[0].clientY-t._pz.ty;else if(2===r.touches.length&&t.options.interactions.zoom){e=!1;const t=r.touches[0],i=r.touches[1];n=Math.hypot(i.clientX-t.clientX,i.clientY-t.clientY)}},{passive:!0}),this.svg.addEventListener("touchmove",function(r){if(r.preventDefault(),1===r.touches.length&&e&&t.options.interactions.pan)t._pz.tx=r.touches[0].clientX-i,t._pz.ty=r.touches[0].clientY-o,t._applyTransform();else if(2===r.touches.length&&t.options.interactions.zoom){const e=r.touches[0],i=r.touches[1],o=Math.hypot(i.clientX-e.clientX,i.clientY-e.clientY),s=(e.clientX+i.clientX)/2,h=(e.clientY+i.clientY)/2,a=t.container.getBoundingClientRect(),l=s-a.left,d=h-a.top;if(n){const e=o/n,i=Math.min(t.options.maxZoom,Math.max(t.options.minZoom,t._pz.scale*e));t._pz.tx=l-(l-t._pz.tx)*(i/t._pz.scale),t._pz.ty=d-(d-t._pz.ty)*(i/t._pz.scale),t._pz.scale=i,t._applyTransform()}n=o}},{passive:!1}),this.svg.addEventListener("touchend",function(){e=!1,n=0},{passive:!0})}},a.prototype._rebindInteractions=function(){this.svg.style.cursor=this.options.interactions.pan?"grab":"default";const t=this.svg,e=t.cloneNode(!0);this.svg=e,t.parentNode.replaceChild(e,t),this.gMain=e.querySelector(".mm-edges").parentNode,this.gEdges=e.querySelector(".mm-edges"),this.gNodes=e.querySelector(".mm-nodes"),this.gToggles=e.querySelector(".mm-toggles"),this._bindPanZoom(),this._updateTips()},"undefined"!=typeof module&&module.exports?module.exports=a:t.Porphyry=a}("undefined"!=typeof window?window:this);
\ No newline at end of file
+!function(t){"use strict";const e=["#E05C5C","#F0883E","#D4A017","#4CAF82","#29A8AB","#4A90D9","#8B6FD4","#D46FAB","#5BB8A0","#7DAA44"],i="http://www.w3.org/2000/svg",n={colors:e,layout:"auto",centerEdge:"side",balance:"count",branchSpacingX:220,subSpacingX:170,verticalSpacing:50,verticalSpacingY:60,horizontalSpacing:30,compact:!1,listIndent:28,listSpacing:10,lineHeight:1.45,center:{fontSize:17,fontWeight:"700",paddingX:28,paddingY:16,radius:12,shape:"rect",maxWidth:240,bgColor:"#1A1F2E",border:!1,borderColor:null,fontColor:"#FFFFFF",shadowColor:"rgba(0,0,0,0.35)"},branch:{fontSize:14,fontWeight:"600",paddingX:18,paddingY:10,radius:99,shape:"rect",maxWidth:200,bgColor:null,border:!1,borderColor:null,fontColor:"#FFFFFF",shadowColor:"rgba(0,0,0,0.2)"},leaf:{fontSize:13,fontWeight:"500",paddingX:14,paddingY:7,radius:3,shape:"rect",maxWidth:170,bgColor:null,border:"bottom",borderColor:null,fontColor:"#2D3748"},edgeWidth:{root:2.5,branch:2,leaf:1.5},edgeOpacity:.85,link:{color:"#718096",width:1.5,dash:"6 4",opacity:.9,fontSize:11,collapsed:"reattach"},image:{width:32,height:32,position:"left",gap:6},minZoom:.08,maxZoom:4,zoomSensitivity:.12,interactions:{pan:!1,zoom:!1,hud:!1,tips:!1,collapse:!1,download:!1,edit:!1,select:!1,dragNodes:!1,nudgeNodes:!1},selectionColor:null,onEdit:null,expandDepth:null,animationDuration:350,fitPadding:20,spacing:1,theme:"classic",showLinkIcons:!0,richText:!1,notes:!0,ariaLabel:null,fontColor:null,fanAlignThreshold:10},o={ghost:{center:{fontColor:"#2D3748"},branch:{fontColor:"#2D3748"},leaf:{border:!1}},underline:{center:{border:"bottom",fontColor:"#2D3748"},branch:{border:"bottom",fontColor:"#2D3748"}},baseline:{center:{border:"bottom",fontColor:"#2D3748"},branch:{border:"bottom",fontColor:"#2D3748"}},minimal:{center:{fontColor:null},branch:{fontColor:null},leaf:{border:!1,fontColor:null}},outline:{center:{bgColor:"#FFFFFF",border:!0,borderColor:"#1A1F2E",fontColor:"#1A1F2E",radius:99},branch:{bgColor:"#FFFFFF",border:!0,borderColor:null,fontColor:null},leaf:{bgColor:"#FFFFFF",border:!0,borderColor:null,fontColor:null,radius:10}},"outline-sharp":{center:{bgColor:"#FFFFFF",border:!0,borderColor:"#1A1F2E",fontColor:"#1A1F2E",radius:0},branch:{bgColor:"#FFFFFF",border:!0,borderColor:null,fontColor:null,radius:0},leaf:{bgColor:"#FFFFFF",border:!0,borderColor:null,fontColor:null,radius:0}},solid:{center:{radius:99},branch:{fontColor:"#FFFFFF"},leaf:{border:!1,fontColor:"#FFFFFF",radius:10}},"solid-sharp":{center:{radius:0},branch:{fontColor:"#FFFFFF",radius:0},leaf:{border:!1,fontColor:"#FFFFFF",radius:0}}};function s(t,e){const i=Object.assign({},t);return e?(Object.keys(e).forEach(n=>{e[n]&&"object"==typeof e[n]&&!Array.isArray(e[n])?i[n]=s(t[n]||{},e[n]):i[n]=e[n]}),i):i}function r(t,e){const n=document.createElementNS(i,t);return e&&Object.keys(e).forEach(t=>n.setAttribute(t,e[t])),n}function h(t,e,i){const n=t.split(/\s+/).filter(Boolean);if(!n.length)return[""];const o=[];let s="";return n.forEach(t=>{(i(t)>e?function(t){const n=[];let o="";for(let s=0;s<t.length;s++){const r=o+t[s];i(r)<=e?o=r:(o&&n.push(o),o=t[s])}return o&&n.push(o),n.length?n:[t]}(t):[t]).forEach(t=>{const n=s?s+" "+t:t;i(n)<=e?s=n:(s&&o.push(s),s=t)})}),s&&o.push(s),o}const l=/^\[([^\]]+)\]\(\s*([^)\s]+)\s*\)/,a=/[\s!-\/:-@[-`{-~]/,d="ui-monospace, SFMono-Regular, Menlo, Consolas, monospace";function c(t){const e=[],i={bold:!1,italic:!1,strike:!1};let n="",o=!1;const s=function(){n&&e.push(Object.assign({text:n},i)),n=""},r=function(t){return void 0===t||a.test(t)},h=function(e,i){const n=t[e-1];return void 0!==n&&"\\"!==n&&!/\s/.test(n)&&r(t[e+i.length])},d=function(e,i){const n=t[e+i.length];if(!r(t[e-1])||void 0===n||/\s/.test(n))return!1;for(let n=t.indexOf(i,e+i.length+1);-1!==n;n=t.indexOf(i,n+1))if(h(n,i))return!0;return!1};for(let r=0;r<t.length;){const a=t[r];if("\\"===a&&/[*`~[\]\\]/.test(t[r+1]||"")){n+=t[r+1],r+=2,o=!0;continue}if("`"===a){const n=t.indexOf("`",r+1);if(n>r+1){s(),e.push(Object.assign({text:t.slice(r+1,n),code:!0},i)),r=n+1,o=!0;continue}}if("["===a){const n=l.exec(t.slice(r));if(n&&p(n[2])){s(),(c(n[1])||[{text:n[1]}]).forEach(function(t){e.push(Object.assign({},t,{bold:t.bold||i.bold,italic:t.italic||i.italic,strike:t.strike||i.strike,href:n[2]}))}),r+=n[0].length,o=!0;continue}}const u=t.startsWith("**",r)?"**":t.startsWith("~~",r)?"~~":"*"===a?"*":null;if(u){const t="**"===u?"bold":"~~"===u?"strike":"italic";if(i[t]?h(r,u):d(r,u)){s(),i[t]=!i[t],r+=u.length,o=!0;continue}}n+=a,r++}return s(),o?e:null}function p(t){if(/[\u0000-\u001F\u007F]/.test(t))return!1;const e=/^([a-z][a-z0-9+.-]*):/i.exec(t);return!e||/^(https?|mailto)$/i.test(e[1])}function u(t){const e=[];return t.forEach(function(t){const i=e[e.length-1];var n,o;i&&(o=t,!!(n=i).bold==!!o.bold&&!!n.italic==!!o.italic&&!!n.strike==!!o.strike&&!!n.code==!!o.code&&n.href===o.href)?i.text+=t.text:e.push(Object.assign({},t))}),e}function f(t,e,i){const n=[];let o=null,s=null;t.forEach(function(t){t.text.split(/(\s+)/).forEach(function(e,i){if(e){if(i%2)return o=null,void(s=t);o||(o={runs:[],gap:s||t},n.push(o)),o.runs.push(Object.assign({},t,{text:e}))}})});const r=function(t){return t.reduce(function(t,e){return t+i(e)},0)},h=[];let l=[],a=0;return n.forEach(function(t){const n=r(t.runs);if(n>e){l.length&&h.push(l);const n=function(t){const n=[];let o=[],s=0;return t.forEach(function(t){Array.from(t.text).forEach(function(r){const h=Object.assign({},t,{text:r}),l=i(h);o.length&&s+l>e&&(n.push(o),o=[],s=0),o.push(h),s+=l})}),o.length&&n.push(o),n}(t.runs);return l=n.pop(),a=r(l),void n.forEach(function(t){h.push(t)})}const o=Object.assign({},t.gap,{text:" "}),s=l.length?i(o):0;!l.length||a+s+n<=e?(l.length&&l.push(o),l=l.concat(t.runs),a+=s+n):(h.push(l),l=t.runs.slice(),a=n)}),!l.length&&h.length||h.push(l),h.map(u)}function g(t){return String(Math.min(900,Math.max(700,(parseInt(t,10)||400)+200)))}function _(t,e){if(this.container="string"==typeof t?document.querySelector(t):t,!this.container)throw new Error("[Porphyry] Container element not found: "+t);if(this._userOptions=e||{},this.options=s(n,this._userOptions),this._tree=null,this._pz={tx:0,ty:0,scale:1},this._textCache={},this._collapsed=new Set,this._selected=new Set,this._nodesById=new Map,this._nodeEls=new Map,this._edgeEls=new Map,this._toggleEls=new Map,this._lastData=null,this._listeners={},this._buildDOM(),this._bindPanZoom(),this._bindSelection(),"undefined"!=typeof ResizeObserver){const t=this;let e;this._resizeObserver=new ResizeObserver(function(){clearTimeout(e),e=setTimeout(function(){t.fit(),t._emit("resize",{width:t.container.clientWidth,height:t.container.clientHeight})},50)}),this._resizeObserver.observe(this.container)}}function y(t,e,i){const n="number"==typeof i&&i>=0&&i<=t.length?i:t.length;t.splice(n,0,e)}function m(t,e,i){const n=e.replace(/[\\/~]/g,"\\$&"),o=i?n+"~"+i:n;return null===t?o:t+"/"+o}_.prototype._buildDOM=function(){this.container.style.position="relative",this.container.style.overflow="hidden",this.container.style.userSelect="none",this.svg=r("svg",{width:"100%",height:"100%"}),this.svg.style.display="block",this.svg.style.cursor=this.options.interactions.pan?"grab":"default",this.svg.style.transform="translateZ(0)",this.svg.style.willChange="transform",this.svg.style.webkitFontSmoothing="antialiased";const t=r("defs"),e=r("filter",{id:"mm-shadow-center",x:"-30%",y:"-30%",width:"160%",height:"160%"}),i=r("feDropShadow",{dx:"0",dy:"3",stdDeviation:"5","flood-color":this.options.center.shadowColor});e.appendChild(i),t.appendChild(e);const n=r("filter",{id:"mm-shadow-branch",x:"-30%",y:"-30%",width:"160%",height:"160%"}),o=r("feDropShadow",{dx:"0",dy:"2",stdDeviation:"3.5","flood-color":this.options.branch.shadowColor});n.appendChild(o),t.appendChild(n),this.svg.appendChild(t),this.gMain=r("g"),this.gEdges=r("g",{class:"mm-edges"}),this.gLinks=r("g",{class:"mm-links","pointer-events":"none","aria-hidden":"true"}),this.gNodes=r("g",{class:"mm-nodes"}),this.gToggles=r("g",{class:"mm-toggles"}),this.gMain.appendChild(this.gEdges),this.gMain.appendChild(this.gLinks),this.gMain.appendChild(this.gNodes),this.gMain.appendChild(this.gToggles),this.svg.appendChild(this.gMain),this.container.appendChild(this.svg),this.options.interactions.hud&&this._buildHUD(),this.options.interactions.tips&&this._buildTips(),this.options.interactions.download&&!this.options.interactions.hud&&this._buildDownloadBtn()},_.prototype._buildHUD=function(){const t=this,e=document.createElement("div");e.className="porphyry-hud",e.style.cssText=["position:absolute","bottom:14px","right:14px","display:flex","align-items:center","gap:5px","background:#fff","border:1px solid #E2E8F0","border-radius:10px","padding:4px 9px","box-shadow:0 2px 10px rgba(0,0,0,0.08)","z-index:10","font-family:system-ui,sans-serif","opacity:0.4","transition:opacity 0.2s"].join(";"),e.addEventListener("mouseenter",()=>{e.style.opacity="1"}),e.addEventListener("mouseleave",()=>{e.style.opacity="0.4"});const i=["width:26px","height:26px","border:1px solid #E2E8F0","border-radius:6px","background:#F7F8FC","font-size:15px","line-height:1","cursor:pointer","display:flex","align-items:center","justify-content:center","color:#1A202C","transition:all 0.12s","padding:0"].join(";");function n(t,e,n){const o=document.createElement("button");return o.textContent=t,o.title=e,o.style.cssText=i,o.addEventListener("click",n),o.addEventListener("mouseenter",()=>{o.style.background="#EBF4FF",o.style.color="#4A90D9",o.style.borderColor="#4A90D9"}),o.addEventListener("mouseleave",()=>{o.style.background="#F7F8FC",o.style.color="#1A202C",o.style.borderColor="#E2E8F0"}),o}const o=document.createElement("span");if(o.style.cssText="font-size:12px;font-weight:600;color:#718096;min-width:40px;text-align:center",o.textContent="100%",this._hudZoomLevel=o,e.appendChild(n("−","Zoom out",()=>t._hudZoom(.8))),e.appendChild(o),e.appendChild(n("+","Zoom in",()=>t._hudZoom(1.25))),e.appendChild(n("⤢","Fit to view",()=>t.fit())),this.options.interactions.download){const n=document.createElement("span");n.style.cssText="width:1px;height:18px;background:#E2E8F0;margin:0 2px",e.appendChild(n);const o=document.createElement("button");o.title="Download as SVG",o.style.cssText=i,o.innerHTML='<svg width="14" height="14" viewBox="0 0 14 14" fill="none" xmlns="http://www.w3.org/2000/svg"><path d="M7 1v7M7 8l-3-3M7 8l3-3M1 10.5v1A1.5 1.5 0 0 0 2.5 13h9A1.5 1.5 0 0 0 13 11.5v-1" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/></svg>',o.addEventListener("click",()=>t.downloadSVG()),o.addEventListener("mouseenter",()=>{o.style.background="#EBF4FF",o.style.color="#4A90D9",o.style.borderColor="#4A90D9"}),o.addEventListener("mouseleave",()=>{o.style.background="#F7F8FC",o.style.color="#1A202C",o.style.borderColor="#E2E8F0"}),e.appendChild(o)}this.container.appendChild(e),this._hud=e},_.prototype.downloadSVG=function(t){if(!this.svg)return Promise.resolve();t=t||"mindmap.svg";const e=this.svg.cloneNode(!0);e.setAttribute("xmlns","http://www.w3.org/2000/svg");const i=this.svg.querySelector("g"),n=i?i.getBBox():null,o=this.options.fitPadding;n&&n.width>0&&(e.setAttribute("viewBox",[n.x-o,n.y-o,n.width+2*o,n.height+2*o].join(" ")),e.setAttribute("width",n.width+2*o),e.setAttribute("height",n.height+2*o));const s=e.querySelector("[transform]");s&&s.removeAttribute("transform");const r=()=>{const i=(new XMLSerializer).serializeToString(e),n=new Blob([i],{type:"image/svg+xml;charset=utf-8"}),o=URL.createObjectURL(n),s=document.createElement("a");s.href=o,s.download=t,document.body.appendChild(s),s.click(),document.body.removeChild(s),URL.revokeObjectURL(o)},h=Array.from(e.querySelectorAll("image.mm-node-image")).filter(t=>!/^data:/i.test(t.getAttribute("href")));return h.length?Promise.all(h.map(t=>this._imageDataURI(t.getAttribute("href")).then(e=>{e&&t.setAttribute("href",e)}))).then(r):(r(),Promise.resolve())},_.prototype._buildDownloadBtn=function(){const t=this,e=document.createElement("button");e.title="Download as SVG",e.style.cssText=["position:absolute","bottom:14px","right:14px","width:32px","height:32px","border-radius:8px","background:#fff","border:1px solid #E2E8F0","box-shadow:0 2px 10px rgba(0,0,0,0.08)","cursor:pointer","z-index:10","display:flex","align-items:center","justify-content:center","color:#1A202C","transition:all 0.12s","padding:0"].join(";"),e.innerHTML='<svg width="14" height="14" viewBox="0 0 14 14" fill="none" xmlns="http://www.w3.org/2000/svg"><path d="M7 1v7M7 8l-3-3M7 8l3-3M1 10.5v1A1.5 1.5 0 0 0 2.5 13h9A1.5 1.5 0 0 0 13 11.5v-1" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/></svg>',e.addEventListener("click",()=>t.downloadSVG()),e.addEventListener("mouseenter",()=>{e.style.background="#EBF4FF",e.style.color="#4A90D9",e.style.borderColor="#4A90D9"}),e.addEventListener("mouseleave",()=>{e.style.background="#fff",e.style.color="#1A202C",e.style.borderColor="#E2E8F0"}),this.container.appendChild(e)},_.prototype._hudZoom=function(t){const e=this.container.clientWidth/2,i=this.container.clientHeight/2,n=Math.min(this.options.maxZoom,Math.max(this.options.minZoom,this._pz.scale*t));this._pz.tx=e-(e-this._pz.tx)*(n/this._pz.scale),this._pz.ty=i-(i-this._pz.ty)*(n/this._pz.scale),this._pz.scale=n,this._applyTransform()},_.prototype._buildTips=function(){const t=document.createElement("div");t.className="porphyry-tips",t.style.cssText=["position:absolute","bottom:14px","left:50%","transform:translateX(-50%)","font-size:11.5px","color:#718096","background:#fff","border:1px solid #E2E8F0","border-radius:8px","padding:5px 14px","box-shadow:0 2px 10px rgba(0,0,0,0.08)","white-space:nowrap","z-index:10","font-family:system-ui,sans-serif","opacity:0.4","transition:opacity 0.2s"].join(";"),t.addEventListener("mouseenter",()=>{t.style.opacity="1"}),t.addEventListener("mouseleave",()=>{t.style.opacity="0.4"}),this.container.appendChild(t),this._tips=t,this._updateTips()},_.prototype._updateTips=function(){if(!this._tips)return;const t=this.options.interactions,e=[];t.zoom&&e.push("Scroll to zoom"),t.pan&&e.push("Drag to pan"),t.collapse&&e.push("+/− to collapse"),t.edit&&e.push("Double-click to edit"),t.select&&e.push(t.pan?"Ctrl/Shift-click to select":"Drag to select"),e.push("↗ click node to open link"),this._tips.textContent=e.join("  ·  ")},_.prototype.render=function(t){this._collapsed.clear(),this._lastData=t,this._seedCollapse=!0,this._renderInternal(!0)},_.prototype._renderInternal=function(t){const e=this.options.theme||n.theme,i=this.options.layout||"auto",r=o["classic"===e&&("up"===i||"down"===i)?"outline":e]||{};this.options.center=s(s(n.center,r.center||{}),this._userOptions.center||{}),this.options.branch=s(s(n.branch,r.branch||{}),this._userOptions.branch||{}),this.options.leaf=s(s(n.leaf,r.leaf||{}),this._userOptions.leaf||{}),this._stopTransition();const h=document.activeElement,l=h&&this.gNodes.contains(h)?h.getAttribute("data-id"):null,a=this._nodeEls.size&&this._transitionMs()>0?this._snapshot():null,d={nodes:this._nodeEls,edges:this._edgeEls,toggles:this._toggleEls};if(a?(this._nodeEls=new Map,this._edgeEls=new Map,this._toggleEls=new Map):this._clearDrawing(),this._buildModel(),t){const t=this.container.clientWidth,e=this.container.clientHeight,i=this.options.fitPadding;if(t>0&&e>0){const n=this._bboxFromTree();if(n.width>0&&n.height>0){const o=(t-2*i)/n.width,s=(e-2*i)/n.height;o>1.5*s&&(this._widthFactor=Math.min(o/s,2.5),this._computeSizes(this._tree),this._layoutTree(this._tree),this._widthFactor=1)}}}if(this._drawTree(this._tree),this._emit("render",{root:this._tree}),null!==l&&this._focusNode(this._nodeEls.has(l)?l:this._tabStopId()),a){const e=[],i=(t,i,n)=>t.forEach((t,o)=>{i.has(o)?t.parentNode&&t.parentNode.removeChild(t):e.push({el:t,id:o,kind:n})});i(d.nodes,this._nodeEls,"node"),i(d.edges,this._edgeEls,"edge"),i(d.toggles,this._toggleEls,"toggle");const n=t&&this.container.clientWidth>0&&this.container.clientHeight>0?this._fitTransform(this._bboxFromTree()):null;return void this._startTransition(a,e,n)}if(t){const t=this;this.svg.style.transition="none",this.svg.style.opacity="0",requestAnimationFrame(function(){requestAnimationFrame(function(){t.fit(),t.svg.style.transition="opacity 0.15s",t.svg.style.opacity="1"})})}},_.prototype._buildModel=function(){const t=this._nodesById;this._nodesById=new Map,this._reservedIds=function(t){const e=new Map,i=function(t){void 0!==t.id&&null!==t.id&&e.set(String(t.id),(e.get(String(t.id))||0)+1),Array.isArray(t.children)&&t.children.forEach(i)};i(t);const n=new Set;return e.forEach(function(t,e){1===t&&n.add(e)}),n}(this._lastData),this._tree=this._buildTree(this._lastData,null,-1,0,null),this._collapsed=this._rekeyIds(this._collapsed,t),this._selected=this._rekeyIds(this._selected,t),this._seedCollapse&&(this._seedCollapse=!1,this._applyInitialCollapse(this._tree)),this._computeSizes(this._tree),this._computeAdaptiveSpacing(this._tree),this._assignDirections(this._tree),this._assignFlows(this._tree),this._layoutTree(this._tree)},_.prototype._rekeyIds=function(t,e){if(!t.size)return t;const i=new Map;this._nodesById.forEach(function(t){i.set(t._data,t._id)});const n=new Set;return t.forEach(function(t){const o=e.get(t),s=o?i.get(o._data):void 0;n.add(void 0!==s?s:t)}),n},_.prototype._bboxFromTree=function(){var t=1/0,e=-1/0,i=1/0,n=-1/0,o=this,s=function(r){var h=r.width/2,l=r.height/2;r.x-h<t&&(t=r.x-h),r.x+h>e&&(e=r.x+h),r.y-l<i&&(i=r.y-l),r.y+l>n&&(n=r.y+l),o._collapsed.has(r._id)||r.children.forEach(s)};return s(this._tree),{x:t===1/0?0:t,y:i===1/0?0:i,width:t===1/0?0:e-t,height:i===1/0?0:n-i}},_.prototype.fit=function(){if(this._tree)try{const t=this.gMain.getBBox();if(!t||0===t.width)return;this._pz=this._fitTransform(t),this._applyTransform()}catch(t){}},_.prototype._fitTransform=function(t){const e=this.container.clientWidth,i=this.container.clientHeight,n=this.options.fitPadding,o=(e-2*n)/t.width,s=(i-2*n)/t.height,r=Math.min(o,s,1.4);return{tx:e/2-(t.x+t.width/2)*r,ty:i/2-(t.y+t.height/2)*r,scale:r}},_.prototype.destroy=function(){this._endEdit(!1),this._hideNote(!0),clearTimeout(this._clickTimer),cancelAnimationFrame(this._nudgeFrame),this._unlistenWindow(),this._resizeObserver&&(this._resizeObserver.disconnect(),this._resizeObserver=null)},_.prototype.reset=function(){this._pz={tx:this.container.clientWidth/2,ty:this.container.clientHeight/2,scale:1},this._applyTransform()},_.prototype.on=function(t,e){"function"==typeof e&&(this._listeners[t]=this._listeners[t]||[]).push(e)},_.prototype.off=function(t,e){if(void 0===t)return void(this._listeners={});const i=this._listeners[t];if(!i)return;if(void 0===e)return void delete this._listeners[t];const n=i.indexOf(e);n>=0&&i.splice(n,1)},_.prototype._emit=function(t,e){const i=this._listeners[t];i&&i.slice().forEach(function(t){t.call(this,e)},this)},_.prototype._isCollapsible=function(t){return!!t&&t.depth>0&&t.children.length>0},_.prototype.collapse=function(t){const e=this.getNode(t);this._isCollapsible(e)&&!this._collapsed.has(e._id)&&(this._collapsed.add(e._id),this._renderInternal(!1),this._emit("collapse",{id:e._id,node:this.getNode(e._id)||e}))},_.prototype.expand=function(t){const e=this.getNode(t);e&&this._collapsed.has(e._id)&&(this._collapsed.delete(e._id),this._renderInternal(!1),this._emit("expand",{id:e._id,node:this.getNode(e._id)||e}))},_.prototype.toggle=function(t){this.isCollapsed(t)?this.expand(t):this.collapse(t)},_.prototype.isCollapsed=function(t){const e=this.getNode(t);return!!e&&this._collapsed.has(e._id)},_.prototype.expandAll=function(){if(!this._tree)return;const t=new Set(this._collapsed);this._collapsed.clear(),this._renderInternal(!1),this._emitCollapseChanges(t)},_.prototype.collapseAll=function(){this.expandToDepth(1)},_.prototype.expandToDepth=function(t){if(!this._tree)return;const e=new Set(this._collapsed);this._collapsed.clear(),this._collapseBelow(this._tree,Math.max(1,t)),this._renderInternal(!1),this._emitCollapseChanges(e)},_.prototype._emitCollapseChanges=function(t){this._nodesById.forEach((e,i)=>{const n=t.has(i),o=this._collapsed.has(i);n!==o&&this._emit(o?"collapse":"expand",{id:i,node:e})})},_.prototype._collapseBelow=function(t,e){t.depth>=e&&this._isCollapsible(t)&&this._collapsed.add(t._id),t.children.forEach(t=>this._collapseBelow(t,e))},_.prototype._applyInitialCollapse=function(t){const e=this.options.expandDepth;"number"==typeof e&&this._collapseBelow(t,Math.max(1,e));const i=t=>{t._startCollapsed&&this._isCollapsible(t)&&this._collapsed.add(t._id),t.children.forEach(i)};i(t)},_.prototype.getNode=function(t){return this._nodesById.get(String(t))||null},_.prototype._patchRender=function(){this._stopTransition();const t=this._transitionMs()>0?this._snapshot():null;this._buildModel();const e=t?[]:null;this._patchTree(this._tree,e),t&&this._startTransition(t,e,null),this._emit("render",{root:this._tree})},_.prototype.addNode=function(t,e,i){const n=this.getNode(t);if(!n||!e)return null;Array.isArray(n._data.children)||(n._data.children=[]),y(n._data.children,e,i),this._patchRender();const o=this._findByData(e);return o?o._id:null},_.prototype.updateNode=function(t,e){const i=this.getNode(t);i&&e&&(Object.assign(i._data,e),this._patchRender())},_.prototype.removeNode=function(t){const e=this.getNode(t);if(!e||!e.parent)return;const i=e.parent._data.children;i.splice(i.indexOf(e._data),1),this._collapsed.delete(e._id),this._patchRender()},_.prototype.moveNode=function(t,e,i){const n=this.getNode(t),o=this.getNode(e);if(!n||!n.parent||!o)return;for(let t=o;t;t=t.parent)if(t===n)return;const s=n.parent._data.children;s.splice(s.indexOf(n._data),1),Array.isArray(o._data.children)||(o._data.children=[]),y(o._data.children,n._data,i),this._patchRender()},_.prototype.getData=function(){return this._lastData?JSON.parse(JSON.stringify(this._lastData)):null},_.prototype._findByData=function(t){let e=null;return this._nodesById.forEach(function(i){i._data===t&&(e=i)}),e},_.prototype._buildTree=function(t,i,n,o,s){const r=t.topic||"";let h=void 0!==t.id&&null!==t.id?String(t.id):null;if(null===h||!this._reservedIds.has(h)){h=null!==s?s:m(null,r,0);const t=t=>this._reservedIds.has(t)||this._nodesById.has(t);if(t(h)){let e=1;for(;t(h+"~~"+e);)e++;h=h+"~~"+e}}const l={topic:r,url:t.url||null,onclick:t.url||"function"!=typeof t.onclick?null:t.onclick,direction:t.direction||null,layout:o>0&&-1!==w.indexOf(t.layout)?t.layout:null,date:null!=t.date?t.date:null,offsetX:Number(t.offsetX)||0,offsetY:Number(t.offsetY)||0,style:null,image:D(t.image),icon:t.icon?String(t.icon):null,note:t.note?String(t.note):null,depth:o,parent:i,colorIdx:n,children:[],_id:h,_startCollapsed:!0===t.collapsed,_data:t,x:0,y:0,width:0,height:0,fontSize:0},a=i?i._cascade:null,d=t.style&&"object"==typeof t.style?t.style:null;if(l.style=d?Object.assign({},a,d):a,l._cascade=d&&d.inherit?l.style:a,this._nodesById.set(h,l),Array.isArray(t.children)){const i=new Map;t.children.forEach(function(t,s){const r=0===o?s%e.length:n,a=t.topic||"",d=i.get(a)||0;i.set(a,d+1),l.children.push(this._buildTree(t,l,r,o+1,m(h,a,d)))},this)}return l};const b=["bgColor","fontColor","fontSize","fontWeight","border","borderColor","radius","shape"];function x(t,e){t.direction=e,t.children.forEach(function(t){x(t,e)})}_.prototype._nodeOpts=function(t){const e=this.options,i=0===t.depth?e.center:1===t.depth?e.branch:e.leaf;if(!t.style)return i;const n=Object.assign({},i);return b.forEach(function(e){void 0!==t.style[e]&&null!==t.style[e]&&(n[e]=t.style[e])}),n},_.prototype._nodeColor=function(t){return t.style&&t.style.color?t.style.color:0===t.depth?this.options.center.bgColor:this.options.colors[t.colorIdx]},_.prototype._edgeColor=function(t){return t.style&&t.style.edgeColor||this._nodeColor(t)},_.prototype._edgeWidth=function(t,e){if(e.style&&null!=e.style.edgeWidth)return e.style.edgeWidth;const i=this.options.edgeWidth;return 0===t.depth?i.root:1===t.depth?i.branch:i.leaf},_.prototype._assignDirections=function(t){const e=this.options.layout;if("down"===e||"up"===e)return void t.children.forEach(t=>x(t,e));if("left"===e)return void t.children.forEach(t=>x(t,"left"));if("radial"===e)return void t.children.forEach(t=>x(t,"right"));if("fishbone"===e)return void t.children.forEach(t=>x(t,"left"));if("timeline"===e)return void t.children.forEach(t=>x(t,"right"));if("right"===e)return void t.children.forEach(t=>x(t,"right"));const i=t.children.filter(t=>"left"===t.direction||"right"===t.direction),n=t.children.filter(t=>!t.direction),o=this.options.balance;if("weight"===o||"order"===o){const e=this._branchWeights(t);let s=0,r=0;if(i.forEach(t=>{"right"===t.direction?s+=e.get(t):r+=e.get(t)}),"weight"===o)n.slice().sort((t,i)=>e.get(i)-e.get(t)).forEach(t=>{s<=r?(t.direction="right",s+=e.get(t)):(t.direction="left",r+=e.get(t))});else{const t=n.reduce((t,i)=>t+e.get(i),0);let i=0,o=1/0,h=0;for(let l=0;l<=n.length;l++){const a=Math.abs(s+h-(r+t-h));a<=o&&(i=l,o=a),l<n.length&&(h+=e.get(n[l]))}n.forEach((t,e)=>{t.direction=e<i?"right":"left"})}}else{let t=i.filter(t=>"right"===t.direction).length,e=i.filter(t=>"left"===t.direction).length;n.forEach(i=>{t<=e?(i.direction="right",t++):(i.direction="left",e++)})}t.children.forEach(t=>x(t,t.direction))},_.prototype._branchWeights=function(t){const e=t.children.map(t=>t.direction);t.children.forEach(t=>x(t,t.direction||"right")),this._assignFlows(t);const i=new Map;return t.children.forEach((t,n)=>{i.set(t,this._subtreeHeight(t)),t.direction=e[n]}),this._nodesById.forEach(t=>{t._box=null}),i};const w=["right","left","down","up","list"];function E(t,e,i){return t.map(t=>({from:t.from+e,to:t.to+e,lo:t.lo+i,hi:t.hi+i}))}function v(t,e){const i=(t,i)=>{const n=[],o=[];return i.forEach((s,r)=>{let h=-1/0;o.forEach(i=>t[s].forEach(t=>{i.from<t.to&&t.from<i.to&&(h=Math.max(h,Math.ceil(i.hi-t.lo+e)))})),n[s]=0===r?0:h===-1/0?n[i[r-1]]:h,o.push(...E(t[s],0,n[s]))}),n},n=t.length,o=t.map((t,e)=>e),s=i(t,o),r=i(t.map(t=>t.map(t=>({from:t.from,to:t.to,lo:-t.hi,hi:-t.lo}))),o.slice().reverse()),h=s[n-1]+r[n-1],l=s.map((t,e)=>(t+h-r[e])/2),a=(l[0]+l[n-1])/2;return l.map(t=>Math.floor(t-a))}_.prototype._assignFlows=function(t){const e=this.options.layout;t._flow=e,t._override=!1;const i=(t,n,o)=>{t._flow=t.layout&&"radial"!==e?t.layout:o||n,t._override=t._flow!==n;const s="list"===t._flow?"left"===t.direction?"left":"right":t._flow;t.children.forEach(n=>{"radial"!==e&&(n.direction=s),i(n,t._flow)})};if("fishbone"===e)return void t.children.forEach(t=>{t._flow="bone",t._override=!1,t.children.forEach(t=>i(t,"left"))});if("timeline"===e)return void t.children.forEach(t=>{t._flow="stack",t._override=!1,t.children.forEach((t,e)=>{t.direction=e%2?"down":"up",i(t,"stack","right")})});const n="down"!==e&&"up"!==e&&"radial"!==e;t.children.forEach(t=>i(t,n?t.direction:e))},_.prototype._measureText=function(t,e,i,n,o){const s=i||"700",r=t+":"+e+":"+s+(n?":i":"")+(o?":m":"");if(this._textCache[r])return this._textCache[r];this._measureCanvas||(this._measureCanvas=document.createElement("canvas"),this._measureCtx=this._measureCanvas.getContext("2d")),this._measureCtx.font=(n?"italic ":"")+s+" "+e+"px "+(o?d:'system-ui, -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif');const h=this._measureCtx.measureText(t).width;return this._textCache[r]=h,h},_.prototype._computeSizes=function(t){const e=this.options,i=this._widthFactor||1,n=this._nodeOpts(t),o=n.fontSize,s=n.fontWeight,r=n.paddingX,l=n.paddingY,a=n.maxWidth*i,d=(t.url||t.onclick)&&e.showLinkIcons,p=t.note&&e.notes,u=(d||p?25:0)+(d&&p?13:0),_=-1!==C.indexOf(t._data.shape)?t._data.shape:-1!==C.indexOf(n.shape)?n.shape:"rect",y=t.image,m=e.image.gap,b=y?y.width||e.image.width:0,x=y?y.height||e.image.height:0,w=y&&"top"===(y.position||e.image.position)?"top":"left",E=t.icon?Math.round(o*I):0,v=t.icon?this._measureText(t.icon,E,"400"):0,k=(t.icon?v+m:0)+(y&&"left"===w?b+m:0),A=Math.max(a-2*r-u-k,3*o),S=e.richText?c(t.topic):null;let N,$;if(S){const e=g(s),i=t=>this._measureText(t.text,o,t.bold?e:s,t.italic,t.code),n=t=>t.reduce((t,e)=>t+i(e),0);t.runs=f(S,A,i),N=t.runs.map(t=>t.map(t=>t.text).join("")),$=t.runs.reduce((t,e)=>Math.max(t,n(e)),0)}else{const e=t=>this._measureText(t,o,s);t.runs=null,N=h(t.topic,A,e),$=N.reduce((t,i)=>Math.max(t,e(i)),0)}t.text=S?S.map(t=>t.text).join(""):t.topic;const F=o*e.lineHeight,z=function(t,e,i,n,o,s){const r=t.icon?o.width+s+e:e,h=t.icon?Math.max(o.size,i):i;let l=r,a=h,d=0,c=0;if(t.imageBox=null,t.image){const e="top"===n.position;l=e?Math.max(n.width,r):n.width+s+r,a=e?n.height+s+h:Math.max(n.height,h),t.imageBox={x:e?-n.width/2:-l/2,y:e?-a/2:-n.height/2,width:n.width,height:n.height},e?c=-a/2+n.height+s+h/2:d=-l/2+n.width+s+r/2}return t.iconBox=t.icon?{x:d-r/2+o.width/2,y:c,size:o.size}:null,t.textDx=d+(r-e)/2,t.textDy=c,{width:l,height:a}}(t,$,N.length*F,{width:b,height:x,position:w},{width:v,size:E},m),T="rect"===_?1:.5,L=2*r*T+u,D=Math.min(4,Math.max(a-L-k,0)-$),O=L+Math.max(z.width+D,y&&"top"===w?b:0),B=function(t,e,i){switch(t){case"ellipse":return{width:e*Math.SQRT2,height:i*Math.SQRT2};case"circle":{const t=Math.hypot(e,i);return{width:t,height:t}}case"diamond":return{width:2*e,height:2*i};case"hexagon":case"parallelogram":return{width:e+i/2,height:i};case"cloud":return{width:e*Math.SQRT2/M,height:i*Math.SQRT2/M};default:return{width:e,height:i}}}(_,O,z.height+2*l*T);t.fontSize=o,t.lineHeight=Math.round(F),t.paddingX=r*T,t.paddingY=l*T,t.lines=N,t.shape=_,t.boxWidth=Math.ceil(O),t.iconSpace=u,t.width=Math.ceil(B.width),t.height=Math.ceil(B.height),t.children.forEach(t=>this._computeSizes(t))},_.prototype._columnDepth=function(t){const e="radial"===this.options.layout,i=(t,n)=>t.children.reduce((t,o)=>Math.max(t,(N(n)||"list"===n?0:1)+i(o,o.layout&&!e?o.layout:n)),0);return i(t,this.options.layout)},_.prototype._computeAdaptiveSpacing=function(t){const e=this.options,i="number"==typeof e.spacing?e.spacing:1,n=this._columnDepth(t),o=i*(n<=2?1:Math.max(.45,2.5/n));this._sp={branchSpacingX:Math.round(e.branchSpacingX*o),subSpacingX:Math.round(e.subSpacingX*o),verticalSpacingY:Math.round(e.verticalSpacingY*i),horizontalSpacing:Math.round(e.horizontalSpacing*i),verticalSpacing:Math.round(e.verticalSpacing*i),listIndent:Math.round(e.listIndent*i),listSpacing:Math.round(e.listSpacing*i)}},_.prototype._subtreeHeight=function(t){const e=this._sp?this._sp.verticalSpacing:this.options.verticalSpacing;if(t._override){const i=this._localBox(t);return i.bottom-i.top+e}if(!t.children.length||this._collapsed.has(t._id))return t.height+e;const i=t.children.reduce((t,e)=>t+this._subtreeHeight(e),0);return Math.max(i,t.height+e)},_.prototype._layoutTree=function(t){t.x=0,t.y=0,this._nodesById.forEach(t=>{t._box=null});const e=this.options.layout;if("down"===e||"up"===e){const i="down"===e?1:-1;this.options.compact&&this._tidyContour(t,!0,i),this._layoutVerticalNode(t,i)}else"radial"===e?this._layoutRadial(t):"fishbone"===e?this._layoutFishbone(t):"timeline"===e?this._layoutTimeline(t):this._layoutHorizontal(t);this._applyOffsets(t)},_.prototype._layoutHorizontal=function(t){const e=this.options.layout,i=t.children.filter(t=>"right"===t.direction),n=t.children.filter(t=>"left"===t.direction);"auto"===e&&"order"===this.options.balance&&n.reverse(),this._layoutSide(t,i,"right"),this._layoutSide(t,n,"left")},_.prototype._applyOffsets=function(t){t.depth>0&&(t.offsetX||t.offsetY)&&this._shiftSubtree(t,t.x+t.offsetX,t.y+t.offsetY),this._collapsed.has(t._id)||t.children.forEach(t=>this._applyOffsets(t))},_.prototype._subtreeWidth=function(t){const e=this._sp?this._sp.horizontalSpacing:this.options.horizontalSpacing;if(t._override){const i=this._localBox(t);return i.right-i.left+e}if(!t.children.length||this._collapsed.has(t._id))return t.width+e;const i=t.children.reduce((t,e)=>t+this._subtreeWidth(e),0);return Math.max(i,t.width+e)},_.prototype._layoutVerticalNode=function(t,e){if(!t.children.length||this._collapsed.has(t._id))return;const i=this.options,n=t.y+e*(t.height/2+(this._sp?this._sp.verticalSpacingY:i.verticalSpacingY));if(i.compact)return void t.children.forEach(i=>this._placeVertical(i,t.x+i._tidyOffset,n,e));const o=t.children.map(t=>this._subtreeWidth(t)),s=o.reduce((t,e)=>t+e,0);let r=t.x-s/2;t.children.forEach((t,i)=>{this._placeVertical(t,r+o[i]/2,n,e),r+=o[i]})},_.prototype._placeVertical=function(t,e,i,n){if(t._override){const o=this._localBox(t);return void this._shiftSubtree(t,Math.round(e-(o.left+o.right)/2),Math.round(n>0?i-o.top:i-o.bottom))}t.x=Math.round(e),t.y=Math.round(i+n*t.height/2),this._arrange(t)},_.prototype._tidyContour=function(t,e,i){const n=e?t.height:t.width,o=e?t.width:t.height,s={from:-n/2,to:n/2,lo:-o/2,hi:o/2};if(!t.children.length||this._collapsed.has(t._id))return[s];const r=this._sp,h=e?t.height/2+r.verticalSpacingY:t.width/2+r.subSpacingX,l=t.children.map(t=>this._childContour(t,e,i,h)),a=v(l,e?r.horizontalSpacing:r.verticalSpacing),d=[s];return t.children.forEach((t,e)=>{t._tidyOffset=a[e],E(l[e],0,a[e]).forEach((t,e)=>{const i=d[e+1];i?(i.from=Math.min(i.from,t.from),i.to=Math.max(i.to,t.to),i.lo=Math.min(i.lo,t.lo),i.hi=Math.max(i.hi,t.hi)):d[e+1]=t})}),d},_.prototype._childContour=function(t,e,i,n){if(t._override){const o=this._localBox(t),s=e?o.top:o.left,r=e?o.bottom:o.right,h=e?o.left:o.top,l=e?o.right:o.bottom,a=i>0?n-s:-n-r,d=(h+l)/2;return[{from:s+a,to:r+a,lo:h-d,hi:l-d}]}const o=e?t.height:t.width;return E(this._tidyContour(t,e,i),i*(n+o/2),0)},_.prototype._layoutRadial=function(t){const e=this._sp,i=new Map,n=t=>{const e=t.children.length&&!this._collapsed.has(t._id)?t.children.reduce((t,e)=>t+n(e),0):1;return i.set(t,e),e};n(t);const o=[],s=(t,e,n)=>{if(t.angle=(e+n)/2,t._sector=n-e,(o[t.depth]=o[t.depth]||[]).push(t),!t.children.length||this._collapsed.has(t._id))return;let r=e;t.children.forEach(o=>{const h=(n-e)*i.get(o)/i.get(t);s(o,r,r+h),r+=h})};s(t,-Math.PI/2,3*Math.PI/2);const r=t=>Math.abs(t.width/2*Math.cos(t.angle))+Math.abs(t.height/2*Math.sin(t.angle)),h=t=>Math.abs(t.width*Math.sin(t.angle))+Math.abs(t.height*Math.cos(t.angle));let l=0,a=Math.max(t.width,t.height)/2;for(let t=1;t<o.length;t++){const i=o[t],n=Math.max.apply(null,i.map(r)),s=(1===t?e.branchSpacingX:e.subSpacingX)/2;l+=a+n+s,i.forEach(t=>{l=Math.max(l,(h(t)+e.verticalSpacing)/Math.min(t._sector,Math.PI))}),i.forEach(t=>{t.x=Math.round(l*Math.cos(t.angle)),t.y=Math.round(l*Math.sin(t.angle)),t.direction=Math.cos(t.angle)>=-1e-9?"right":"left"}),a=n}};_.prototype._layoutFishbone=function(t){const e=this._sp,i=e.verticalSpacing,n=Math.round(e.subSpacingX/3),o=t.children.map((t,e)=>{const n=e%2?1:-1,o=t.children.length&&!this._collapsed.has(t._id)?t.children:[],s=o.map(t=>{if(!this.options.compact)return{size:this._subtreeHeight(t),mid:0};let e=1/0,n=-1/0;return this._childContour(t,!1,-1,0).forEach(t=>{e=Math.min(e,t.lo),n=Math.max(n,t.hi)}),{size:n-e+i,mid:(e+n)/2}});return{cat:t,side:n,kids:o,bands:s,total:s.reduce((t,e)=>t+e.size,0)}}),s={"-1":0,1:0};o.forEach(t=>{s[t.side]=Math.max(s[t.side],t.total)}),o.forEach(t=>{const e=t.cat,o=s[t.side]+i;e.x=Math.round(-.5*o),e.y=Math.round(t.side*(o+e.height/2));let r=i/2;t.kids.map((e,i)=>t.side>0?i:t.kids.length-1-i).forEach(e=>{const i=t.bands[e],o=-.5*(r+i.size)-n;this._layoutNode(t.kids[e],o,t.side*(r+i.size/2)-i.mid,"left"),r+=i.size});const h=this._extentOf(e);t.minX=h.left,t.maxX=Math.max(h.right,0)});let r=-t.width/2;const h={"-1":-t.width/2,1:-t.width/2};o.forEach(t=>{const e=Math.round(Math.min(h[t.side]-n-t.maxX,r-n));this._shiftSubtree(t.cat,t.cat.x+e,t.cat.y),t.cat._ribX=e,h[t.side]=e+t.minX,r=e}),t._spineX=o.length?r-n:null},_.prototype._layoutTimeline=function(t){const e=this._sp,i=Math.round(e.verticalSpacing/2),n=Math.round(e.subSpacingX/3),o=t.children.map(t=>{return(e=t.date)instanceof Date?e.getTime():"number"==typeof e?e:"string"==typeof e&&e?Date.parse(e):NaN;var e}),s=o.length>0&&o.every(t=>!isNaN(t)),r=t.children.map((t,e)=>e);s&&r.sort((t,e)=>o[t]-o[e]||t-e);const h=r.map(e=>{const n=t.children[e];n.x=0,n.y=0;let s=-n.width/2,r=n.width/2;const h={up:-n.height/2-i,down:n.height/2+i};return n.children.length&&!this._collapsed.has(n._id)&&n.children.forEach(t=>{const e=this._localBox(t);"up"===t.direction?(this._shiftSubtree(t,0,Math.round(h.up-e.bottom)),h.up=t.y+e.top-i):(this._shiftSubtree(t,0,Math.round(h.down-e.top)),h.down=t.y+e.bottom+i),s=Math.min(s,e.left),r=Math.max(r,e.right)}),{m:n,t:o[e],left:s,right:r}});let l=0;if(s)for(let t=1;t<h.length;t++){const e=h[t].t-h[t-1].t;e>0&&(l=Math.max(l,(h[t-1].right+n-h[t].left)/e))}const a=t.width/2+n-(h.length?h[0].left:0);h.forEach((e,i)=>{const o=h[i-1];let r=0===i?a:o.m.x+o.right+n-e.left;s&&i>0&&(r=Math.max(r,a+(e.t-h[0].t)*l)),this._shiftSubtree(e.m,Math.round(r),0),e.m._axisX=0===i?t.width/2:o.m.x+o.m.width/2})},_.prototype._layoutSide=function(t,e,i){if(!e.length)return;const n=this._sp,o=this.options,s="right"===i?"side"===o.centerEdge?t.width/2+n.branchSpacingX:n.branchSpacingX:"side"===o.centerEdge?-(t.width/2+n.branchSpacingX):-n.branchSpacingX;if(o.compact){const t="right"===i?1:-1,o=e.map(e=>this._childContour(e,!1,t,Math.abs(s))),r=v(o,n.verticalSpacing);let h=1/0,l=-1/0;o.forEach((t,e)=>t.forEach(t=>{h=Math.min(h,t.lo+r[e]),l=Math.max(l,t.hi+r[e])}));const a=Math.floor((h+l)/2);return void e.forEach((t,e)=>this._layoutNode(t,s,r[e]-a,i))}const r=e.map(t=>this._subtreeHeight(t));let h=-r.reduce((t,e)=>t+e,0)/2;e.forEach((t,e)=>{const n=h+r[e]/2;this._layoutNode(t,s,n,i),h+=r[e]})},_.prototype._layoutNode=function(t,e,i,n){if(t._override){const o=this._localBox(t);return void this._shiftSubtree(t,Math.round("right"===n?e-o.left:e-o.right),Math.round(i-(o.top+o.bottom)/2))}t.x=Math.round("right"===n?e+t.width/2:e-t.width/2),t.y=Math.round(i),this._layoutHorizontalNode(t,i,n)},_.prototype._layoutHorizontalNode=function(t,e,i){if(!t.children.length||this._collapsed.has(t._id))return;const n=this._sp,o="right"===i?t.x+t.width/2+n.subSpacingX:t.x-t.width/2-n.subSpacingX;if(this.options.compact)return void t.children.forEach(e=>this._layoutNode(e,o,t.y+e._tidyOffset,i));const s=t.children.map(t=>this._subtreeHeight(t));let r=e-s.reduce((t,e)=>t+e,0)/2;t.children.forEach((t,e)=>{this._layoutNode(t,o,r+s[e]/2,i),r+=s[e]})},_.prototype._layoutList=function(t){if(!t.children.length||this._collapsed.has(t._id))return;const e=this._sp,i="left"===t.direction?-1:1,n=t.x-i*(t.width/2-e.listIndent);let o=t.y+t.height/2+e.listSpacing;t.children.forEach(t=>{if(t._override){const e=this._localBox(t);this._shiftSubtree(t,Math.round(i>0?n-e.left:n-e.right),Math.round(o-e.top))}else t.x=Math.round(n+i*t.width/2),t.y=Math.round(o+t.height/2),this._arrange(t);o=this._extentOf(t).bottom+e.listSpacing})},_.prototype._arrange=function(t){const e=t._flow;"down"===e||"up"===e?this._layoutVerticalNode(t,"down"===e?1:-1):"list"===e?this._layoutList(t):this._layoutHorizontalNode(t,t.y,e)},_.prototype._localBox=function(t){if(t._box)return t._box;const e=t._flow;return t.x=0,t.y=0,this.options.compact&&"list"!==e&&this._tidyContour(t,"down"===e||"up"===e,"down"===e||"right"===e?1:-1),this._arrange(t),t._box=this._extentOf(t),t._box},_.prototype._extentOf=function(t){const e={left:1/0,right:-1/0,top:1/0,bottom:-1/0},i=t=>{e.left=Math.min(e.left,t.x-t.width/2),e.right=Math.max(e.right,t.x+t.width/2),e.top=Math.min(e.top,t.y-t.height/2),e.bottom=Math.max(e.bottom,t.y+t.height/2),this._collapsed.has(t._id)||t.children.forEach(i)};return i(t),e},_.prototype._shiftSubtree=function(t,e,i){const n=e-t.x,o=i-t.y,s=t=>{t.x+=n,t.y+=o,this._collapsed.has(t._id)||t.children.forEach(s)};s(t)};const C=["rect","ellipse","circle","diamond","hexagon","parallelogram","cloud"],M=.85;function k(t,e,i){const n=t.width/2,o=t.height/2,s=Math.min(1,Math.abs(i)/o);switch(t.shape){case"ellipse":case"circle":case"cloud":return n*Math.sqrt(1-s*s);case"diamond":return n*(1-s);case"hexagon":return n-t.height/4*s;case"parallelogram":return n-t.height/4*(1+e*Math.max(-1,Math.min(1,i/o)))/2;default:return n}}function A(t,e,i){const n=t.width/2,o=t.height/2,s=Math.abs(e),r=Math.abs(i),h=r?o/r:1/0;switch(t.shape){case"ellipse":case"circle":case"cloud":return 1/Math.hypot(e/n,i/o);case"diamond":return 1/(s/n+r/o);case"hexagon":{const e=t.height/4;return Math.min(h,n/(s+e*r/o))}case"parallelogram":{const s=t.height/4,r=Math.abs(e+s*i/(2*o));return Math.min(h,r?(n-s/2)/r:1/0)}default:return Math.min(s?n/s:1/0,h)}}function S(t,e){const i=t.x,n=t.y,o=t.width/2+e,s=t.height/2+e,r=t.height/4;switch(t.shape){case"ellipse":case"circle":return`M ${i-o} ${n} A ${o} ${s} 0 1 0 ${i+o} ${n} A ${o} ${s} 0 1 0 ${i-o} ${n} Z`;case"diamond":return`M ${i} ${n-s} L ${i+o} ${n} L ${i} ${n+s} L ${i-o} ${n} Z`;case"hexagon":return`M ${i-o} ${n} L ${i-o+r} ${n-s} L ${i+o-r} ${n-s} L ${i+o} ${n} L ${i+o-r} ${n+s} L ${i-o+r} ${n+s} Z`;case"parallelogram":return`M ${i-o+r} ${n-s} L ${i+o} ${n-s} L ${i+o-r} ${n+s} L ${i-o} ${n+s} Z`;case"cloud":{const t=function(t,e){return{x:i+o*e*Math.cos(t),y:n+s*e*Math.sin(t)}},e=2*Math.PI/12;let r=t(-e/2,M),h=`M ${r.x} ${r.y}`;for(let i=0;i<12;i++){const n=t(e*(i+.5),M),o=t(e*i,1);h+=` Q ${2*o.x-(r.x+n.x)/2} ${2*o.y-(r.y+n.y)/2}, ${n.x} ${n.y}`,r=n}return h+" Z"}default:return`M ${i-o} ${n-s} H ${i+o} V ${n+s} H ${i-o} Z`}}function N(t){return"down"===t||"up"===t}_.prototype._shapeEl=function(t,e){if(!t.shape||"rect"===t.shape)return r("rect",e);const i=t.x-t.width/2-e.x,n={};return Object.keys(e).forEach(function(t){-1===["x","y","width","height","rx","ry"].indexOf(t)&&(n[t]=e[t])}),n.d=S(t,i),r("path",n)},_.prototype._drawBorder=function(t,e,i,n,o,s){if(e)if(void 0===s&&(s=3),i.shape&&"rect"!==i.shape)t.appendChild(r("path",{d:S(i,0),fill:"none",stroke:n,"stroke-width":o}));else{var h=i.x-i.width/2,l=i.x+i.width/2,a=i.y-i.height/2,d=i.y+i.height/2;if(!0!==e&&"around"!==e){var c=String(e).split(/\s+/);c.indexOf("bottom")>=0&&t.appendChild(r("line",{x1:h,y1:d,x2:l,y2:d,stroke:n,"stroke-width":o,"stroke-linecap":"round"})),c.indexOf("top")>=0&&t.appendChild(r("line",{x1:h,y1:a,x2:l,y2:a,stroke:n,"stroke-width":o,"stroke-linecap":"round"})),c.indexOf("left")>=0&&t.appendChild(r("line",{x1:h,y1:a,x2:h,y2:d,stroke:n,"stroke-width":o,"stroke-linecap":"round"})),c.indexOf("right")>=0&&t.appendChild(r("line",{x1:l,y1:a,x2:l,y2:d,stroke:n,"stroke-width":o,"stroke-linecap":"round"}))}else t.appendChild(r("rect",{x:h,y:a,width:i.width,height:i.height,rx:s,ry:s,fill:"none",stroke:n,"stroke-width":o}))}},_.prototype._clearDrawing=function(){this.gEdges.innerHTML="",this.gLinks.innerHTML="",this.gNodes.innerHTML="",this.gToggles.innerHTML="",this._nodeEls.clear(),this._edgeEls.clear(),this._toggleEls.clear()},_.prototype._mount=function(t,e,i,n,o){n.setAttribute("data-id",i),n._sig=o;const s=e.get(i);if(s&&s.parentNode===t){const e=document.activeElement===s;t.replaceChild(n,s),e&&n.focus({preventScroll:!0})}else t.appendChild(n);e.set(i,n)},_.prototype._nodeSig=function(t){const e=t.parent?t.parent.children:[t];return[t.width,t.height,t.shape,t.depth,t.colorIdx,t.lines.join("\n"),t.runs?t.topic:"",t.url,!!t.onclick,t.image?t.image.src+" "+t.textDx+" "+t.textDy:"",t.icon||"",this.options.notes&&t.note?t.note:"",t.children.length>0,this._collapsed.has(t._id),e.length,e.indexOf(t),this._selected.has(t._id),t.style?JSON.stringify(t.style):"",this._drawnVertical(t)].join("|")},_.prototype._edgeSig=function(t,e){return[t.x,t.y,t.width,t.height,t.depth,e.x,e.y,e.width,e.height,e.depth,e.colorIdx,e.direction,t._flow,e._flow,t._ribX,e._ribX,e._axisX,t.shape,e.shape,this._edgeColor(e),this._edgeWidth(t,e)].join("|")},_.prototype._spineSig=function(t){return["spine",t._spineX,t.width,t.shape].join("|")},_.prototype._toggleSig=function(t){return[t.width,t.height,this._nodeColor(t),t.direction,t.angle,t._flow,this._collapsed.has(t._id)].join("|")},_.prototype._moveTo=function(t,e,i){t._pos={x:e,y:i};const n=e-t._origin.x,o=i-t._origin.y;n||o?t.setAttribute("transform",`translate(${n},${o})`):t.removeAttribute("transform")},_.prototype._patchTree=function(t,e){const i={nodes:new Set,edges:new Set,toggles:new Set},n=this.options.interactions.collapse,o=(t,e)=>{const s=t._id;if(e){i.edges.add(s);const n=this._edgeEls.get(s);n&&n._sig===this._edgeSig(e,t)||this._drawEdge(e,t)}else if(null!=t._spineX){i.edges.add(s);const e=this._edgeEls.get(s);e&&e._sig===this._spineSig(t)||this._drawSpine(t)}i.nodes.add(s);const r=this._nodeEls.get(s);if(r&&r._sig===this._nodeSig(t)?this._moveTo(r,t.x,t.y):this._drawNode(t),n&&t.depth>0&&t.children.length>0){i.toggles.add(s);const e=this._toggleEls.get(s);e&&e._sig===this._toggleSig(t)?this._moveTo(e,t.x,t.y):this._drawCollapseBtn(t)}this._collapsed.has(s)||t.children.forEach(e=>o(e,t))};o(t,null);const s=function(t,i,n){t.forEach(function(o,s){i.has(s)||(e?e.push({el:o,id:s,kind:n}):o.parentNode&&o.parentNode.removeChild(o),t.delete(s))})};s(this._nodeEls,i.nodes,"node"),s(this._edgeEls,i.edges,"edge"),s(this._toggleEls,i.toggles,"toggle"),this._drawLinks(!1),this._syncTabStop(),this._positionOverlays()},_.prototype._drawTree=function(t){this.svg.setAttribute("role","tree"),this.options.interactions.select?this.svg.setAttribute("aria-multiselectable","true"):this.svg.removeAttribute("aria-multiselectable"),this.svg.setAttribute("aria-label",this.options.ariaLabel||t.topic),null!=t._spineX&&this._drawSpine(t),this._drawNode(t),this._drawSubtree(t),this._drawLinks(!1),this.options.interactions.collapse&&this._drawAllToggles(t),this._positionOverlays()},_.prototype._drawSubtree=function(t){this._collapsed.has(t._id)||t.children.forEach(e=>{this._drawEdge(t,e),this._drawNode(e),this._drawSubtree(e)})},_.prototype._drawNode=function(t){const e=this.options,i=!!t.url,n=!i&&!!t.onclick,o=i||n,s=o&&e.showLinkIcons,h=!!t.note&&e.notes,l=this._drawnVertical(t),a="classic"===e.theme&&l?"outline":e.theme||"classic",d=t.children.length>0,c=t.parent?t.parent.children:[t],p=r("g",{class:"mm-node"+(o?" mm-node-linked":""),"data-depth":t.depth,role:"treeitem",tabindex:t._id===this._tabStopId()?0:-1,"aria-level":t.depth+1,"aria-setsize":c.length,"aria-posinset":c.indexOf(t)+1,"aria-label":t.text+(t.url?" (link)":"")});d&&p.setAttribute("aria-expanded",String(!this._collapsed.has(t._id)));const u=this._selected.has(t._id);e.interactions.select&&p.setAttribute("aria-selected",String(u)),u&&this._drawSelection(p,t);const f=t.x-t.iconSpace/2,g=f+t.textDx,_=t.y+t.textDy,y=this._nodeOpts(t),m=this._nodeColor(t),b=y.fontWeight,x=t.style&&t.style.fontColor||e.fontColor,w=t.style&&null!=t.style.radius?t.style.radius:3,E=t.style?t.style.border:null;if("classic"!==a&&"ghost"!==a&&"underline"!==a&&"baseline"!==a||l)if("minimal"===a){const o=x||y.fontColor||m;p.appendChild(this._shapeEl(t,{x:t.x-t.width/2,y:t.y-t.height/2,width:t.width,height:t.height,fill:"transparent"})),this._drawBorder(p,E,t,y.borderColor||m,0===t.depth?"2.5":"1.8",w),p.appendChild(this._makeText(t.lines,g,_,t.fontSize,t.lineHeight,o,b,t.runs)),i&&e.showLinkIcons&&p.appendChild(this._makeLinkIcon(t,o)),n&&e.showLinkIcons&&p.appendChild(this._makeOnclickIcon(t,o)),h&&p.appendChild(this._makeNoteIcon(t,o,s))}else{const o=null!==y.bgColor?y.bgColor:m,r=!0===y.border||"around"===y.border,l=0===t.depth?"2.5":"2",a=r?y.borderColor||m:"none",d=x||y.fontColor||m,c=y.radius>=99?t.height/2:y.radius,u=0===t.depth?"url(#mm-shadow-center)":1===t.depth?"url(#mm-shadow-branch)":"",f=this._shapeEl(t,{x:t.x-t.width/2,y:t.y-t.height/2,width:t.width,height:t.height,rx:c,ry:c,fill:o,stroke:a,"stroke-width":l});u&&f.setAttribute("filter",u),p.appendChild(f),!r&&y.border&&this._drawBorder(p,y.border,t,y.borderColor||m,l),p.appendChild(this._makeText(t.lines,g,_,t.fontSize,t.lineHeight,d,b,t.runs));const w=y.border?y.borderColor||m:d;i&&e.showLinkIcons&&p.appendChild(this._makeLinkIcon(t,w)),n&&e.showLinkIcons&&p.appendChild(this._makeOnclickIcon(t,w)),h&&p.appendChild(this._makeNoteIcon(t,w,s))}else if("classic"===a&&0===t.depth){const o=this._shapeEl(t,{x:t.x-t.width/2,y:t.y-t.height/2,width:t.width,height:t.height,rx:y.radius,ry:y.radius,fill:t.style&&t.style.bgColor?y.bgColor:m,filter:"url(#mm-shadow-center)"});p.appendChild(o),this._drawBorder(p,E,t,y.borderColor||m,"2.5",y.radius),p.appendChild(this._makeText(t.lines,g,_,t.fontSize,t.lineHeight,x||y.fontColor,b,t.runs)),i&&e.showLinkIcons&&p.appendChild(this._makeLinkIcon(t,"rgba(255,255,255,0.7)")),n&&e.showLinkIcons&&p.appendChild(this._makeOnclickIcon(t,"rgba(255,255,255,0.7)")),h&&p.appendChild(this._makeNoteIcon(t,"rgba(255,255,255,0.7)",s))}else if("classic"===a)if(1===t.depth){const o=y.radius>=99?t.height/2:y.radius,r=null!==y.bgColor?y.bgColor:m,l=this._shapeEl(t,{x:t.x-t.width/2,y:t.y-t.height/2,width:t.width,height:t.height,rx:o,ry:o,fill:r,filter:"url(#mm-shadow-branch)"});p.appendChild(l),this._drawBorder(p,E,t,y.borderColor||m,"2",o),p.appendChild(this._makeText(t.lines,g,_,t.fontSize,t.lineHeight,x||y.fontColor,b,t.runs));const a=x||y.fontColor||"rgba(255,255,255,0.8)";i&&e.showLinkIcons&&p.appendChild(this._makeLinkIcon(t,a)),n&&e.showLinkIcons&&p.appendChild(this._makeOnclickIcon(t,a)),h&&p.appendChild(this._makeNoteIcon(t,a,s))}else{const o=y.radius;null!==y.bgColor?p.appendChild(this._shapeEl(t,{x:t.x-t.width/2,y:t.y-t.height/2,width:t.width,height:t.height,rx:o,ry:o,fill:y.bgColor})):p.appendChild(this._shapeEl(t,{x:t.x-t.width/2,y:t.y-t.height/2,width:t.width,height:t.height,rx:o,ry:o,fill:m,opacity:i?"0.14":"0.08"})),this._drawBorder(p,y.border,t,y.borderColor||m,"1.8",o),p.appendChild(this._makeText(t.lines,g,_,t.fontSize,t.lineHeight,x||y.fontColor,b,t.runs));const r=y.borderColor||m;i&&e.showLinkIcons&&p.appendChild(this._makeLinkIcon(t,r)),n&&e.showLinkIcons&&p.appendChild(this._makeOnclickIcon(t,r)),h&&p.appendChild(this._makeNoteIcon(t,r,s))}else if("ghost"===a){const o=null!==y.bgColor?y.bgColor:m;p.appendChild(this._shapeEl(t,{x:t.x-t.width/2,y:t.y-t.height/2,width:t.width,height:t.height,rx:w,ry:w,fill:o,opacity:"0.10"})),this._drawBorder(p,E,t,y.borderColor||o,0===t.depth?"2.5":"1.8",w);const r=x||y.fontColor||o;p.appendChild(this._makeText(t.lines,g,_,t.fontSize,t.lineHeight,r,b,t.runs)),i&&e.showLinkIcons&&p.appendChild(this._makeLinkIcon(t,o)),n&&e.showLinkIcons&&p.appendChild(this._makeOnclickIcon(t,o)),h&&p.appendChild(this._makeNoteIcon(t,o,s))}else{const o=null!==y.bgColor?y.bgColor:m,r=y.borderColor||m;"underline"===a&&"transparent"!==o&&"none"!==o?p.appendChild(this._shapeEl(t,{x:t.x-t.width/2,y:t.y-t.height/2,width:t.width,height:t.height,rx:w,ry:w,fill:o,opacity:"0.10"})):p.appendChild(this._shapeEl(t,{x:t.x-t.width/2,y:t.y-t.height/2,width:t.width,height:t.height,fill:"transparent"})),this._drawBorder(p,y.border,t,r,0===t.depth?"2.5":"1.8",w);const l=x||y.fontColor||r;p.appendChild(this._makeText(t.lines,g,_,t.fontSize,t.lineHeight,l,b,t.runs)),i&&e.showLinkIcons&&p.appendChild(this._makeLinkIcon(t,r)),n&&e.showLinkIcons&&p.appendChild(this._makeOnclickIcon(t,r)),h&&p.appendChild(this._makeNoteIcon(t,r,s))}(t.image||t.icon)&&this._drawMedia(p,t,f),p.style.transition="opacity 0.15s",p.style.willChange="opacity",p.addEventListener("mouseenter",()=>{p.style.opacity="0.82",o&&(this.svg.style.cursor="pointer"),h&&this._showNote(t._id,!1),this._emit("nodehover",{id:t._id,node:this.getNode(t._id)||t,hover:!0})}),p.addEventListener("mouseleave",()=>{p.style.opacity="1",o&&(this.svg.style.cursor=this.options.interactions.pan?this._dragging?"grabbing":"grab":"default"),h&&this._hideNote(!1),this._emit("nodehover",{id:t._id,node:this.getNode(t._id)||t,hover:!1})}),p.addEventListener("click",e=>{if(this._dragMoved)return;this._emit("nodeclick",{id:t._id,node:this.getNode(t._id)||t,event:e});let i=!1;this.options.interactions.select&&(e.stopPropagation(),i=e.ctrlKey||e.metaKey||e.shiftKey||1!==this._selected.size||!this._selected.has(t._id),this._selectByClick(t._id,e)),o&&!i&&(e.stopPropagation(),this.options.interactions.edit?(clearTimeout(this._clickTimer),e.detail>1||(this._clickTimer=setTimeout(()=>{this._clickTimer=null,this._activateNode(t._id)},250))):this._activateNode(t._id))}),p.addEventListener("keydown",e=>this._onNodeKeyDown(e,t._id)),p.addEventListener("focus",()=>{this._focusId=t._id,this._showFocusRing(p,t),h&&this._showNote(t._id,!1)}),p.addEventListener("blur",()=>{const t=p.querySelector(".mm-focus-ring");t&&p.removeChild(t),h&&this._hideNote(!1)}),p.addEventListener("dblclick",e=>{this.options.interactions.edit&&(e.stopPropagation(),clearTimeout(this._clickTimer),this._clickTimer=null,this._startEdit(t._id))}),p._origin={x:t.x,y:t.y},this._mount(this.gNodes,this._nodeEls,t._id,p,this._nodeSig(t))},_.prototype._drawAllToggles=function(t){t.depth>0&&t.children.length>0&&this._drawCollapseBtn(t),this._collapsed.has(t._id)||t.children.forEach(t=>this._drawAllToggles(t))},_.prototype._drawCollapseBtn=function(t){const e=this,i=(this.options,this._collapsed.has(t._id)),n=t._flow;let o,s;if("radial"===n){const e=Math.cos(t.angle),i=Math.sin(t.angle),n=A(t,e,i)+8+1;o=t.x+e*n,s=t.y+i*n}else if("up"===n||"down"===n)o=t.x,s="down"===n?t.y+t.height/2+8+1:t.y-t.height/2-8-1;else if("bone"===n)o=t.x,s=t.y<0?t.y+t.height/2+8+1:t.y-t.height/2-8-1;else if("list"===n){const e="left"===t.direction?-1:1;o=t.x-e*(t.width/2-this._sp.listIndent/2),s=t.y+t.height/2+8+1}else{const e="left"===n?-1:1;s=t.y,o=t.x+e*(k(t,e,0)+8+1)}const h=this._nodeColor(t),l=r("g",{class:"mm-collapse-btn",cursor:"pointer"}),a=r("circle",{cx:o,cy:s,r:8,fill:"#fff",stroke:h,"stroke-width":"1.8"}),d=r("text",{x:o,y:s-1,"text-anchor":"middle","dominant-baseline":"central","font-size":"13","font-weight":"700",fill:h,"pointer-events":"none",style:"font-family:system-ui,sans-serif;user-select:none"});d.textContent=i?"+":"−",l.appendChild(a),l.appendChild(d),l.addEventListener("mouseenter",function(){a.setAttribute("fill",h),d.setAttribute("fill","#fff")}),l.addEventListener("mouseleave",function(){a.setAttribute("fill","#fff"),d.setAttribute("fill",h)}),l.addEventListener("click",function(i){i.stopPropagation(),e.toggle(t._id)}),l._origin={x:t.x,y:t.y},this._mount(this.gToggles,this._toggleEls,t._id,l,this._toggleSig(t))},_.prototype._makeLinkIcon=function(t,e){const n=t.x+t.boxWidth/2-12-7,o=t.y-3.5,s=r("g",{"pointer-events":"none"}),h=document.createElementNS(i,"path");h.setAttribute("d",`\n      M ${n+3} ${o}\n      H ${n+7}\n      V ${o+7}\n      H ${n}\n      V ${o+3}\n    `),h.setAttribute("stroke",e),h.setAttribute("stroke-width","1.4"),h.setAttribute("fill","none"),h.setAttribute("stroke-linecap","round"),h.setAttribute("stroke-linejoin","round"),s.appendChild(h);const l=document.createElementNS(i,"path");return l.setAttribute("d",`M ${n} ${o+7} L ${n-5} ${o+7+5}`),l.setAttribute("stroke",e),l.setAttribute("stroke-width","1.4"),l.setAttribute("stroke-linecap","round"),s.appendChild(l),this._bindActionIcon(s,t,n-5,o,12),s},_.prototype._makeOnclickIcon=function(t,e){const n=t.x+t.boxWidth/2-12-7,o=t.y-3.5,s=r("g",{"pointer-events":"none"}),h=n+3.5,l=o+3.5,a=document.createElementNS(i,"circle");a.setAttribute("cx",h),a.setAttribute("cy",l),a.setAttribute("r",3.5),a.setAttribute("stroke",e),a.setAttribute("stroke-width","1.4"),a.setAttribute("fill","none"),s.appendChild(a);const d=h-1.2,c=l,p=document.createElementNS(i,"path");return p.setAttribute("d",`M ${d} ${c-2} L ${d+3.2} ${c} L ${d} ${c+2} Z`),p.setAttribute("fill",e),p.setAttribute("stroke","none"),s.appendChild(p),this._bindActionIcon(s,t,n,o,7),s},_.prototype._bindActionIcon=function(t,e,i,n,o){this.options.interactions.select&&(t.setAttribute("class","mm-action-icon"),t.removeAttribute("pointer-events"),t.style.cursor="pointer",t.insertBefore(r("rect",{x:i-5,y:n-5,width:o+10,height:o+10,fill:"transparent"}),t.firstChild),t.addEventListener("click",t=>{t.stopPropagation(),this._dragMoved||this._activateNode(e._id)}))},_.prototype._makeNoteIcon=function(t,e,i){const n=t.x+t.boxWidth/2-12-7-(i?13:0),o=t.y-3.5,s=r("g",{class:"mm-note-icon"});return s.style.cursor="pointer",s.appendChild(r("rect",{x:n-5,y:o-5,width:17,height:17,fill:"transparent"})),s.appendChild(r("path",{d:`M ${n} ${o} H ${n+7-2.5} L ${n+7} ${o+2.5} V ${o+7} H ${n} Z`,stroke:e,"stroke-width":"1.4",fill:"none","stroke-linejoin":"round"})),s.appendChild(r("path",{d:`M ${n+2} ${o+3.2} H ${n+7-2} M ${n+2} ${o+5} H ${n+7-2}`,stroke:e,"stroke-width":"1","stroke-linecap":"round"})),s.addEventListener("click",e=>{if(e.stopPropagation(),this._dragMoved)return;this._note&&this._note.id===t._id&&this._note.pinned?this._hideNote(!0):this._showNote(t._id,!0)}),s},_.prototype._makeText=function(t,e,n,o,s,r,h,l){const a=document.createElementNS(i,"text");a.setAttribute("text-anchor","middle"),a.setAttribute("fill",r),a.setAttribute("font-size",o),a.setAttribute("font-family",'system-ui, -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, sans-serif'),a.setAttribute("font-weight",h||"normal"),a.setAttribute("pointer-events","none"),a.setAttribute("text-rendering","optimizeLegibility");const d=(t.length-1)*s,c=Math.round(n-d/2);return t.forEach((t,n)=>{const o=document.createElementNS(i,"tspan");o.setAttribute("x",Math.round(e)),o.setAttribute("y",Math.round(c+n*s)),o.setAttribute("dominant-baseline","central"),l?l[n].forEach(t=>o.appendChild(this._makeRun(t,h))):o.textContent=t,a.appendChild(o)}),a},_.prototype._makeRun=function(t,e){const i=r("tspan");i.textContent=t.text,t.bold&&i.setAttribute("font-weight",g(e)),t.italic&&i.setAttribute("font-style","italic"),t.code&&i.setAttribute("font-family",d);const n=(t.href?" underline":"")+(t.strike?" line-through":"");if(n&&i.setAttribute("text-decoration",n.trim()),!t.href)return i;const o=r("a",{class:"mm-inline-link",href:t.href,target:"_blank",rel:"noopener noreferrer","pointer-events":"auto"});return o.style.cursor="pointer",o.addEventListener("click",t=>{t.stopPropagation(),this._dragMoved&&t.preventDefault()}),o.appendChild(i),o},_.prototype._nodeEdgeAnchorY=function(t,e){const i=this.options.theme||"classic";return t.shape&&"rect"!==t.shape||this._drawnVertical(t)?t.y:"underline"===i||"baseline"===i||"classic"===i&&t.depth>1?t.y+t.height/2:t.y},_.prototype._drawnVertical=function(t){const e=t.parent?t.parent._flow:t._flow;return N(t._flow)||N(e)},_.prototype._drawEdge=function(t,e){const n=this.options,o=t._flow;if("down"===o||"up"===o)return void this._drawEdgeVertical(t,e,o);if("radial"===o)return void this._drawEdgeRadial(t,e);if("list"===o)return void this._drawEdgeList(t,e);if("fishbone"===o||"bone"===o)return void this._drawEdgeFishbone(t,e);if("timeline"===o||"stack"===o)return void this._drawEdgeTimeline(t,e);const s=this._edgeColor(e),r="right"===e.direction?1:-1;let h,l;if(0===t.depth){"vertical"===(n.centerEdge||"side")?(h=0,l=e.y<=0?-t.height/2:t.height/2):(l=this._nodeEdgeAnchorY(t,"start"),h=r*k(t,r,l-t.y))}else l=this._nodeEdgeAnchorY(t,"start"),h=t.x+r*k(t,r,l-t.y);const a=this._nodeEdgeAnchorY(e,"end"),d=e.x-r*k(e,-r,a-e.y),c=0===t.depth&&"vertical"===(n.centerEdge||"side"),p=c&&Math.abs(e.y)<=t.height/2+e.height/2+(n.fanAlignThreshold??10);let u=h,f=l;p&&(f=this._nodeEdgeAnchorY(t,"start"),u=r*k(t,r,f-t.y));const g=(u+d)/2,_=c&&!p?`M ${u} ${f} C ${u} ${(f+a)/2}, ${g} ${a}, ${d} ${a}`:`M ${u} ${f} C ${g} ${f}, ${g} ${a}, ${d} ${a}`,y=this._edgeWidth(t,e),m=document.createElementNS(i,"path");m.setAttribute("d",_),m.setAttribute("stroke",s),m.setAttribute("stroke-width",y),m.setAttribute("fill","none"),m.setAttribute("stroke-linecap","round"),m.setAttribute("opacity",n.edgeOpacity),this._mount(this.gEdges,this._edgeEls,e._id,m,this._edgeSig(t,e))},_.prototype._drawEdgeVertical=function(t,e,n){const o=this.options,s="down"===n?1:-1,r=this._edgeColor(e),h=t.x,l=t.y+s*t.height/2,a=e.x,d=e.y-s*e.height/2,c=(l+d)/2,p=`M ${h} ${l} C ${h} ${c}, ${a} ${c}, ${a} ${d}`,u=this._edgeWidth(t,e),f=document.createElementNS(i,"path");f.setAttribute("d",p),f.setAttribute("stroke",r),f.setAttribute("stroke-width",u),f.setAttribute("fill","none"),f.setAttribute("stroke-linecap","round"),f.setAttribute("opacity",o.edgeOpacity),this._mount(this.gEdges,this._edgeEls,e._id,f,this._edgeSig(t,e))},_.prototype.getSelection=function(){const t=[];return this._nodesById.forEach((e,i)=>{this._selected.has(i)&&t.push(i)}),t},_.prototype.select=function(t){const e=Array.isArray(t)?t:[t];this._setSelection(e.map(t=>this.getNode(t)).filter(Boolean).map(t=>t._id))},_.prototype.clearSelection=function(){this._setSelection([])},_.prototype._setSelection=function(t){const e=new Set(t),i=this.getSelection();i.length===e.size&&i.every(t=>e.has(t))||(this._selected=e,this._tree&&this._patchTree(this._tree),this._emit("selectionchange",{ids:this.getSelection()}))},_.prototype._selectByClick=function(t,e){const i=this.getNode(this._selAnchor),n=this.getNode(t);if(e.shiftKey&&i&&n&&i.parent===n.parent&&n.parent){const t=n.parent.children,o=t.indexOf(i),s=t.indexOf(n),r=t.slice(Math.min(o,s),Math.max(o,s)+1).map(t=>t._id);return void this._setSelection(e.ctrlKey||e.metaKey?this.getSelection().concat(r):r)}if(this._selAnchor=t,e.ctrlKey||e.metaKey){const e=this.getSelection();this._setSelection(this._selected.has(t)?e.filter(e=>e!==t):e.concat(t))}else this._setSelection([t])},_.prototype._drawSelection=function(t,e){const i=this.options.selectionColor||(0===e.depth?"#4A90D9":this._nodeColor(e));t.classList.add("mm-node-selected"),t.appendChild(this._shapeEl(e,{class:"mm-selection",x:e.x-e.width/2-4,y:e.y-e.height/2-4,width:e.width+8,height:e.height+8,rx:8,ry:8,fill:i,"fill-opacity":"0.12",stroke:i,"stroke-width":2.5}))},_.prototype._bindSelection=function(){const t=this,e=function(t){return t&&t.closest&&t.closest(".mm-node, .mm-collapse-btn")};let i=null;const n=function(e){const i=t.svg.getBoundingClientRect();return{x:(e.clientX-i.left-t._pz.tx)/t._pz.scale,y:(e.clientY-i.top-t._pz.ty)/t._pz.scale}};this.svg.addEventListener("click",function(i){!t.options.interactions.select||t._dragMoved||e(i.target)||i.ctrlKey||i.metaKey||i.shiftKey||t.clearSelection()}),this.svg.addEventListener("mousedown",function(o){const s=t.options.interactions;if(!s.select||s.pan||0!==o.button||e(o.target))return;const r=n(o);i={x0:r.x,y0:r.y,additive:o.ctrlKey||o.metaKey||o.shiftKey,el:null},o.preventDefault()}),t._listenWindow("mousemove",function(e){if(!i)return;const o=n(e),s=Math.min(i.x0,o.x),h=Math.min(i.y0,o.y),l=Math.abs(o.x-i.x0),a=Math.abs(o.y-i.y0);if(!i.el){if(l*t._pz.scale<5&&a*t._pz.scale<5)return;i.el=r("rect",{class:"mm-selection-band",fill:"rgba(74,144,217,0.1)",stroke:"#4A90D9","stroke-width":1/t._pz.scale,"stroke-dasharray":4/t._pz.scale,"pointer-events":"none"}),t.gMain.appendChild(i.el),t._dragMoved=!0}i.el.setAttribute("x",s),i.el.setAttribute("y",h),i.el.setAttribute("width",l),i.el.setAttribute("height",a),i.box={x1:s,y1:h,x2:s+l,y2:h+a}}),t._listenWindow("mouseup",function(){if(!i)return;const e=i;if(i=null,!e.el)return;e.el.parentNode.removeChild(e.el),setTimeout(function(){t._dragMoved=!1},0);const n=[];t._nodeEls.forEach(function(i,o){const s=t.getNode(o);s&&s.x+s.width/2>=e.box.x1&&s.x-s.width/2<=e.box.x2&&s.y+s.height/2>=e.box.y1&&s.y-s.height/2<=e.box.y2&&n.push(o)}),t._setSelection(e.additive?t.getSelection().concat(n):n)})},_.prototype._startEdit=function(t){const e=this.getNode(t);if(!e)return;this._endEdit(!1);const i=this,n=(this.options,this._nodeOpts(e)),o=document.createElement("textarea");o.className="porphyry-editor",o.value=e.topic,o.spellcheck=!0,o.style.cssText=["position:absolute","z-index:20","box-sizing:border-box","margin:0","resize:none","overflow:hidden","outline:none","text-align:center","background:#fff","color:#1A202C","border:2px solid #4A90D9","border-radius:6px","box-shadow:0 2px 10px rgba(0,0,0,0.15)","user-select:text",'font-family:system-ui, -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, sans-serif',"font-weight:"+n.fontWeight].join(";"),o.addEventListener("keydown",function(t){t.stopPropagation(),"Enter"!==t.key||t.shiftKey?"Escape"===t.key&&(t.preventDefault(),i._endEdit(!1)):(t.preventDefault(),i._endEdit(!0))}),o.addEventListener("blur",function(){i._endEdit(!0)}),o.addEventListener("mousedown",function(t){t.stopPropagation()}),this._editor={id:e._id,node:e,el:o},this.container.appendChild(o),this._positionEditor(),o.focus(),o.select()},_.prototype._positionEditor=function(){const t=this._editor,e=this.getNode(t.id)||t.node,{tx:i,ty:n,scale:o}=this._pz,s=Math.max(e.width,80)*o,r=e.height*o,h=t.el.style;h.left=i+e.x*o-s/2+"px",h.top=n+(e.y-e.height/2)*o+"px",h.width=s+"px",h.height=r+"px",h.fontSize=e.fontSize*o+"px",h.lineHeight=e.lineHeight*o+"px",h.padding=Math.max(0,e.paddingY*o-2)+"px "+Math.max(0,e.paddingX*o-2)+"px"},_.prototype._endEdit=function(t){const e=this._editor;if(!e)return;this._editor=null,e.el.parentNode&&e.el.parentNode.removeChild(e.el);const i=this.getNode(e.id),n=e.el.value.replace(/\s+/g," ").trim();if(!t||!i||!n||n===i.topic)return;const o=i.topic;this.updateNode(i._id,{topic:n});const s=this._findByData(i._data),r=s?s._id:i._id;"function"==typeof this.options.onEdit&&this.options.onEdit(r,o,n),this._emit("edit",{id:r,node:s||i,oldTopic:o,newTopic:n})};const $={right:["ArrowRight","ArrowLeft","ArrowUp","ArrowDown"],left:["ArrowLeft","ArrowRight","ArrowUp","ArrowDown"],down:["ArrowDown","ArrowUp","ArrowLeft","ArrowRight"],up:["ArrowUp","ArrowDown","ArrowLeft","ArrowRight"]};_.prototype._tabStopId=function(){return void 0!==this._focusId&&this._isVisible(this.getNode(this._focusId))?this._focusId:this._tree?this._tree._id:null},_.prototype._isVisible=function(t){if(!t)return!1;for(let e=t.parent;e;e=e.parent)if(this._collapsed.has(e._id))return!1;return!0},_.prototype._syncTabStop=function(){const t=this._tabStopId();this._nodeEls.forEach(function(e,i){e.setAttribute("tabindex",i===t?0:-1)})},_.prototype._focusNode=function(t){const e=this._nodeEls.get(t);e&&(this._focusId=t,this._syncTabStop(),e.focus({preventScroll:!0}))},_.prototype._showFocusRing=function(t,e){let i=!0;try{i=t.matches(":focus-visible")}catch(t){}i&&!t.querySelector(".mm-focus-ring")&&(t.style.outline="none",t.appendChild(this._shapeEl(e,{class:"mm-focus-ring",x:e.x-e.width/2-4,y:e.y-e.height/2-4,width:e.width+8,height:e.height+8,rx:6,ry:6,fill:"none",stroke:"#4A90D9","stroke-width":2,"pointer-events":"none"})))},_.prototype._activateNode=function(t){const e=this.getNode(t);e&&(e.url?window.open(e.url,"_blank","noopener,noreferrer"):e.onclick&&e.onclick(e))},_.prototype._onNodeKeyDown=function(t,e){const i=this.getNode(e);if(!i||t.altKey||t.ctrlKey||t.metaKey)return;const n=this.options.interactions.collapse;let o=!0;if("Enter"===t.key)this._activateNode(e);else if(!n||"+"!==t.key&&"="!==t.key)if(!n||"-"!==t.key&&"_"!==t.key)if("Escape"===t.key&&this._note)this._hideNote(!0);else if("Home"===t.key)this._focusNode(this._tree._id);else{const e=this._navTarget(i,t.key);e?this._focusNode(e._id):o=0===t.key.indexOf("Arrow")}else this.collapse(e);else this.expand(e);o&&(t.preventDefault(),t.stopPropagation())},_.prototype._navTarget=function(t,e){const i=this.options.layout,n="up"===i||"down"===i,o=t.children.length&&!this._collapsed.has(t._id),s=t=>"up"===t||"down"===t?"x":"y",r=e=>{if(!o)return null;const i=s(e),n=t.children.filter(t=>t.direction===e);let r=null;return n.forEach(e=>{(!r||Math.abs(e[i]-t[i])<Math.abs(r[i]-t[i]))&&(r=e)}),r};if("timeline"===i&&t.depth<=2){const i=this._navTimeline(t,e);if(void 0!==i)return i}if(0===t.depth){const t=n?[i]:["right","left"];for(let i=0;i<t.length;i++)if($[t[i]][0]===e)return r(t[i]);return null}const h=$[t._flow]?t._flow:"left"===t.direction?"left":"right";if(e===$[h][0]){const t=r(h);if(t)return t}const l=$[t.direction]||$.right;if(e===l[1])return t.parent;if(e===l[2]||e===l[3]){const i=s(t.direction),n=t.parent.children.filter(e=>e.direction===t.direction);return"fishbone"!==t.parent._flow&&n.sort((t,e)=>t[i]-e[i]),n[n.indexOf(t)+(e===l[2]?-1:1)]||null}return null},_.prototype._navTimeline=function(t,e){const i=this._tree.children.slice().sort((t,e)=>t.x-e.x);if(0===t.depth)return"ArrowRight"===e&&i[0]||null;const n=t.children.length&&!this._collapsed.has(t._id);if(1===t.depth){const o=i.indexOf(t);if("ArrowLeft"===e)return i[o-1]||t.parent;if("ArrowRight"===e)return i[o+1]||null;if("ArrowUp"===e||"ArrowDown"===e){if(!n)return null;const i="ArrowUp"===e?"up":"down";return t.children.find(t=>t.direction===i)||null}return null}if("ArrowLeft"===e)return t.parent;if("ArrowUp"!==e&&"ArrowDown"!==e)return;const o=t.parent.children.filter(e=>e.direction===t.direction),s=o.indexOf(t);return"ArrowUp"===e==("up"===t.direction)?o[s+1]||null:o[s-1]||t.parent};const F=/-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi;function z(t,e,i){return t+(e-t)*i}function T(t,e,i){let n=0;return t.replace(F,function(){return n++%2?i:e})}function L(t,e,i,n){const o=t=>Math.round(100*t)/100;return`M ${o(t)} ${o(e)} C ${o(t+(i-t)/3)} ${o(e+(n-e)/3)}, ${o(t+2*(i-t)/3)} ${o(e+2*(n-e)/3)}, ${o(i)} ${o(n)}`}_.prototype._transitionMs=function(){return"undefined"!=typeof window&&"function"==typeof window.matchMedia&&window.matchMedia("(prefers-reduced-motion: reduce)").matches?0:Math.max(0,this.options.animationDuration||0)},_.prototype._snapshot=function(){const t=function(t){return t._pos||t._origin},e={nodes:this._nodesById,pos:new Map,toggles:new Map,edges:new Map};return this._nodeEls.forEach(function(i,n){e.pos.set(n,t(i))}),this._toggleEls.forEach(function(i,n){e.toggles.set(n,t(i))}),this._edgeEls.forEach(function(t,i){e.edges.set(i,t.getAttribute("d"))}),e},_.prototype._startTransition=function(t,e,i){const n=this,o=[],s=function(e){for(let i=e;i;i=i.parent)if(t.pos.has(i._id))return t.pos.get(i._id);return null},r=function(t,e,i,s){o.push({apply:function(o){n._moveTo(t,z(e.x,i.x,o),z(e.y,i.y,o)),s&&t.setAttribute("opacity","in"===s?o:1-o)},settle:function(){"in"===s&&t.removeAttribute("opacity")}})},h=function(t,e,i,n){const s=parseFloat(t.getAttribute("opacity"))||1;o.push({apply:function(o){t.setAttribute("d",function(t,e,i){const n=t.match(F)||[];if(n.length!==(e.match(F)||[]).length||t.replace(F,"#")!==e.replace(F,"#"))return e;let o=0;return e.replace(F,function(t){return Math.round(100*z(+n[o++],+t,i))/100})}(e,i,o)),n&&t.setAttribute("opacity",s*("in"===n?o:1-o))},settle:function(){"in"===n&&t.setAttribute("opacity",s)}})},l=function(t,e){t.forEach(function(t,i){const o=n._nodesById.get(i),h={x:o.x,y:o.y},l=e.get(i)||s(o.parent);r(t,l||h,h,e.has(i)?null:"in")})};if(l(this._nodeEls,t.pos),l(this._toggleEls,t.toggles),this._edgeEls.forEach(function(e,i){const o=e.getAttribute("d");if(t.edges.has(i))return void h(e,t.edges.get(i),o,null);const r=s(n._nodesById.get(i).parent);h(e,r?T(o,r.x,r.y):o,o,"in")}),e.forEach(function(e){const i=function(e){for(let i=t.nodes.get(e);i;i=i.parent){const t=n._nodesById.get(i._id);if(t&&n._nodeEls.has(i._id))return{x:t.x,y:t.y}}return null}(e.id);if("edge"===e.kind){const t=e.el.getAttribute("d");h(e.el,t,i?T(t,i.x,i.y):t,"out")}else{const t=e.el._pos||e.el._origin;r(e.el,t,i||t,"out")}e.el.style.pointerEvents="none"}),o.push({apply:function(){n._drawLinks(!0)},settle:function(){}}),i){const t=Object.assign({},this._pz);o.push({apply:function(e){n._pz={tx:z(t.tx,i.tx,e),ty:z(t.ty,i.ty,e),scale:z(t.scale,i.scale,e)},n._applyTransform()},settle:function(){}})}const a={tweens:o,exits:e,raf:0};this._transition=a;const d=this._transitionMs();let c=null;const p=function(t){null===c&&(c=t);const e=Math.min(1,(t-c)/d),i=function(t){return t<.5?4*t*t*t:1-Math.pow(-2*t+2,3)/2}(e);o.forEach(function(t){t.apply(i)}),e<1?a.raf=requestAnimationFrame(p):(a.raf=0,n._stopTransition())};o.forEach(function(t){t.apply(0)}),a.raf=requestAnimationFrame(p)},_.prototype._stopTransition=function(){const t=this._transition;t&&(this._transition=null,t.raf&&cancelAnimationFrame(t.raf),t.tweens.forEach(function(t){t.settle()}),t.exits.forEach(function(t){t.el.parentNode&&t.el.parentNode.removeChild(t.el)}))},_.prototype._drawEdgeList=function(t,e){const n=this.options,o="left"===t.direction?-1:1,s=t.x-o*(t.width/2-this._sp.listIndent/2),r=t.y+t.height/2,h=this._nodeEdgeAnchorY(e,"end"),l=`M ${s} ${r} C ${s} ${h}, ${s} ${h}, ${e.x-o*k(e,-o,h-e.y)} ${h}`,a=this._edgeWidth(t,e),d=document.createElementNS(i,"path");d.setAttribute("d",l),d.setAttribute("stroke",this._edgeColor(e)),d.setAttribute("stroke-width",a),d.setAttribute("fill","none"),d.setAttribute("stroke-linecap","round"),d.setAttribute("opacity",n.edgeOpacity),this._mount(this.gEdges,this._edgeEls,e._id,d,this._edgeSig(t,e))},_.prototype._drawEdgeFishbone=function(t,e){const n=this.options;let o;if("fishbone"===t._flow){const t=e.y<0?-1:1;o=L(e._ribX,0,e.x,e.y-t*e.height/2)}else{const i=this._nodeEdgeAnchorY(e,"end"),n=Math.abs(t.y)-t.height/2;o=L(t._ribX+(t.x-t._ribX)*Math.min(1,Math.abs(i)/n),i,e.x+k(e,1,i-e.y),i)}const s=this._edgeWidth(t,e),r=document.createElementNS(i,"path");r.setAttribute("d",o),r.setAttribute("stroke",this._edgeColor(e)),r.setAttribute("stroke-width",s),r.setAttribute("fill","none"),r.setAttribute("stroke-linecap","round"),r.setAttribute("opacity",n.edgeOpacity),this._mount(this.gEdges,this._edgeEls,e._id,r,this._edgeSig(t,e))},_.prototype._drawEdgeTimeline=function(t,e){const n=this.options;let o,s,r=t;if("timeline"===t._flow)o=L(e._axisX,0,e.x-k(e,-1,-e.y),0),s=n.center.borderColor||n.center.bgColor;else{const i="up"===e.direction?-1:1,n=t.children.indexOf(e);r=n>=2?t.children[n-2]:t,o=L(r.x,r.y+i*r.height/2,e.x,e.y-i*e.height/2),s=this._edgeColor(e)}const h=this._edgeWidth(t,e),l=document.createElementNS(i,"path");l.setAttribute("d",o),l.setAttribute("stroke",s),l.setAttribute("stroke-width",h),l.setAttribute("fill","none"),l.setAttribute("stroke-linecap","round"),l.setAttribute("opacity",n.edgeOpacity),this._mount(this.gEdges,this._edgeEls,e._id,l,this._edgeSig(t,e)+"|"+[r.x,r.y,r.height].join("|"))},_.prototype._drawSpine=function(t){const e=this.options,n=document.createElementNS(i,"path");n.setAttribute("d",L(t._spineX,0,-k(t,-1,0),0)),n.setAttribute("stroke",e.center.borderColor||e.center.bgColor),n.setAttribute("stroke-width",e.edgeWidth.root),n.setAttribute("fill","none"),n.setAttribute("stroke-linecap","round"),n.setAttribute("opacity",e.edgeOpacity),this._mount(this.gEdges,this._edgeEls,t._id,n,this._spineSig(t))},_.prototype._linkEnd=function(t){const e=null!=t?this.getNode(t):null;if(!e)return null;let i=e;for(let t=e.parent;t;t=t.parent)this._collapsed.has(t._id)&&(i=t);return i===e||"hide"!==this.options.link.collapsed?i:null},_.prototype._drawLinks=function(t){this.gLinks.innerHTML="";const e=this._tree&&this._tree._data.links;if(!Array.isArray(e))return;const i=e=>{const i=t?this._nodeEls.get(e._id):null;return i&&i._pos?i._pos:{x:e.x,y:e.y}};e.forEach(t=>{if(!t)return;const e=this._linkEnd(t.from),n=this._linkEnd(t.to);e&&n&&e!==n&&this._drawLink(t,e,i(e),n,i(n))})},_.prototype._drawLink=function(t,e,i,n,o){const h=s(this.options.link,t.style),l=this._tree,a=o.x-i.x,d=o.y-i.y,c=Math.hypot(a,d)||1;let p=-d/c,u=a/c,f=Math.min(.2*c,80);if(e!==l&&n!==l){const t=((l.x-i.x)*a+(l.y-i.y)*d)/(c*c),e=(l.x-i.x)*p+(l.y-i.y)*u,n=Math.hypot(l.width,l.height)/2+16;t>.05&&t<.95&&Math.abs(e)<n+f&&(e>0&&(p=-p,u=-u),f=Math.min(c,Math.max(f,(n-Math.abs(e))/(3*t*(1-t)))))}const g={x:i.x+a/3+p*f,y:i.y+d/3+u*f},_={x:i.x+2*a/3+p*f,y:i.y+2*d/3+u*f},y=function(t,e,i,n){const o=Math.hypot(i.x-e.x,i.y-e.y)||1,s=(i.x-e.x)/o,r=(i.y-e.y)/o,h=A(t,s,r)+n;return{x:e.x+s*h,y:e.y+r*h,ux:s,uy:r}},m=y(e,i,g,2),b=y(n,o,_,3),x=h.color,w=4+2*h.width,E=b.x+b.ux*w*.7,v=b.y+b.uy*w*.7,C=r("g",{class:"mm-link","data-from":e._id,"data-to":n._id,opacity:h.opacity}),M=r("path",{d:`M ${m.x} ${m.y} C ${g.x} ${g.y}, ${_.x} ${_.y}, ${E} ${v}`,fill:"none",stroke:x,"stroke-width":h.width,"stroke-linecap":"round"});h.dash&&M.setAttribute("stroke-dasharray",h.dash),C.appendChild(M);const k=b.x+b.ux*w,S=b.y+b.uy*w,N=-b.uy*w/2,$=b.ux*w/2;if(C.appendChild(r("path",{d:`M ${b.x} ${b.y} L ${k+N} ${S+$} L ${k-N} ${S-$} Z`,fill:x})),t.label){const e=r("text",{x:(m.x+3*g.x+3*_.x+b.x)/8,y:(m.y+3*g.y+3*_.y+b.y)/8,"text-anchor":"middle","dominant-baseline":"central","font-size":h.fontSize,"font-family":'system-ui, -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, sans-serif',fill:x,stroke:"#fff","stroke-width":4,"stroke-linejoin":"round","paint-order":"stroke"});e.textContent=t.label,C.appendChild(e)}this.gLinks.appendChild(C)},_.prototype._drawEdgeRadial=function(t,e){const n=this.options,o=this._edgeColor(e);let s,r;if(0===t.depth){const i=Math.hypot(e.x-t.x,e.y-t.y)||1;s=(e.x-t.x)/i,r=(e.y-t.y)/i}else s=Math.cos(t.angle),r=Math.sin(t.angle);const h=Math.cos(e.angle),l=Math.sin(e.angle),a=A(t,s,r),d=A(e,h,l),c=t.x+s*a,p=t.y+r*a,u=e.x-h*d,f=e.y-l*d,g=Math.hypot(u-c,f-p)/2,_=t=>Math.round(100*t)/100,y=`M ${_(c)} ${_(p)} C ${_(c+s*g)} ${_(p+r*g)}, ${_(u-h*g)} ${_(f-l*g)}, ${_(u)} ${_(f)}`,m=this._edgeWidth(t,e),b=document.createElementNS(i,"path");b.setAttribute("d",y),b.setAttribute("stroke",o),b.setAttribute("stroke-width",m),b.setAttribute("fill","none"),b.setAttribute("stroke-linecap","round"),b.setAttribute("opacity",n.edgeOpacity),this._mount(this.gEdges,this._edgeEls,e._id,b,this._edgeSig(t,e))};const I=1.25;function D(t){return"string"==typeof t?t?{src:t,width:null,height:null,position:null}:null:t&&"object"==typeof t&&t.src?{src:String(t.src),width:Number(t.width)||null,height:Number(t.height)||null,position:"top"===t.position||"left"===t.position?t.position:null}:null}_.prototype._drawMedia=function(t,e,i){if(e.imageBox){const n=e.imageBox;t.appendChild(r("image",{class:"mm-node-image",href:e.image.src,x:i+n.x,y:e.y+n.y,width:n.width,height:n.height,preserveAspectRatio:"xMidYMid meet","pointer-events":"none"}))}if(e.iconBox){const n=r("text",{class:"mm-node-icon",x:i+e.iconBox.x,y:e.y+e.iconBox.y,"font-size":e.iconBox.size,"text-anchor":"middle","dominant-baseline":"central","pointer-events":"none","aria-hidden":"true"});n.textContent=e.icon,t.appendChild(n)}},_.prototype._imageDataURI=function(t){return/^data:/i.test(t)?Promise.resolve(t):(this._imageData||(this._imageData=new Map),this._imageData.has(t)||this._imageData.set(t,fetch(t).then(t=>t.ok?t.blob():null).then(t=>t&&new Promise(e=>{const i=new FileReader;i.onload=()=>e(i.result),i.onerror=()=>e(null),i.readAsDataURL(t)})).catch(()=>null)),this._imageData.get(t))};let O=0;function B(t,e){const i=c(e);i?i.forEach(function(e){let i=document.createTextNode(e.text);const n=function(t){const e=document.createElement(t);e.appendChild(i),i=e};e.code&&(n("code"),i.style.fontFamily=d,i.style.fontSize="0.92em"),e.bold&&n("strong"),e.italic&&n("em"),e.strike&&n("del"),e.href&&(n("a"),i.href=e.href,i.target="_blank",i.rel="noopener noreferrer",i.style.color="#3182CE"),t.appendChild(i)}):t.appendChild(document.createTextNode(e))}_.prototype._showNote=function(t,e){const i=this.getNode(t);if(!i||!i.note||!this.options.notes)return;const n=this._note;if(n&&n.id===t)return clearTimeout(n.timer),void(e&&!n.pinned&&this._pinNote(n));if(n&&n.pinned&&!e)return;this._hideNote(!0);const o=document.createElement("div");o.className="porphyry-note",o.id="porphyry-note-"+ ++O,o.setAttribute("role","tooltip"),o.style.cssText=["position:absolute","z-index:15","box-sizing:border-box","max-width:280px","font-size:12.5px","line-height:1.45","color:#1A202C","background:#fff","border:1px solid #E2E8F0","border-radius:8px","padding:8px 12px","box-shadow:0 2px 10px rgba(0,0,0,0.12)","font-family:system-ui,sans-serif","overflow-wrap:break-word","user-select:text"].join(";"),o.appendChild(function(t){const e=document.createDocumentFragment();return String(t).replace(/\r\n?/g,"\n").split(/\n\s*\n/).forEach(function(t){const i=t.split("\n").filter(function(t){return t.trim()});if(!i.length)return;const n=i.every(function(t){return/^\s*[-*]\s+/.test(t)}),o=document.createElement(n?"ul":"p");o.style.margin=(e.childNodes.length?"6px":"0")+" 0 0",n&&(o.style.paddingLeft="18px"),i.forEach(function(t,e){if(n){const e=document.createElement("li");B(e,t.replace(/^\s*[-*]\s+/,"")),o.appendChild(e)}else e&&o.appendChild(document.createElement("br")),B(o,t.trim())}),e.appendChild(o)}),e}(i.note)),o.addEventListener("mouseenter",()=>{this._note&&clearTimeout(this._note.timer)}),o.addEventListener("mouseleave",()=>this._hideNote(!1)),o.addEventListener("mousedown",t=>t.stopPropagation()),o.addEventListener("wheel",t=>t.stopPropagation()),this._note={id:i._id,el:o,pinned:!1,timer:null,onDown:null},this.container.appendChild(o),e&&this._pinNote(this._note),this._positionNote()},_.prototype._pinNote=function(t){t.pinned=!0,t.onDown=e=>{const i=this._nodeEls.get(t.id);t.el.contains(e.target)||i&&i.contains(e.target)||this._hideNote(!0)},document.addEventListener("mousedown",t.onDown,!0),document.addEventListener("touchstart",t.onDown,!0)},_.prototype._hideNote=function(t){const e=this._note;if(!e||e.pinned&&!t)return;if(clearTimeout(e.timer),!t)return void(e.timer=setTimeout(()=>{this._note===e&&this._hideNote(!0)},150));this._note=null,e.onDown&&(document.removeEventListener("mousedown",e.onDown,!0),document.removeEventListener("touchstart",e.onDown,!0)),e.el.parentNode&&e.el.parentNode.removeChild(e.el);const i=this._nodeEls.get(e.id);i&&i.removeAttribute("aria-describedby")},_.prototype._positionNote=function(){const t=this._note,e=this.getNode(t.id),i=this._nodeEls.get(t.id);if(!(e&&e.note&&i&&this.options.notes))return void this._hideNote(!0);i.setAttribute("aria-describedby",t.el.id);const{tx:n,ty:o,scale:s}=this._pz,r=this.container.clientWidth,h=this.container.clientHeight,l=t.el.offsetWidth,a=t.el.offsetHeight,d=n+e.x*s,c=o+(e.y-e.height/2)*s;let p=o+(e.y+e.height/2)*s+8;p+a>h-8&&c-8-a>=8&&(p=c-8-a);const u=Math.max(8,Math.min(d-l/2,r-l-8));t.el.style.left=u+"px",t.el.style.top=Math.max(8,Math.min(p,h-a-8))+"px"},_.prototype._applyTransform=function(){const{tx:t,ty:e,scale:i}=this._pz;this.gMain.setAttribute("transform",`translate(${t},${e}) scale(${i})`),this._hudZoomLevel&&(this._hudZoomLevel.textContent=Math.round(100*i)+"%"),this._positionOverlays(),this._emit("viewportchange",{tx:t,ty:e,scale:i})},_.prototype._positionOverlays=function(){this._editor&&this._positionEditor(),this._note&&this._positionNote()},_.prototype._bindPanZoom=function(){const t=this;this._dragging=!1,this._dragMoved=!1;const e=this.options.interactions;if(!(e.pan||e.zoom||e.dragNodes||e.nudgeNodes))return;let i=!1,n=0,o=0,s=0,h=0,l=null;if(e.dragNodes||e.nudgeNodes){this.svg.addEventListener("mousedown",function(e){const i=t.options.interactions,n=e.altKey&&i.nudgeNodes;if(0!==e.button||!n&&!i.dragNodes)return;const o=e.target&&e.target.closest&&e.target.closest(".mm-node"),r=o&&o.getAttribute("data-id"),a=null!==r&&t.getNode(r);a&&a.parent&&(l={id:r,ghost:null,tx:t._pz.tx,ty:t._pz.ty,nudge:n?{x:a.offsetX,y:a.offsetY,moved:!1}:null},s=e.clientX,h=e.clientY,t._dragMoved=!1)});const e=function(){t._dragMoved=!0,t._endEdit(!0),i&&(i=!1,t._dragging=!1,t._pz.tx=l.tx,t._pz.ty=l.ty,t._applyTransform())};t._listenWindow("mousemove",function(i){if(!l)return;const n=i.clientX-s,o=i.clientY-h,a=l.nudge;if(a){if(!a.moved){if(Math.abs(n)<=5&&Math.abs(o)<=5)return;a.moved=!0,e(),t.svg.style.cursor="move"}const i=t._pz.scale;return void t._nudgeNode(l.id,a.x+n/i,a.y+o/i)}if(!l.ghost){if(Math.abs(n)<=5&&Math.abs(o)<=5)return;const i=t._nodeEls.get(l.id);if(!i)return void(l=null);e(),l.ghost=r("g",{class:"mm-drag-ghost",opacity:"0.6","pointer-events":"none","aria-hidden":"true"}),l.ghost.appendChild(function(t){const e=t.cloneNode(!0);["data-id","role","tabindex"].forEach(t=>e.removeAttribute(t)),Array.from(e.attributes).forEach(t=>{0===t.name.indexOf("aria-")&&e.removeAttribute(t.name)});const i=e.querySelector(".mm-focus-ring");i&&i.parentNode.removeChild(i);return e}(i)),t.gMain.appendChild(l.ghost),i.setAttribute("opacity","0.35"),t.svg.style.cursor="grabbing"}const d=t._pz.scale;l.ghost.setAttribute("transform",`translate(${n/d},${o/d})`);const c=t.svg.getBoundingClientRect();t._drawDropIndicator(t._dropTarget(l.id,{x:(i.clientX-c.left-t._pz.tx)/d,y:(i.clientY-c.top-t._pz.ty)/d}))}),t._listenWindow("mouseup",function(){if(!l)return;const e=l;if(l=null,e.nudge){if(!e.nudge.moved)return;t.svg.style.cursor=t.options.interactions.pan?"grab":"default",setTimeout(()=>{t._dragMoved=!1},0),t._flushNudge();const i=t.getNode(e.id);return void(i&&t._emit("nudge",{id:i._id,node:i,offsetX:i.offsetX,offsetY:i.offsetY}))}if(!e.ghost)return;e.ghost.parentNode.removeChild(e.ghost);const i=t._nodeEls.get(e.id);i&&i.removeAttribute("opacity"),t.svg.style.cursor=t.options.interactions.pan?"grab":"default";const n=t._drop;t._drawDropIndicator(null),setTimeout(()=>{t._dragMoved=!1},0),n&&t._dropNode(e.id,n)})}if(e.pan&&(this.svg.addEventListener("mousedown",function(e){0===e.button&&(i=!0,t._dragging=!0,t._dragMoved=!1,n=e.clientX-t._pz.tx,o=e.clientY-t._pz.ty,s=e.clientX,h=e.clientY,t.svg.style.cursor="grabbing",e.preventDefault())}),t._listenWindow("mousemove",function(e){if(!i)return;const r=e.clientX-s,l=e.clientY-h;(Math.abs(r)>5||Math.abs(l)>5)&&(t._dragMoved=!0),t._pz.tx=e.clientX-n,t._pz.ty=e.clientY-o,t._applyTransform()}),t._listenWindow("mouseup",function(){i&&(i=!1,t._dragging=!1,t.svg.style.cursor="grab",setTimeout(()=>{t._dragMoved=!1},0))})),e.zoom&&this.svg.addEventListener("wheel",function(e){e.preventDefault();const i=t.container.getBoundingClientRect(),n=e.clientX-i.left,o=e.clientY-i.top,s=1+(e.deltaY<0?1:-1)*t.options.zoomSensitivity,r=Math.min(t.options.maxZoom,Math.max(t.options.minZoom,t._pz.scale*s));t._pz.tx=n-(n-t._pz.tx)*(r/t._pz.scale),t._pz.ty=o-(o-t._pz.ty)*(r/t._pz.scale),t._pz.scale=r,t._applyTransform()},{passive:!1}),e.pan||e.zoom){let e=0;this.svg.addEventListener("touchstart",function(s){if(1===s.touches.length&&t.options.interactions.pan)i=!0,n=s.touches[0].clientX-t._pz.tx,o=s.touches[0].clientY-t._pz.ty;else if(2===s.touches.length&&t.options.interactions.zoom){i=!1;const t=s.touches[0],n=s.touches[1];e=Math.hypot(n.clientX-t.clientX,n.clientY-t.clientY)}},{passive:!0}),this.svg.addEventListener("touchmove",function(s){if(s.preventDefault(),1===s.touches.length&&i&&t.options.interactions.pan)t._pz.tx=s.touches[0].clientX-n,t._pz.ty=s.touches[0].clientY-o,t._applyTransform();else if(2===s.touches.length&&t.options.interactions.zoom){const i=s.touches[0],n=s.touches[1],o=Math.hypot(n.clientX-i.clientX,n.clientY-i.clientY),r=(i.clientX+n.clientX)/2,h=(i.clientY+n.clientY)/2,l=t.container.getBoundingClientRect(),a=r-l.left,d=h-l.top;if(e){const i=o/e,n=Math.min(t.options.maxZoom,Math.max(t.options.minZoom,t._pz.scale*i));t._pz.tx=a-(a-t._pz.tx)*(n/t._pz.scale),t._pz.ty=d-(d-t._pz.ty)*(n/t._pz.scale),t._pz.scale=n,t._applyTransform()}e=o}},{passive:!1}),this.svg.addEventListener("touchend",function(){i=!1,e=0},{passive:!0})}},_.prototype._dropTarget=function(t,e){const i=this.getNode(t);let n=null;if(this._nodeEls.forEach((t,o)=>{const s=this.getNode(o);if(!(!s||Math.abs(e.x-s.x)>s.width/2||Math.abs(e.y-s.y)>s.height/2)){for(let t=s;t;t=t.parent)if(t===i)return;n=s}}),!n)return null;if(!n.parent)return{target:n,zone:"child"};const o=n.parent._flow,s="down"===o||"up"===o||"fishbone"===o||"timeline"===o?"x":"y",r="x"===s?n.width:n.height,h=(e[s]-n[s])/r+.5;return{target:n,zone:h<.25?"before":h>.75?"after":"child"}},_.prototype._drawDropIndicator=function(t){if(this._dropEl&&this._dropEl.parentNode&&this._dropEl.parentNode.removeChild(this._dropEl),this._dropEl=null,this._drop=t,!t)return;const e=t.target,i=this._pz.scale,n=this.options.selectionColor||"#4A90D9",o=4/i;let s;if("child"===t.zone)s=r("rect",{x:e.x-e.width/2-o,y:e.y-e.height/2-o,width:e.width+2*o,height:e.height+2*o,rx:6/i,fill:"none",stroke:n,"stroke-width":2/i,"stroke-dasharray":5/i});else{const h=e.parent._flow,l="down"===h||"up"===h||"fishbone"===h||"timeline"===h,a="before"===t.zone?-1:1;s=r("line",l?{x1:e.x+a*(e.width/2+o),y1:e.y-e.height/2,x2:e.x+a*(e.width/2+o),y2:e.y+e.height/2}:{x1:e.x-e.width/2,y1:e.y+a*(e.height/2+o),x2:e.x+e.width/2,y2:e.y+a*(e.height/2+o)}),s.setAttribute("stroke",n),s.setAttribute("stroke-width",3/i),s.setAttribute("stroke-linecap","round")}s.setAttribute("class","mm-drop-indicator"),s.setAttribute("pointer-events","none"),this.gMain.appendChild(s),this._dropEl=s},_.prototype._dropNode=function(t,e){const i=this.getNode(t);if(!i||!i.parent)return;const n=i.parent,o=n.children.indexOf(i);let s,r;if("child"===e.zone?(s=e.target,r=s.children.length-(s===n?1:0)):(s=e.target.parent,r=s.children.indexOf(e.target)+("after"===e.zone?1:0),s===n&&o<r&&r--),s===n&&r===o)return;const h=n._id,l=i._data;this.moveNode(t,s._id,r);const a=this._findByData(l);a&&this._emit("move",{id:a._id,node:a,oldParentId:h,oldIndex:o,newParentId:a.parent._id,newIndex:a.parent.children.indexOf(a)})},_.prototype._nudgeNode=function(t,e,i){const n=this.getNode(t);if(!n)return;const o=n._data;e=Math.round(e),i=Math.round(i),e===n.offsetX&&i===n.offsetY||(e?o.offsetX=e:delete o.offsetX,i?o.offsetY=i:delete o.offsetY,this._stopTransition(),this._shiftSubtree(n,n.x+e-n.offsetX,n.y+i-n.offsetY),n.offsetX=e,n.offsetY=i,this._nudgeFrame||(this._nudgeFrame=requestAnimationFrame(()=>{this._nudgeFrame=null,this._patchTree(this._tree,null)})))},_.prototype._flushNudge=function(){this._nudgeFrame&&(cancelAnimationFrame(this._nudgeFrame),this._nudgeFrame=null,this._patchTree(this._tree,null)),this._emit("render",{root:this._tree})},_.prototype._listenWindow=function(t,e){window.addEventListener(t,e),(this._windowListeners||(this._windowListeners=[])).push([t,e])},_.prototype._unlistenWindow=function(){(this._windowListeners||[]).forEach(function(t){window.removeEventListener(t[0],t[1])}),this._windowListeners=[]},_.prototype._rebindInteractions=function(){this._unlistenWindow(),this.svg.style.cursor=this.options.interactions.pan?"grab":"default";const t=this.svg,e=t.cloneNode(!0);this.svg=e,t.parentNode.replaceChild(e,t),this.gMain=e.querySelector(".mm-edges").parentNode,this.gEdges=e.querySelector(".mm-edges"),this.gLinks=e.querySelector(".mm-links"),this.gNodes=e.querySelector(".mm-nodes"),this.gToggles=e.querySelector(".mm-toggles"),this._tree&&(this._stopTransition(),this._clearDrawing(),this._drawTree(this._tree)),this._bindPanZoom(),this._bindSelection(),this._updateTips()};const X=/^(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/,Y=/^([ \t]*)(?:[-*+]|\d+[.)])\s+(.*?)\s*$/,W=/^\[((?:\\.|[^\\\]])*)\]\(\s*(?:<((?:\\.|[^<>\\\n])*)>|([^)\s]+))(?:\s+"[^"]*")?\s*\)/,H=/^\s*(`{3,}|~{3,})/;function j(t){const e={topic:"",children:[]},i=function(t){for(let e=0;e<t.length;e++){if("\\"===t[e]){e++;continue}if("["!==t[e])continue;const i=W.exec(t.slice(e));if(i)return{index:e,end:e+i[0].length,label:i[1],url:null!=i[2]?i[2].replace(/\\([<>\\])/g,"$1"):i[3]}}return null}(t);return i&&(e.url=i.url,t=t.slice(0,i.index)+i.label+t.slice(i.end)),e.topic=function(t){return t.replace(/^\\(#|[-*+](?=\s))/,"$1").replace(/\\([!-/:-@[-`{-~])/g,(t,e)=>-1!=="*`~".indexOf(e)?t:e)}(t.trim()),e}function P(t){return String(t).replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;").replace(/"/g,"&quot;").replace(/\n/g,"&#10;")}function R(t,e){const i=(new DOMParser).parseFromString(String(t||""),"application/xml");if(i.getElementsByTagName("parsererror").length)throw new Error("[Porphyry] Invalid "+e+" document");return i}function Z(t,e){return Array.prototype.filter.call(t.childNodes,function(t){return 1===t.nodeType&&t.nodeName===e})}_.fromMarkdown=function(t){const e={topic:"",children:[]},i=[{level:0,node:e}];let n=[],o=null;return String(t||"").split(/\r?\n/).forEach(function(t){const e=H.exec(t);if(o)return void(e&&e[1][0]===o[0]&&e[1].length>=o.length&&!t.trim().slice(e[1].length).trim()&&(o=null));if(e)return void(o=e[1]);const s=X.exec(t);if(s){const t=s[1].length;for(;i[i.length-1].level>=t;)i.pop();const e=j(s[2]||"");return i[i.length-1].node.children.push(e),i.push({level:t,node:e}),void(n=[])}const r=Y.exec(t);if(!r)return;const h=r[1].replace(/\t/g,"    ").length;for(;n.length&&n[n.length-1].indent>=h;)n.pop();const l=n.length?n[n.length-1].node:i[i.length-1].node,a=j(r[2]);l.children.push(a),n.push({indent:h,node:a})}),1===e.children.length?e.children[0]:e},_.prototype.toMarkdown=function(){if(!this._tree)return"";const t=function(t){const e=t.topic.replace(/\s+/g," ").trim().replace(/[\\[\]]/g,"\\$&").replace(/^(#|[-*+](?=\s))/,"\\$1").replace(/^(\d+)([.)])(?=\s)/,"$1\\$2");if(!t.url)return e;return"["+e+"]("+(/[\s()<>]/.test(t.url)?"<"+t.url.replace(/[<>\\]/g,"\\$&")+">":t.url)+")"},e=["# "+t(this._tree).replace(/(\s)(#+)$/,"$1\\$2"),""],i=function(n,o){e.push("  ".repeat(o)+"- "+t(n)),n.children.forEach(function(t){i(t,o+1)})};return this._tree.children.forEach(function(t){i(t,0)}),e.join("\n")+"\n"},_.fromOPML=function(t){const e=R(t,"OPML"),i=e.getElementsByTagName("body")[0];if(!i)throw new Error("[Porphyry] OPML document has no <body>");const n=function(t){const e={topic:t.getAttribute("text")||t.getAttribute("title")||"",children:[]},i=t.getAttribute("url")||t.getAttribute("htmlUrl");return i&&(e.url=i),["offsetX","offsetY"].forEach(function(i){const n=Number(t.getAttribute(i));n&&(e[i]=n)}),e.children=Z(t,"outline").map(n),e},o=Z(i,"outline").map(n);if(1===o.length)return o[0];const s=e.getElementsByTagName("title")[0];return{topic:s?s.textContent.trim():"",children:o}},_.fromFreeMind=function(t){const e=R(t,"FreeMind").documentElement,i=e&&"map"===e.nodeName?Z(e,"node")[0]:null;if(!i)throw new Error("[Porphyry] FreeMind document has no root <node>");const n=function(t,e){let i=t.getAttribute("TEXT");if(null===i){const e=Z(t,"richcontent")[0];i=e?e.textContent.replace(/\s+/g," ").trim():""}const o={topic:i,children:[]},s=t.getAttribute("LINK");s&&(o.url=s);const r=t.getAttribute("POSITION");return 1!==e||"left"!==r&&"right"!==r||(o.direction=r),Z(t,"attribute").forEach(function(t){const e=t.getAttribute("NAME"),i=Number(t.getAttribute("VALUE"));"offsetX"!==e&&"offsetY"!==e||!i||(o[e]=i)}),o.children=Z(t,"node").map(function(t){return n(t,e+1)}),o};return n(i,0)},_.prototype.toOPML=function(){if(!this._tree)return"";const t=['<?xml version="1.0" encoding="UTF-8"?>','<opml version="2.0">',"  <head><title>"+P(this._tree.topic)+"</title></head>","  <body>"],e=function(i,n){const o="  ".repeat(n),s=' text="'+P(i.topic)+'"'+(i.url?' type="link" url="'+P(i.url)+'"':"")+(i.offsetX?' offsetX="'+i.offsetX+'"':"")+(i.offsetY?' offsetY="'+i.offsetY+'"':"");i.children.length?(t.push(o+"<outline"+s+">"),i.children.forEach(function(t){e(t,n+1)}),t.push(o+"</outline>")):t.push(o+"<outline"+s+"/>")};return e(this._tree,2),t.push("  </body>","</opml>"),t.join("\n")+"\n"},_.prototype.toFreeMind=function(){if(!this._tree)return"";const t=['<map version="1.0.1">'],e=function(i,n){const o="  ".repeat(n);let s=' TEXT="'+P(i.topic)+'"';i.url&&(s+=' LINK="'+P(i.url)+'"'),1!==i.depth||"left"!==i.direction&&"right"!==i.direction||(s+=' POSITION="'+i.direction+'"');const r=["offsetX","offsetY"].filter(function(t){return i[t]});i.children.length||r.length?(t.push(o+"<node"+s+">"),r.forEach(function(e){t.push(o+'  <attribute NAME="'+e+'" VALUE="'+i[e]+'"/>')}),i.children.forEach(function(t){e(t,n+1)}),t.push(o+"</node>")):t.push(o+"<node"+s+"/>")};return e(this._tree,1),t.push("</map>"),t.join("\n")+"\n"},"undefined"!=typeof module&&module.exports?module.exports=_:t.Porphyry=_}("undefined"!=typeof window?window:this);
\ No newline at end of file
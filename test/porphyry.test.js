@@ -0,0 +1,472 @@
+/**
+ * Porphyry test suite. Open test/index.html in a browser: every case is listed
+ * with its result, and the page title becomes "PASS" or "FAIL". Headless runners
+ * can read window.porphyryTestResults.
+ */
+(function () {
+  'use strict';
+
+  const cases = [];
+  function test(name, fn) { cases.push({ name: name, fn: fn }); }
+
+  function assert(cond, msg) {
+    if (!cond) throw new Error(msg || 'assertion failed');
+  }
+
+  function assertEqual(actual, expected, msg) {
+    const a = JSON.stringify(actual), e = JSON.stringify(expected);
+    if (a !== e) throw new Error((msg ? msg + ': ' : '') + 'expected ' + e + ', got ' + a);
+  }
+
+  /** Render `data` into a fresh off-screen container, without animations. */
+  function mapOf(data, options) {
+    const el = document.createElement('div');
+    el.style.cssText = 'width:800px;height:600px';
+    document.getElementById('maps').appendChild(el);
+    const map = new Porphyry(el, Object.assign({ animationDuration: 0 }, options));
+    map.render(data);
+    return map;
+  }
+
+  /** The fields a text format carries: topic, url and children. */
+  function outline(node) {
+    const out = { topic: node.topic };
+    if (node.url) out.url = node.url;
+    out.children = (node.children || []).map(outline);
+    return out;
+  }
+
+  // ── Markdown ───────────────────────────────────────────────────────────────
+
+  test('fromMarkdown nests headings and list items', function () {
+    const data = Porphyry.fromMarkdown('# Root\n## A\n- a1\n  - a11\n* a2\n## B\n1. b1\n2) b2');
+    assertEqual(outline(data), { topic: 'Root', children: [
+      { topic: 'A', children: [{ topic: 'a1', children: [{ topic: 'a11', children: [] }] }, { topic: 'a2', children: [] }] },
+      { topic: 'B', children: [{ topic: 'b1', children: [] }, { topic: 'b2', children: [] }] },
+    ] });
+  });
+
+  test('fromMarkdown maps the first link to url', function () {
+    const data = Porphyry.fromMarkdown('- [Docs](https://example.com/docs) site');
+    assertEqual(outline(data), { topic: 'Docs site', url: 'https://example.com/docs', children: [] });
+  });
+
+  test('fromMarkdown ignores fenced code blocks', function () {
+    const data = Porphyry.fromMarkdown([
+      '# R', '- a', '```', '# not a heading', '- not an item', '```',
+      '- b', '~~~~', '- no', '~~~', '- still no', '~~~~', '- c',
+    ].join('\n'));
+    assertEqual(outline(data).children.map(c => c.topic), ['a', 'b', 'c']);
+  });
+
+  test('fromMarkdown wraps several top-level entries in an untitled root', function () {
+    assertEqual(outline(Porphyry.fromMarkdown('- a\n- b')),
+      { topic: '', children: [{ topic: 'a', children: [] }, { topic: 'b', children: [] }] });
+  });
+
+  test('toMarkdown round-trips topics that look like Markdown', function () {
+    const topics = [
+      '# hash', '#tag', '- dash', '* star', '+ plus', '1. one', '2) two', 'C #',
+      'see [docs](https://x.org) now', 'brackets [x] only', 'a\\b', '\\*literal\\*',
+      '**bold** and *italic*', '2 * 3', '`code`',
+    ];
+    const data = { topic: 'Root #', children: topics.map(t => ({ topic: t, children: [{ topic: t + ' child' }] })) };
+    const back = Porphyry.fromMarkdown(mapOf(data).toMarkdown());
+    assertEqual(outline(back), outline(data));
+  });
+
+  test('toMarkdown round-trips urls with spaces, parentheses and brackets', function () {
+    const urls = ['https://example.com/a b', 'https://en.wikipedia.org/wiki/Mercury_(planet)', 'https://x.org/?q=<1>\\', 'https://x.org/plain'];
+    const data = { topic: 'Root', url: urls[0], children: urls.map((u, i) => ({ topic: 'link ' + i, url: u })) };
+    const back = Porphyry.fromMarkdown(mapOf(data).toMarkdown());
+    assertEqual(outline(back), outline(data));
+  });
+
+  // ── OPML / FreeMind ────────────────────────────────────────────────────────
+
+  const XML_DATA = { topic: 'Root <&> "quoted"', url: 'https://example.com/?a=1&b=2', children: [
+    { topic: 'Line one\nline two', children: [{ topic: "it's" }, { topic: 'Mercury (planet)', url: 'https://en.wikipedia.org/wiki/Mercury_(planet)' }] },
+    { topic: 'Plain', direction: 'left', children: [] },
+  ] };
+
+  test('toOPML round-trips through fromOPML', function () {
+    const back = Porphyry.fromOPML(mapOf(XML_DATA).toOPML());
+    assertEqual(outline(back), outline(XML_DATA));
+  });
+
+  test('fromOPML reads title/htmlUrl fallbacks and wraps several outlines', function () {
+    const data = Porphyry.fromOPML('<opml version="2.0"><head><title>Doc</title></head><body>'
+      + '<outline title="A" htmlUrl="https://a.org"/><outline text="B"><outline text="B1"/></outline></body></opml>');
+    assertEqual(outline(data), { topic: 'Doc', children: [
+      { topic: 'A', url: 'https://a.org', children: [] },
+      { topic: 'B', children: [{ topic: 'B1', children: [] }] },
+    ] });
+  });
+
+  test('toFreeMind round-trips through fromFreeMind, with first-level sides', function () {
+    const back = Porphyry.fromFreeMind(mapOf(XML_DATA, { layout: 'auto' }).toFreeMind());
+    assertEqual(outline(back), outline(XML_DATA));
+    assertEqual(back.children.map(c => c.direction), ['right', 'left']);
+  });
+
+  test('toOPML and toFreeMind keep manual offsets', function () {
+    const data = { topic: 'R', children: [{ topic: 'A', offsetX: 40, offsetY: -12 }, { topic: 'B', offsetY: 5, children: [{ topic: 'B1' }] }] };
+    const offsets = d => d.children.map(c => [c.offsetX || 0, c.offsetY || 0]);
+    const map = mapOf(data);
+    assertEqual(offsets(Porphyry.fromOPML(map.toOPML())), [[40, -12], [0, 5]]);
+    assertEqual(offsets(Porphyry.fromFreeMind(map.toFreeMind())), [[40, -12], [0, 5]]);
+  });
+
+  test('fromFreeMind falls back to rich content text', function () {
+    const data = Porphyry.fromFreeMind('<map version="1.0.1"><node TEXT="R"><node>'
+      + '<richcontent TYPE="NODE"><html><body><p>Rich   <b>text</b></p></body></html></richcontent></node></node></map>');
+    assertEqual(outline(data), { topic: 'R', children: [{ topic: 'Rich text', children: [] }] });
+  });
+
+  test('malformed XML throws', function () {
+    let thrown = null;
+    try { Porphyry.fromOPML('<opml><body><outline text="x"></body>'); } catch (e) { thrown = e; }
+    assert(thrown && /\[Porphyry\]/.test(thrown.message), 'expected a Porphyry error');
+  });
+
+  // ── Node ids ───────────────────────────────────────────────────────────────
+
+  test('path keys never collide', function () {
+    const map = mapOf({ topic: 'R', children: [
+      { topic: 'A/B' }, { topic: 'A', children: [{ topic: 'B' }] },
+      { topic: 'constructor' }, { topic: 'constructor' }, { topic: '__proto__' }, { topic: '__proto__' },
+      { topic: 'x', id: 'R/y' }, { topic: 'y' },
+    ] });
+    const ids = map.getNode('R').children.map(c => c._id);
+    assertEqual(new Set(ids).size, ids.length, 'sibling ids unique');
+    assert(map.getNode('R/A/B').topic === 'B', 'R/A/B is the grandchild');
+    assert(map.getNode('R/A\\/B').topic === 'A/B', 'the slash is escaped');
+    assertEqual(ids.slice(2, 6), ['R/constructor', 'R/constructor~1', 'R/__proto__', 'R/__proto__~1']);
+    assert(map.getNode('R/y').topic === 'x', 'explicit id kept');
+    assert(ids[7] !== 'R/y' && map.getNode(ids[7]).topic === 'y', 'path key moved aside');
+  });
+
+  test('explicit ids win over path keys in any sibling order', function () {
+    const ids = children => mapOf({ topic: 'R', children: children }).getNode('R').children.map(c => c.topic + '=' + c._id);
+    assertEqual(ids([{ topic: 'A' }, { topic: 'X', id: 'R/A' }]), ['A=R/A~~1', 'X=R/A']);
+    assertEqual(ids([{ topic: 'X', id: 'R/A' }, { topic: 'A' }]), ['X=R/A', 'A=R/A~~1']);
+    assertEqual(ids([{ topic: 'P', id: 'same' }, { topic: 'Q', id: 'same' }]), ['P=R/P', 'Q=R/Q'], 'a shared id is ignored');
+  });
+
+  test('collapse state stays on the node with the explicit id when siblings swap', function () {
+    const map = mapOf({ topic: 'R', children: [{ topic: 'A', children: [{ topic: 'a' }] }, { topic: 'X', id: 'R/A', children: [{ topic: 'x' }] }] });
+    map.collapse('R/A');
+    assertEqual(map.getNode('R/A').topic, 'X');
+    map.moveNode('R/A', 'R', 0);
+    assertEqual(map.getNode('R').children.map(c => c.topic + '=' + c._id), ['X=R/A', 'A=R/A~~1']);
+    assertEqual(Array.from(map._collapsed), ['R/A']);
+  });
+
+  // ── Data API ───────────────────────────────────────────────────────────────
+
+  /** A root with a two-level branch A and a leaf B, fresh for every test. */
+  function tree() {
+    return { topic: 'R', children: [{ topic: 'A', children: [{ topic: 'a1' }, { topic: 'a2' }] }, { topic: 'B' }] };
+  }
+
+  /** Topics only, nested the way the map draws them. */
+  function shape(map) {
+    const walk = n => n.children.length ? [n.topic, n.children.map(walk)] : n.topic;
+    return walk(map.getNode('R'));
+  }
+
+  test('addNode inserts at the index and returns the new id', function () {
+    const map = mapOf(tree());
+    assertEqual(map.addNode('R/A', { topic: 'a0', children: [{ topic: 'x' }] }, 0), 'R/A/a0');
+    assertEqual(map.addNode('R', { topic: 'C' }), 'R/C', 'appends without an index');
+    assertEqual(map.addNode('R/B', { topic: 'b' }, 99), 'R/B/b', 'appends past the end');
+    assertEqual(shape(map), ['R', [['A', [['a0', ['x']], 'a1', 'a2']], ['B', ['b']], 'C']]);
+    assertEqual(outline(map.getData()).children[2], { topic: 'C', children: [] }, 'written to the data');
+  });
+
+  test('addNode returns null for an unknown parent', function () {
+    const map = mapOf(tree());
+    assertEqual(map.addNode('R/nope', { topic: 'X' }), null);
+    assertEqual(map.addNode('R', null), null, 'no data');
+    assertEqual(shape(map), ['R', [['A', ['a1', 'a2']], 'B']]);
+  });
+
+  test('updateNode merges the patch into the node data', function () {
+    const map = mapOf({ topic: 'R', children: [{ topic: 'A', url: 'https://a.example', children: [{ topic: 'a' }] }] });
+    map.updateNode('R/A', { topic: 'A2' });
+    const node = map.getNode('R/A2');
+    assert(node, 'rekeyed by the new topic');
+    assertEqual(outline(map.getData()).children[0], { topic: 'A2', url: 'https://a.example', children: [{ topic: 'a', children: [] }] });
+    assert(map.getNode('R/A2/a'), 'children keep following the node');
+    map.updateNode('R/A2', { url: null });
+    assertEqual(outline(map.getData()).children[0].url, undefined, 'null clears a field');
+  });
+
+  test('updateNode ignores unknown ids', function () {
+    const map = mapOf(tree());
+    let renders = 0;
+    map.on('render', () => renders++);
+    map.updateNode('R/nope', { topic: 'X' });
+    assertEqual([shape(map), renders], [['R', [['A', ['a1', 'a2']], 'B']], 0]);
+  });
+
+  test('removeNode removes the node and its subtree', function () {
+    const map = mapOf(tree());
+    map.collapse('R/A');
+    map.removeNode('R/A');
+    assertEqual(shape(map), ['R', ['B']]);
+    assertEqual([map.getNode('R/A'), map.getNode('R/A/a1')], [null, null]);
+    assertEqual(outline(map.getData()), { topic: 'R', children: [{ topic: 'B', children: [] }] });
+    assertEqual(map._collapsed.size, 0, 'collapse state dropped');
+  });
+
+  test('removeNode ignores the root and unknown ids', function () {
+    const map = mapOf(tree());
+    map.removeNode('R');
+    map.removeNode('R/nope');
+    assertEqual(shape(map), ['R', [['A', ['a1', 'a2']], 'B']]);
+  });
+
+  test('moveNode moves the node and its subtree to the index', function () {
+    const map = mapOf(tree());
+    map.moveNode('R/A', 'R/B', 0);
+    assertEqual(shape(map), ['R', [['B', [['A', ['a1', 'a2']]]]]]);
+    assert(map.getNode('R/B/A/a1'), 'subtree rekeyed under the new parent');
+    map.moveNode('R/B/A/a2', 'R/B/A', 0);
+    assertEqual(shape(map), ['R', [['B', [['A', ['a2', 'a1']]]]]], 'reorders among siblings');
+    assertEqual(outline(map.getData()).children[0].children[0].children.map(c => c.topic), ['a2', 'a1'], 'written to the data');
+  });
+
+  test('moveNode ignores moves into its own subtree, the root and unknown ids', function () {
+    const map = mapOf(tree());
+    map.moveNode('R/A', 'R/A');
+    map.moveNode('R/A', 'R/A/a1');
+    map.moveNode('R', 'R/B');
+    map.moveNode('R/nope', 'R/B');
+    map.moveNode('R/B', 'R/nope');
+    assertEqual(shape(map), ['R', [['A', ['a1', 'a2']], 'B']]);
+  });
+
+  // ── Collapse ───────────────────────────────────────────────────────────────
+
+  /** Depths 0–3: R → A → A1 → x, plus a leaf B. */
+  function deep() {
+    return { topic: 'R', children: [{ topic: 'A', children: [{ topic: 'A1', children: [{ topic: 'x' }] }] }, { topic: 'B' }] };
+  }
+
+  /** Record every collapse/expand event as 'collapse:id' / 'expand:id'. */
+  function events(map) {
+    const log = [];
+    map.on('collapse', e => log.push('collapse:' + e.id));
+    map.on('expand', e => log.push('expand:' + e.id));
+    return log;
+  }
+
+  test('collapse hides the subtree and expand brings it back', function () {
+    const map = mapOf(deep());
+    const log = events(map);
+    map.collapse('R/A');
+    assert(map.isCollapsed('R/A'), 'collapsed');
+    assertEqual([!!map._nodeEls.get('R/A'), !!map._nodeEls.get('R/A/A1')], [true, false], 'children not drawn');
+    map.collapse('R/A');
+    map.expand('R/A');
+    assert(!map.isCollapsed('R/A'), 'expanded');
+    assert(map._nodeEls.get('R/A/A1/x'), 'subtree drawn again');
+    map.toggle('R/A');
+    map.toggle('R/A');
+    assertEqual(log, ['collapse:R/A', 'expand:R/A', 'collapse:R/A', 'expand:R/A'], 'one event per change');
+  });
+
+  test('collapse ignores the root, leaves and unknown ids', function () {
+    const map = mapOf(deep());
+    const log = events(map);
+    ['R', 'R/B', 'R/A/A1/x', 'R/nope'].forEach(function (id) {
+      map.collapse(id);
+      map.toggle(id);
+      map.expand(id);
+      assert(!map.isCollapsed(id), id);
+    });
+    assertEqual([map._collapsed.size, log], [0, []]);
+  });
+
+  test('expandToDepth collapses every node at that depth or deeper', function () {
+    const map = mapOf(deep());
+    const collapsed = () => ['R/A', 'R/A/A1'].filter(id => map.isCollapsed(id));
+    map.expandToDepth(2);
+    assertEqual(collapsed(), ['R/A/A1']);
+    map.expandToDepth(1);
+    assertEqual(collapsed(), ['R/A', 'R/A/A1']);
+    map.expandToDepth(3);
+    assertEqual(collapsed(), []);
+    map.expandToDepth(0);
+    assertEqual(collapsed(), ['R/A', 'R/A/A1'], 'the root stays expanded');
+    assert(!map.isCollapsed('R'));
+  });
+
+  test('collapseAll and expandAll emit an event per changed node', function () {
+    const map = mapOf(deep());
+    map.collapse('R/A/A1');
+    const log = events(map);
+    map.collapseAll();
+    assertEqual(log, ['collapse:R/A'], 'R/A/A1 was collapsed already');
+    assertEqual([map.isCollapsed('R/A'), map.isCollapsed('R/A/A1')], [true, true]);
+    log.length = 0;
+    map.expandAll();
+    assertEqual(log.sort(), ['expand:R/A', 'expand:R/A/A1']);
+    assertEqual(map._collapsed.size, 0);
+  });
+
+  test('render() resets collapse state, data changes keep it', function () {
+    const map = mapOf(deep());
+    map.collapse('R/A');
+    map.addNode('R', { topic: 'C' });
+    assert(map.isCollapsed('R/A'), 'kept across addNode');
+    map.render(deep());
+    assert(!map.isCollapsed('R/A'), 'cleared by render()');
+  });
+
+  // ── Selection ──────────────────────────────────────────────────────────────
+
+  test('with selection on, a second click on the selected node runs its action', function () {
+    let runs = 0;
+    const map = mapOf({ topic: 'R', children: [{ topic: 'A', onclick: function () { runs++; } }, { topic: 'B' }] },
+      { interactions: { select: true } });
+    const click = (id, extra) => map._nodeEls.get(id).dispatchEvent(new MouseEvent('click', Object.assign({ bubbles: true }, extra)));
+    click('R/A');
+    assertEqual([map.getSelection(), runs], [['R/A'], 0], 'first click selects');
+    click('R/A');
+    assertEqual([map.getSelection(), runs], [['R/A'], 1], 'second click runs the action');
+    click('R/B', { shiftKey: true });
+    click('R/A', { ctrlKey: true });
+    click('R/A', { ctrlKey: true });
+    assertEqual(runs, 1, 'modified clicks only change the selection');
+  });
+
+  // ── Node styles ────────────────────────────────────────────────────────────
+
+  test('a style border follows the corners of the node body', function () {
+    const map = mapOf({ topic: 'R', style: { border: true }, children: [{ topic: 'A', style: { border: true } }] },
+      { center: { radius: 14 } });
+    ['R', 'R/A'].forEach(function (id) {
+      const rects = Array.from(map._nodeEls.get(id).querySelectorAll('rect'));
+      const body = rects[0], border = rects.filter(r => r.getAttribute('fill') === 'none')[0];
+      assert(border, id + ' has a border');
+      assertEqual(border.getAttribute('rx'), body.getAttribute('rx'), id);
+    });
+  });
+
+  // ── Manual offsets ─────────────────────────────────────────────────────────
+
+  test('offsets move a node and its subtree, and nothing else', function () {
+    const data = () => ({ topic: 'R', children: [{ topic: 'A', children: [{ topic: 'a' }] }, { topic: 'B' }] });
+    const plain = mapOf(data());
+    const moved = data();
+    moved.children[0].offsetX = 30;
+    moved.children[0].offsetY = -20;
+    const map = mapOf(moved);
+    const shift = id => [map.getNode(id).x - plain.getNode(id).x, map.getNode(id).y - plain.getNode(id).y];
+    assertEqual(shift('R/A'), [30, -20]);
+    assertEqual(shift('R/A/a'), [30, -20]);
+    assertEqual(shift('R/B'), [0, 0]);
+    assertEqual(shift('R'), [0, 0]);
+  });
+
+  test('a nudge updates what the next transition starts from', function () {
+    const map = mapOf({ topic: 'R', children: [{ topic: 'A', children: [{ topic: 'a' }] }, { topic: 'B', children: [{ topic: 'b' }] }] });
+    map.collapse('R/B');
+    map._nudgeNode('R/A', 60, 0);
+    map._flushNudge();
+    const pos = map._snapshot().pos;
+    ['R/A', 'R/A/a'].forEach(function (id) {
+      assertEqual(pos.get(id), { x: map.getNode(id).x, y: map.getNode(id).y }, id);
+    });
+  });
+
+  // ── Rich text ──────────────────────────────────────────────────────────────
+
+  /** A rich-text map with one wide branch per topic, so no run is split by wrapping. */
+  function richMap(topics, options) {
+    return mapOf({ topic: 'R', children: topics.map(t => ({ topic: t })) },
+      Object.assign({ richText: true, branch: { maxWidth: 2000 } }, options));
+  }
+
+  /** A branch's runs as [text, marks, href?], marks being b/i/s/c for bold, italic, strike, code. */
+  function runsOf(map, i) {
+    const node = map.getNode('R').children[i];
+    if (!node.runs) return null;
+    return [].concat.apply([], node.runs).map(function (r) {
+      const marks = (r.bold ? 'b' : '') + (r.italic ? 'i' : '') + (r.strike ? 's' : '') + (r.code ? 'c' : '');
+      return r.href ? [r.text, marks, r.href] : [r.text, marks];
+    });
+  }
+
+  test('_parseRich reads bold, italic, strikethrough and code', function () {
+    const map = richMap(['**bold** and *it*', '~~gone~~ `a *b*`']);
+    assertEqual(runsOf(map, 0), [['bold', 'b'], [' and ', ''], ['it', 'i']]);
+    assertEqual(runsOf(map, 1), [['gone', 's'], [' ', ''], ['a *b*', 'c']]);
+    assertEqual(map.getNode('R').children[0].text, 'bold and it');
+  });
+
+  test('_parseRich leaves plain text, lone asterisks and escapes alone', function () {
+    const map = richMap(['2 * 3 * 4', '\\*literal\\*', 'Plain']);
+    assertEqual(runsOf(map, 0), null);
+    assertEqual(runsOf(map, 1), [['*literal*', '']]);
+    assertEqual(runsOf(map, 2), null);
+    assertEqual(map.getNode('R').children[1].topic, '\\*literal\\*', 'the topic keeps its markup');
+  });
+
+  test('_parseRich links only http(s), mailto and relative targets', function () {
+    const map = richMap(['[a](https://a.org) [m](mailto:x@y.z) [r](/docs)',
+      '[x](javascript:alert(1))', '[d](data:text/html,hi)', '[t](java\tscript:alert(1))']);
+    assertEqual(runsOf(map, 0), [['a', '', 'https://a.org'], [' ', ''], ['m', '', 'mailto:x@y.z'], [' ', ''], ['r', '', '/docs']]);
+    [1, 2, 3].forEach(function (i) {
+      const node = map.getNode('R').children[i];
+      assert(node.runs === null && node.text === node.topic, 'unsafe link stays plain text: ' + node.topic);
+    });
+    const hrefs = Array.from(map.svg.querySelectorAll('a')).map(a => a.getAttribute('href'));
+    assertEqual(hrefs, ['https://a.org', 'mailto:x@y.z', '/docs']);
+  });
+
+  test('_parseRich needs markers to flank their text, as Markdown does', function () {
+    const map = richMap(['def f(*args, **kwargs)', 'a_*_b and c*d*e', 'snake*case*word', '(*x*) and **y**.']);
+    [0, 1, 2].forEach(function (i) {
+      const node = map.getNode('R').children[i];
+      assert(node.runs === null && node.text === node.topic, 'stays as typed: ' + node.topic);
+    });
+    assertEqual(runsOf(map, 3), [['(', ''], ['x', 'i'], [') and ', ''], ['y', 'b'], ['.', '']]);
+  });
+
+  test('rich text is off by default', function () {
+    const topics = ['**bold**', 'def f(*args, **kwargs)', 'see [x](y)'];
+    const map = mapOf({ topic: 'R', children: topics.map(t => ({ topic: t })) });
+    map.getNode('R').children.forEach(function (node) {
+      assert(node.runs === null && node.text === node.topic, 'drawn as typed: ' + node.topic);
+    });
+    assertEqual(map.svg.querySelectorAll('a').length, 0);
+  });
+
+  // ── Run ────────────────────────────────────────────────────────────────────
+
+  const results = cases.map(function (c) {
+    try {
+      c.fn();
+      return { name: c.name, ok: true };
+    } catch (e) {
+      return { name: c.name, ok: false, error: String(e && e.message || e) };
+    }
+  });
+  window.porphyryTestResults = results;
+
+  const failed = results.filter(r => !r.ok).length;
+  const list = document.getElementById('results');
+  results.forEach(function (r) {
+    const li = document.createElement('li');
+    li.className = r.ok ? 'pass' : 'fail';
+    li.textContent = (r.ok ? '✓ ' : '✗ ') + r.name + (r.ok ? '' : ' — ' + r.error);
+    list.appendChild(li);
+  });
+  document.getElementById('summary').textContent =
+    (results.length - failed) + ' of ' + results.length + ' passed';
+  document.title = failed ? 'FAIL' : 'PASS';
+  if (failed) console.error(failed + ' Porphyry test(s) failed');
+})();